@@ -0,0 +1,5 @@
+// --- Application Ingestion (same as `job-tracker ingest`, kept for existing setups) ---
+import 'dotenv/config';
+import { runCli } from './lib/cli.js';
+
+runCli(['ingest', ...process.argv.slice(2)]).then(exitCode => { process.exitCode = exitCode; });
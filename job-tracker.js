@@ -0,0 +1,7 @@
+#!/usr/bin/env node
+// --- job-tracker CLI entry point (see lib/cli.js, or run `job-tracker --help`) ---
+import 'dotenv/config';
+import process from 'process';
+import { runCli } from './lib/cli.js';
+
+runCli(process.argv.slice(2)).then(exitCode => { process.exitCode = exitCode; });
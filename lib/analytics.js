@@ -0,0 +1,205 @@
+// --- Pipeline Analytics ---
+// The funnel numbers behind the weekly report (lib/report.js), worked out from each
+// card's list history (Trello's card actions on the board) and the bots' run history:
+// conversion between stages, rejections per stage, time to the first reply per company
+// and source, and the postings the job checker found removed.
+// A "response" is the first move out of the intake list to a later stage, an offer or
+// a rejection; moves to "Job Deleted" or "Ghosted" are not replies.
+import { readRunHistory } from './runHistory.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ACTION_PAGE_SIZE = 1000; // Trello's maximum per request
+const ACTION_FILTER = 'createCard,copyCard,moveCardToBoard,updateCard:idList';
+const OBJECT_ID_PATTERN = /^[0-9a-f]{24}$/;
+
+// Every card in the configured lists and the board actions that placed or moved them
+export async function loadBoardHistory(trello, pipeline) {
+    const cards = [];
+    for (const list of Object.values(pipeline.lists).filter(list => list.id)) {
+        cards.push(...await trello.makeRequest('get', `/1/lists/${list.id}/cards`));
+    }
+    const actions = [];
+    for (const boardId of new Set(cards.map(card => card.idBoard))) {
+        // Newest first; page back with "before" until a short page
+        let before = null;
+        for (;;) {
+            const page = await trello.makeRequest('get', `/1/boards/${boardId}/actions`, {
+                filter: ACTION_FILTER, limit: ACTION_PAGE_SIZE, ...(before && { before })
+            });
+            actions.push(...page);
+            if (page.length < ACTION_PAGE_SIZE) break;
+            before = page.at(-1).id;
+        }
+    }
+    return { cards, actions };
+}
+
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+const ratio = (part, whole) => whole > 0 ? part / whole : null;
+const round = (value, digits = 1) => value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Trello IDs start with their creation time in seconds, like any MongoDB ObjectId
+function idTimestamp(id) {
+    return OBJECT_ID_PATTERN.test(id || '') ? new Date(parseInt(id.slice(0, 8), 16) * 1000).toISOString() : null;
+}
+
+// Cards created by ingestApplications.js say where and when the application was sent
+function readSource(desc) {
+    const match = (desc || '').match(/^source: (.+?)(?: \((\d{4}-\d{2}-\d{2})\))?$/m);
+    return match ? { name: match[1], date: match[2] ? new Date(match[2]).toISOString() : null } : { name: 'Manual', date: null };
+}
+
+function readCompany(card) {
+    return (card.desc || '').match(/^company: (.+)$/m)?.[1].trim() || card.name.split(' - ')[0].trim();
+}
+
+// List changes of one card, oldest first: { at, fromId, toId } (fromId null when placed)
+function cardEvents(actions) {
+    return actions
+        .map(action => action.type === 'updateCard'
+            ? { at: action.date, fromId: action.data.listBefore?.id, toId: action.data.listAfter?.id }
+            : { at: action.date, fromId: null, toId: action.data.list?.id })
+        .filter(event => event.toId)
+        .sort((a, b) => a.at.localeCompare(b.at));
+}
+
+function analyzeCard(card, events, pipeline) {
+    const intake = pipeline.intakeList;
+    const isResponse = list => Boolean(list) && ((list.stage ?? 0) > intake.stage || list.outcome === 'offer' || list.outcome === 'rejected');
+    const listIds = [...events.flatMap(event => [event.fromId, event.toId]), card.idList].filter(Boolean);
+    const stages = listIds.map(id => pipeline.listById(id)?.stage).filter(stage => stage !== undefined);
+    const current = pipeline.listById(card.idList);
+    const source = readSource(card.desc);
+    const createdAt = events.find(event => !event.fromId)?.at || idTimestamp(card.id);
+    const appliedAt = source.date || createdAt;
+    const firstResponseAt = events.find(event => event.fromId && isResponse(pipeline.listById(event.toId)))?.at || null;
+    const daysToResponse = appliedAt && firstResponseAt && firstResponseAt >= appliedAt
+        ? (Date.parse(firstResponseAt) - Date.parse(appliedAt)) / DAY_MS : null;
+
+    return {
+        id: card.id,
+        name: card.name,
+        url: card.shortUrl || null,
+        company: readCompany(card),
+        source: source.name,
+        list: current?.name || card.idList,
+        outcome: current?.outcome || 'active',
+        highestStage: stages.length > 0 ? Math.max(...stages) : intake.stage,
+        appliedAt,
+        firstResponseAt,
+        daysToResponse: round(daysToResponse)
+    };
+}
+
+// Applications, replies and median days to the first reply per company or source
+function responseTimes(cards, keyOf) {
+    const groups = new Map();
+    for (const card of cards) {
+        const key = keyOf(card);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(card);
+    }
+    return [...groups].map(([name, group]) => {
+        const days = group.map(card => card.daysToResponse).filter(value => value !== null);
+        return { name, applications: group.length, responses: group.filter(card => card.firstResponseAt).length, medianDays: round(median(days)) };
+    }).sort((a, b) => b.applications - a.applications || a.name.localeCompare(b.name));
+}
+
+// Pure: { cards, actions } from loadBoardHistory, runs from the run history. The period
+// is the `days` before `now`; the funnel, rejections and response times cover every card.
+export function computeAnalytics({ cards: rawCards, actions, runs = [], pipeline, days = 7, now = new Date() }) {
+    const to = now.toISOString();
+    const from = new Date(now.getTime() - days * DAY_MS).toISOString();
+    const inPeriod = at => Boolean(at) && at >= from && at <= to;
+
+    const actionsByCard = new Map();
+    for (const action of actions) {
+        const cardId = action.data?.card?.id;
+        if (!cardId) continue;
+        if (!actionsByCard.has(cardId)) actionsByCard.set(cardId, []);
+        actionsByCard.get(cardId).push(action);
+    }
+    const events = new Map(rawCards.map(card => [card.id, cardEvents(actionsByCard.get(card.id) || [])]));
+    const cards = rawCards.map(card => analyzeCard(card, events.get(card.id), pipeline));
+
+    // Offers count as having passed every stage
+    const reached = stage => cards.filter(card => card.highestStage >= stage || card.outcome === 'offer').length;
+    const offers = cards.filter(card => card.outcome === 'offer').length;
+    const offerList = Object.values(pipeline.lists).find(list => list.outcome === 'offer' && list.id);
+    const funnel = pipeline.stageLists.map((list, i) => {
+        const next = pipeline.stageLists[i + 1];
+        const count = reached(list.stage);
+        const nextCount = next ? reached(next.stage) : offerList ? offers : null;
+        return { list: list.name, reached: count, next: next?.name || offerList?.name || null, conversion: nextCount === null ? null : round(ratio(nextCount, count), 3) };
+    });
+    if (offerList) funnel.push({ list: offerList.name, reached: offers, next: null, conversion: null });
+
+    // A rejected card counts against the furthest stage it got to
+    const rejections = pipeline.stageLists.map(list => {
+        const count = reached(list.stage);
+        const rejected = cards.filter(card => card.outcome === 'rejected' && card.highestStage === list.stage).length;
+        return { list: list.name, reached: count, rejected, rate: round(ratio(rejected, count), 3) };
+    });
+
+    // Moves into end-state lists during the period, e.g. postings removed by the job checker
+    const movedInto = { offer: 0, rejected: 0, removed: 0, ghosted: 0 };
+    let advanced = 0;
+    for (const event of [...events.values()].flat().filter(event => event.fromId && inPeriod(event.at))) {
+        const fromList = pipeline.listById(event.fromId);
+        const toList = pipeline.listById(event.toId);
+        if (toList?.outcome) movedInto[toList.outcome]++;
+        else if (toList?.stage !== undefined && toList.stage > (fromList?.stage ?? 0)) advanced++;
+    }
+
+    const bots = {};
+    for (const run of runs.filter(run => inPeriod(run.startedAt))) {
+        bots[run.script] ||= { runs: 0, failed: 0, moves: 0 };
+        bots[run.script].runs++;
+        if (run.status === 'failed') bots[run.script].failed++;
+        bots[run.script].moves += run.moves.filter(move => move.fromList).length;
+    }
+
+    const responded = cards.map(card => card.daysToResponse).filter(value => value !== null);
+    return {
+        generatedAt: to,
+        period: { from, to, days },
+        totals: {
+            cards: cards.length,
+            active: cards.filter(card => card.outcome === 'active').length,
+            offers,
+            rejected: cards.filter(card => card.outcome === 'rejected').length,
+            postingsRemoved: cards.filter(card => card.outcome === 'removed').length,
+            ghosted: cards.filter(card => card.outcome === 'ghosted').length,
+            responseRate: round(ratio(cards.filter(card => card.firstResponseAt).length, cards.length), 3),
+            medianDaysToResponse: round(median(responded))
+        },
+        activity: {
+            applied: cards.filter(card => inPeriod(card.appliedAt)).length,
+            responses: cards.filter(card => inPeriod(card.firstResponseAt)).length,
+            advanced,
+            offers: movedInto.offer,
+            rejected: movedInto.rejected,
+            postingsRemoved: movedInto.removed,
+            ghosted: movedInto.ghosted
+        },
+        funnel,
+        rejections,
+        responseTimes: {
+            byCompany: responseTimes(cards, card => card.company),
+            bySource: responseTimes(cards, card => card.source)
+        },
+        bots,
+        cards
+    };
+}
+
+export async function buildAnalytics({ trello, pipeline, days = 7, now = new Date() }) {
+    const [{ cards, actions }, runs] = await Promise.all([loadBoardHistory(trello, pipeline), readRunHistory()]);
+    return computeAnalytics({ cards, actions, runs, pipeline, days, now });
+}
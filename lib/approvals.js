@@ -0,0 +1,215 @@
+// --- Approvals ---
+// Card moves held for a person instead of being made by a bot: low-confidence matches
+// and moves the approval policy holds back (lib/policy.js). A held move is added to the
+// review queue, and the card gets the policy label ("Needs approval") and a comment.
+// It is decided in one of four ways:
+//   - `job-tracker review approve|reject <id>`
+//   - the Approve / Reject buttons of its ntfy notification (with DASHBOARD_URL set)
+//   - POST /api/review/:id/approve|reject on server.js, or the dashboard buttons
+//   - on the board: move the card yourself, or remove the label to reject;
+//     `job-tracker review sync` picks those decisions up
+// Every decision is appended to the labeled examples (lib/examples.js).
+import { loadReviewQueue } from './reviewQueue.js';
+import { labelCard } from './trello.js';
+import { appendExample } from './examples.js';
+import { startRun } from './runHistory.js';
+import { createAuditLog, undoCommand } from './auditLog.js';
+
+const LABEL_COLOR = 'purple';
+
+export class ReviewError extends Error {
+    // status: the HTTP status server.js answers with
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'ReviewError';
+        this.status = status;
+    }
+}
+
+// The first block of the ID, enough for `job-tracker review approve`
+export const shortId = item => item.id.split('-')[0];
+
+// --- Holding a Move ---
+
+// Queues the move and marks the card. item: the review item (type, cardId, cardName,
+// sourceListId, targetListId, targetListName, reason, ...). A failing label or comment
+// is logged but still leaves the item queued. Returns the queued item.
+export async function holdForApproval({ trello, reviewQueue, pipeline, card, item, boardLabels, log = console.log }) {
+    const queued = reviewQueue.add({ ...item, cardUrl: card.shortUrl || null });
+    if (queued.labelId !== undefined) return queued; // Already held by an earlier run
+    queued.labelId = null;
+    try {
+        const label = await labelCard(trello, card, { name: pipeline.policy.label, color: LABEL_COLOR }, boardLabels);
+        queued.labelId = label.id;
+        await trello.makeRequest('post', `/1/cards/${card.id}/actions/comments`, {
+            text: `⏸️ Waiting for approval: move to "${queued.targetListName}"? (${queued.reason})\n` +
+                `Approve with \`job-tracker review approve ${shortId(queued)}\` or by moving the card yourself; ` +
+                `reject with \`job-tracker review reject ${shortId(queued)}\` or by removing the "${pipeline.policy.label}" label.`
+        });
+    } catch (err) {
+        log(`    - ❌ Error marking card "${card.name}" for approval: ${err.message}`);
+    }
+    return queued;
+}
+
+// One notification per held move, with Approve / Reject buttons that call server.js.
+// Without DASHBOARD_URL there is nothing for the buttons to call, so the run summary
+// listing the held moves is all that is sent.
+export async function notifyHeld(notifier, items, env = process.env) {
+    const base = env.DASHBOARD_URL?.replace(/\/+$/, '');
+    if (!base) return;
+    for (const item of items) {
+        const url = decision => `${base}/api/review/${item.id}/${decision}?key=${item.key}`;
+        await notifier.notify('review', {
+            title: `Approve: ${item.cardName} -> ${item.targetListName}?`,
+            message: `${item.subject ? `Email: "${item.subject}"\n` : ''}${item.url ? `Posting: ${item.url}\n` : ''}Held because: ${item.reason}`,
+            actions: [{ label: 'Approve', url: url('approve') }, { label: 'Reject', url: url('reject') }],
+            links: item.cardUrl ? [{ label: 'Card', url: item.cardUrl }] : []
+        });
+    }
+}
+
+// --- Deciding ---
+
+// What the bot saw, what it proposed and what the person decided, for lib/examples.js
+function buildExample(item, decision, decidedBy, label) {
+    return {
+        itemId: item.id, type: item.type, decision, decidedBy,
+        input: item.messageId
+            ? { messageId: item.messageId, subject: item.subject, from: item.from, snippet: item.snippet || null }
+            : { url: item.url || null, evidence: item.evidence || [] },
+        proposed: {
+            action: item.action || item.classification || null, category: item.classification || null,
+            confidence: item.classificationConfidence ?? null, model: item.model || null,
+            matchMethod: item.matchMethod || null, matchConfidence: item.confidence ?? null,
+            targetList: item.targetListName, reason: item.reason || null
+        },
+        label
+    };
+}
+
+async function removeLabel(trello, item, log) {
+    if (!item.labelId) return;
+    try {
+        await trello.makeRequest('delete', `/1/cards/${item.cardId}/idLabels/${item.labelId}`);
+    } catch (err) {
+        log(`❌ Error removing the approval label from "${item.cardName}": ${err.message}`);
+    }
+}
+
+async function comment(trello, item, text, log) {
+    try {
+        await trello.makeRequest('post', `/1/cards/${item.cardId}/actions/comments`, { text });
+    } catch (err) {
+        log(`❌ Error commenting on "${item.cardName}": ${err.message}`);
+    }
+}
+
+// Approves (makes the move) or rejects one pending item; the caller saves the queue.
+// decidedBy: 'cli', 'ntfy', 'dashboard', 'api' or 'trello'. card: the card as it is
+// now, fetched when not given. Returns the resolved item.
+export async function decideItem({ item, decision, decidedBy, trello, reviewQueue, run, audit, card = null, log = console.log }) {
+    if (item.status !== 'pending') throw new ReviewError(`Review item ${shortId(item)} was already ${item.status}.`, 409);
+
+    if (decision === 'reject') {
+        await comment(trello, item, `❌ Rejected (${decidedBy}): not moved to "${item.targetListName}".`, log);
+        await removeLabel(trello, item, log);
+        const resolved = reviewQueue.resolve(item.id, 'rejected', { decidedBy });
+        await appendExample(buildExample(item, 'rejected', decidedBy, { list: item.sourceListName || null, category: null, correct: false }));
+        log(`❌ Rejected: "${item.cardName}" stays where it is.`);
+        return resolved;
+    }
+
+    card ||= await trello.makeRequest('get', `/1/cards/${item.cardId}`);
+    if (card.idList !== item.sourceListId && card.idList !== item.targetListId) {
+        throw new ReviewError(`"${item.cardName}" has moved since it was held; move it yourself or reject the item.`, 409);
+    }
+    const moved = card.idList !== item.targetListId;
+    let auditEntry = null;
+    if (moved) {
+        await trello.makeRequest('put', `/1/cards/${item.cardId}`, { idList: item.targetListId });
+        run.addMove({ cardId: item.cardId, cardName: item.cardName, fromList: item.sourceListName, toList: item.targetListName, reason: `Approved (${decidedBy}): ${item.reason}` });
+        auditEntry = await audit.append('MOVE', {
+            card: { id: item.cardId, name: item.cardName },
+            from: { id: item.sourceListId, name: item.sourceListName }, to: { id: item.targetListId, name: item.targetListName },
+            ...(item.messageId && { email: { id: item.messageId, threadId: item.threadId, subject: item.subject } }),
+            ...(item.url && { url: item.url, checkedBy: item.checkedBy, evidence: item.evidence }),
+            classification: item.classification, model: item.model, matchMethod: item.matchMethod, matchConfidence: item.confidence,
+            reviewItem: item.id, approvedBy: decidedBy
+        });
+    }
+    await comment(trello, item, moved
+        ? `✅ Approved (${decidedBy}): moved from "${item.sourceListName}" to "${item.targetListName}".${auditEntry ? `\nUndo with \`${undoCommand(auditEntry.id)}\`` : ''}`
+        : `✅ Approved (${decidedBy}): the card is in "${item.targetListName}".`, log);
+    await removeLabel(trello, item, log);
+    const resolved = reviewQueue.resolve(item.id, 'approved', { decidedBy, auditId: auditEntry?.id || null });
+    await appendExample(buildExample(item, 'approved', decidedBy, { list: item.targetListName, category: item.classification || null, correct: true }));
+    log(`✅ Approved: "${item.cardName}" -> "${item.targetListName}".`);
+    return resolved;
+}
+
+// One decision from the CLI or the server. ref: the item ID or its start; key, when
+// given, must be the item's (the ntfy buttons carry it instead of the dashboard token).
+export async function runDecision({ ref, decision, decidedBy, trello, key = null, log = console.log }) {
+    const reviewQueue = await loadReviewQueue();
+    let item;
+    try {
+        item = reviewQueue.find(ref);
+    } catch (err) {
+        throw new ReviewError(err.message, 400);
+    }
+    if (!item) throw new ReviewError(`Review item "${ref}" not found.`, 404);
+    if (key !== null && key !== item.key) throw new ReviewError('Wrong key for this review item.', 403);
+
+    const run = startRun('review');
+    const audit = createAuditLog({ script: 'review', runId: run.id });
+    try {
+        const resolved = await decideItem({ item, decision, decidedBy, trello, reviewQueue, run, audit, log });
+        await reviewQueue.save();
+        await run.succeed(`${resolved.status === 'approved' ? 'Approved' : 'Rejected'} "${item.cardName}" -> "${item.targetListName}" (${decidedBy}).`);
+        return resolved;
+    } catch (err) {
+        if (!(err instanceof ReviewError)) await run.fail(`Could not decide review item ${shortId(item)}: ${err.message}`);
+        throw err;
+    }
+}
+
+// --- Decisions Made on the Board ---
+
+// Looks at the card of every pending item: moved to the proposed list counts as approved,
+// moved anywhere else or the label removed as rejected (the list it went to is recorded
+// as the correct answer). Returns { approved, rejected, pending } counts.
+export async function syncBoardDecisions({ trello, pipeline, reviewQueue, run, audit, log = console.log }) {
+    const counts = { approved: 0, rejected: 0, pending: 0 };
+    for (const item of reviewQueue.pending()) {
+        let card;
+        try {
+            card = await trello.makeRequest('get', `/1/cards/${item.cardId}`);
+        } catch (err) {
+            log(`❌ Could not read "${item.cardName}": ${err.message}`);
+            run.addFailure(`Could not read "${item.cardName}": ${err.message}`, { cardId: item.cardId });
+            counts.pending++;
+            continue;
+        }
+        if (card.idList === item.targetListId) {
+            await decideItem({ item, decision: 'approve', decidedBy: 'trello', trello, reviewQueue, run, audit, card, log });
+            counts.approved++;
+        } else if (card.idList !== item.sourceListId) {
+            // Moved somewhere else by hand: the category whose list it went to was the right one
+            const list = pipeline.listById(card.idList);
+            const category = pipeline.categories.find(c => pipeline.lists[c.targetList]?.id === card.idList);
+            await removeLabel(trello, item, log);
+            reviewQueue.resolve(item.id, 'rejected', { decidedBy: 'trello', correctedListName: list?.name || card.idList });
+            await appendExample(buildExample(item, 'rejected', 'trello', { list: list?.name || card.idList, category: category?.name || null, correct: false }));
+            log(`↪️ "${item.cardName}" was moved to "${list?.name || card.idList}" instead of "${item.targetListName}": rejected.`);
+            counts.rejected++;
+        } else if (item.labelId && !(card.idLabels || []).includes(item.labelId)) {
+            item.labelId = null; // Nothing left to remove
+            await decideItem({ item, decision: 'reject', decidedBy: 'trello', trello, reviewQueue, run, audit, card, log });
+            counts.rejected++;
+        } else {
+            counts.pending++;
+        }
+    }
+    return counts;
+}
@@ -0,0 +1,64 @@
+// --- Audit Log ---
+// Every card move the bots make is appended to a JSON Lines file, with enough detail
+// to see why it happened (email, model, raw AI output, match method) and to undo it.
+// Entries are never changed or removed: an undo is a new entry pointing at the old one.
+import { promises as fs } from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+
+const DEFAULT_AUDIT_PATH = './state/audit.jsonl';
+
+export function auditLogPath() {
+    return process.env.AUDIT_LOG_PATH || DEFAULT_AUDIT_PATH;
+}
+
+export async function readAuditLog(filePath = auditLogPath()) {
+    let content;
+    try {
+        content = await fs.readFile(filePath, 'utf8');
+    } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+    }
+    return content.split('\n').filter(Boolean).map((line, i) => {
+        try {
+            return JSON.parse(line);
+        } catch {
+            throw new Error(`Audit log ${filePath} line ${i + 1} is not valid JSON.`);
+        }
+    });
+}
+
+// Writer for one run. Dry runs get a writer that records nothing.
+export function createAuditLog({ script, runId, dryRun = false, filePath = auditLogPath() }) {
+    return {
+        // type: 'MOVE' | 'UNDO'; the rest of the entry is free-form (card, from, to, email, ...).
+        // Returns the entry, or null when it could not be written (there is nothing to undo by).
+        async append(type, entry) {
+            const record = { id: randomUUID(), at: new Date().toISOString(), script, runId, type, ...entry };
+            if (dryRun) return record;
+            try {
+                await fs.mkdir(path.dirname(filePath), { recursive: true });
+                await fs.appendFile(filePath, JSON.stringify(record) + '\n');
+            } catch (err) {
+                console.error("❌ Failed to write the audit log:", err.message);
+                return null;
+            }
+            return record;
+        }
+    };
+}
+
+// The command that reverts one move, for card comments; moves of a profile are undone there
+export function undoCommand(actionId, env = process.env) {
+    return `node undo.js ${actionId}${env.PROFILE ? ` --profile ${env.PROFILE}` : ''}`;
+}
+
+// Moves that have not been undone yet, matching an action ID or a run ID
+export function findUndoableMoves(entries, { actionId, runId }) {
+    const undone = new Set(entries.filter(entry => entry.type === 'UNDO').map(entry => entry.undoes));
+    return entries.filter(entry =>
+        entry.type === 'MOVE' && !undone.has(entry.id) &&
+        (actionId ? entry.id === actionId : entry.runId === runId)
+    );
+}
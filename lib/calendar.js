@@ -0,0 +1,104 @@
+// --- Calendar Helpers ---
+// Time-zone conversion, .ics files and Google Calendar events for scheduled interviews.
+import { google } from 'googleapis';
+import { getScheduler } from './scheduler.js';
+
+// Offset (ms) of a time zone from UTC at the given instant, e.g. +3h for Asia/Jerusalem in summer
+function timeZoneOffset(date, timeZone) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }).formatToParts(date).map(part => [part.type, part.value]));
+    const wallTime = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return wallTime - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+export function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// "2025-03-04", "14:30" in "Europe/London" -> Date (the matching UTC instant)
+export function zonedTimeToUtc(date, time, timeZone) {
+    const [year, month, day] = date.split('-').map(Number);
+    const [hour, minute] = time.split(':').map(Number);
+    const wallTime = Date.UTC(year, month - 1, day, hour, minute);
+    // Correct twice so times next to a DST change land on the right offset
+    let utc = wallTime - timeZoneOffset(new Date(wallTime), timeZone);
+    utc = wallTime - timeZoneOffset(new Date(utc), timeZone);
+    return new Date(utc);
+}
+
+export function formatInTimeZone(date, timeZone) {
+    return date.toLocaleString('en-GB', { timeZone, weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
+}
+
+const icsDate = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+const icsText = (text) => String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets must be folded (RFC 5545 3.1)
+function foldLine(line) {
+    const chunks = [];
+    let rest = line;
+    while (Buffer.byteLength(rest) > 75) {
+        let cut = 74;
+        while (Buffer.byteLength(rest.slice(0, cut)) > 74) cut--;
+        // Never between the two halves of a surrogate pair (emoji)
+        if (/[\uD800-\uDBFF]/.test(rest[cut - 1])) cut--;
+        chunks.push(rest.slice(0, cut));
+        rest = rest.slice(cut);
+    }
+    chunks.push(rest);
+    return chunks.join('\r\n ');
+}
+
+// A single-event iCalendar file, with an alarm reminderMinutes before the start
+export function buildIcs({ uid, start, durationMinutes, summary, description = '', location = '', url = '', reminderMinutes }) {
+    const end = new Date(start.getTime() + durationMinutes * 60 * 1000);
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//job-tracker-automation//interviews//EN',
+        'METHOD:PUBLISH',
+        'BEGIN:VEVENT',
+        `UID:${uid}`,
+        `DTSTAMP:${icsDate(new Date())}`,
+        `DTSTART:${icsDate(start)}`,
+        `DTEND:${icsDate(end)}`,
+        `SUMMARY:${icsText(summary)}`,
+        ...(description ? [`DESCRIPTION:${icsText(description)}`] : []),
+        ...(location ? [`LOCATION:${icsText(location)}`] : []),
+        ...(url ? [`URL:${url}`] : []),
+        ...(reminderMinutes ? [
+            'BEGIN:VALARM',
+            'ACTION:DISPLAY',
+            `DESCRIPTION:${icsText(summary)}`,
+            `TRIGGER:-PT${reminderMinutes}M`,
+            'END:VALARM'
+        ] : []),
+        'END:VEVENT',
+        'END:VCALENDAR'
+    ];
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// Creates the event in Google Calendar and returns its link. Needs the
+// calendar.events scope (see GOOGLE_CALENDAR_ID in lib/gmail.js).
+export async function createCalendarEvent(auth, calendarId, { start, durationMinutes, timeZone, summary, description, location, reminderMinutes }, scheduler = getScheduler()) {
+    const calendar = google.calendar({ version: 'v3', auth });
+    const end = new Date(start.getTime() + durationMinutes * 60 * 1000);
+    const res = await scheduler.run('calendar', () => calendar.events.insert({
+        calendarId,
+        requestBody: {
+            summary, description, location,
+            start: { dateTime: start.toISOString(), timeZone },
+            end: { dateTime: end.toISOString(), timeZone },
+            reminders: { useDefault: false, overrides: [{ method: 'popup', minutes: reminderMinutes }] }
+        }
+    }), { label: 'Calendar events.insert', idempotent: false });
+    return res.data.htmlLink;
+}
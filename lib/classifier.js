@@ -0,0 +1,105 @@
+// --- Email Classifier ---
+// Reads the whole reply (not just the snippet) and asks the AI for a structured
+// analysis: the pipeline category plus what the email says. The answer is checked
+// against a schema and the AI is asked again, with the problems listed, when it
+// does not fit. Falls back to the keyword rules when no valid answer comes back.
+import { classifyWithRules, parseJsonResponse } from './llm/index.js';
+
+const MAX_ATTEMPTS = 3;
+const MAX_BODY_CHARS = 8000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Checks the parsed answer; returns { value, errors }. `value` is the normalized analysis.
+export function validateClassification(result, categoryNames) {
+    const errors = [];
+    if (!result || typeof result !== 'object' || Array.isArray(result)) {
+        return { value: null, errors: ['The answer must be a JSON object.'] };
+    }
+    const category = typeof result.category === 'string' ? result.category.trim().toUpperCase() : '';
+    if (!categoryNames.includes(category)) {
+        errors.push(`"category" must be one of ${categoryNames.join(', ')} (got ${JSON.stringify(result.category)}).`);
+    }
+    if (typeof result.confidence !== 'number' || result.confidence < 0 || result.confidence > 1) {
+        errors.push('"confidence" must be a number between 0 and 1.');
+    }
+    if (typeof result.summary !== 'string' || !result.summary.trim()) {
+        errors.push('"summary" must be a non-empty string.');
+    }
+    for (const field of ['company', 'role', 'nextStep']) {
+        if (result[field] != null && typeof result[field] !== 'string') errors.push(`"${field}" must be a string or null.`);
+    }
+    if (result.deadline != null && !(typeof result.deadline === 'string' && DATE_PATTERN.test(result.deadline))) {
+        errors.push('"deadline" must be a date in YYYY-MM-DD format or null.');
+    }
+    if (errors.length > 0) return { value: null, errors };
+
+    const optional = (value) => (typeof value === 'string' && value.trim()) || null;
+    return {
+        value: {
+            category,
+            confidence: Math.round(result.confidence * 100) / 100,
+            company: optional(result.company),
+            role: optional(result.role),
+            nextStep: optional(result.nextStep),
+            deadline: result.deadline || null,
+            summary: result.summary.trim()
+        },
+        errors
+    };
+}
+
+// rawOutput: the AI's last answer, if it gave one, so the audit log shows what it said;
+// fallback: the rules stand in for an AI that failed
+function rulesAnalysis(email, pipeline, { rawOutput = null, fallback = false } = {}) {
+    const category = classifyWithRules(email.subject, email.body.slice(0, 2000), pipeline);
+    console.log(`    - Rule-based classification: ${category}`);
+    return { category, confidence: null, company: null, role: null, nextStep: null, deadline: null, summary: null, source: 'rules', model: null, rawOutput, fallback };
+}
+
+// email: { subject, from, date, body } with the quoted history already stripped.
+// Returns { category, confidence, company, role, nextStep, deadline, summary, source: 'ai' | 'rules', model, rawOutput, fallback }.
+export async function classifyEmail(email, pipeline, llm) {
+    if (!llm) return rulesAnalysis(email, pipeline);
+
+    const categoryList = pipeline.categories.map(category => `- ${category.name}: ${category.description}`).join("\n");
+    const system = `You are an expert email classifier for a job application tracker.
+Classify the email into ONE of the following categories:
+${categoryList}
+Respond ONLY with a JSON object:
+{"category": string, "confidence": number, "company": string|null, "role": string|null, "nextStep": string|null, "deadline": "YYYY-MM-DD"|null, "summary": string}
+"confidence" is between 0 and 1. "nextStep" is what the candidate should do next, if anything.
+"deadline" is the date by which the candidate must act, if the email gives one.
+"summary" is one or two sentences in English.`;
+    const user = `Classify this email:\n---\nFrom: ${email.from}\nDate: ${email.date}\nSubject: ${email.subject}\n\n${email.body.slice(0, MAX_BODY_CHARS)}\n---`;
+
+    let prompt = user;
+    let response = null;
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+        let errors;
+        try {
+            console.log(`    - Asking ${llm.name} (${llm.model}) to classify email${attempt > 1 ? ` (attempt ${attempt})` : ''}...`);
+            response = await llm.complete({ system, user: prompt, temperature: 0 });
+            let parsed;
+            try {
+                parsed = parseJsonResponse(response);
+            } catch (parseError) {
+                errors = [parseError.message];
+            }
+            if (parsed) {
+                const result = validateClassification(parsed, pipeline.categoryNames);
+                if (result.value) {
+                    console.log(`    - AI Classification: ${result.value.category} (confidence ${result.value.confidence})`);
+                    return { ...result.value, source: 'ai', model: `${llm.name}/${llm.model}`, rawOutput: response, fallback: false };
+                }
+                errors = result.errors;
+            }
+        } catch (error) {
+            console.error(`    - ❌ Error calling ${llm.name} API: ${error.message}. Using the rule-based classifier.`);
+            return rulesAnalysis(email, pipeline, { rawOutput: response, fallback: true });
+        }
+        console.warn(`    - AI answer did not match the schema: ${errors.join(' ')}`);
+        prompt = `${user}\n\nYour previous answer was invalid: ${errors.join(' ')}\nRespond again with only the corrected JSON object.`;
+    }
+    console.warn(`    - No valid AI answer after ${MAX_ATTEMPTS} attempts. Using the rule-based classifier.`);
+    return rulesAnalysis(email, pipeline, { rawOutput: response, fallback: true });
+}
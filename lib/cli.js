@@ -0,0 +1,471 @@
+// --- job-tracker Command Line ---
+// One entry point for the bots and their upkeep:
+//   job-tracker sync-email        classify new replies and move the matching cards
+//   job-tracker check-postings    move cards whose job posting was taken down
+//   job-tracker follow-up         draft follow-ups for unanswered applications, move ghosted ones
+//   job-tracker ingest            create cards for applications found in Sent mail and confirmations
+//   job-tracker report            weekly funnel report (Markdown, HTML, CSV) and its notification
+//   job-tracker auth              sign in to Google and save token.json
+//   job-tracker config validate   check pipeline.json, the environment and the Google token
+//   job-tracker status            list sizes, review queue, reminders and recent runs
+//   job-tracker review            card moves waiting for approval; review approve|reject <id>
+//                                 decides one, review sync picks up decisions made on the board
+//   job-tracker undo <id>         move a card back; undo run <run-id> reverts a run, undo list shows moves
+// With profiles (lib/profiles.js) a command runs once per profile, or for --profile only.
+// runCli() returns the exit code instead of exiting, so the tests can call it directly.
+import { parseArgs } from 'util';
+import { existsSync } from 'fs';
+import { PLAN_FORMATS } from './dryRun.js';
+import { checkEnv, assertEnv, EnvError, ENV_COMMANDS } from './env.js';
+import { startRun, readRunHistory } from './runHistory.js';
+import { createNotifier } from './notifier.js';
+import { runEmailBot } from './emailBot.js';
+import { runJobChecker } from './jobChecker.js';
+import { runFollowUpChecker } from './followUpChecker.js';
+import { runIngestion } from './ingestion.js';
+import { runReport } from './report.js';
+import { authorize, readSavedToken, requiredScopes, tokenPath, authCommand } from './gmail.js';
+import { loadPipelineConfig } from './pipelineConfig.js';
+import { createTrelloClient, filterCards } from './trello.js';
+import { loadLedger } from './ledger.js';
+import { loadReviewQueue } from './reviewQueue.js';
+import { runDecision, syncBoardDecisions, shortId } from './approvals.js';
+import { createAuditLog } from './auditLog.js';
+import { listMoves, runUndo } from './undo.js';
+import { loadReminders } from './reminders.js';
+import { getScheduler } from './scheduler.js';
+import { loadProfiles, selectProfiles, profileEnv, withEnv, ProfileError } from './profiles.js';
+
+const USAGE = `Usage: job-tracker <command> [options]
+
+Commands:
+  sync-email        Classify new replies and move the matching Trello cards
+  check-postings    Move cards whose job posting was taken down to "Job Deleted"
+  follow-up         Draft follow-up emails for unanswered applications; move ghosted ones
+  ingest            Create "Sent CV" cards for applications found in Sent mail and confirmations
+  report            Write the funnel report (Markdown, HTML, CSV) and send its headline numbers
+  auth              Sign in to Google and save token.json
+  config validate   Check pipeline.json, the environment and the Google token
+  status            Show list sizes, the review queue, reminders and recent runs
+  review            List the card moves waiting for approval
+  review approve <id>, review reject <id>
+                    Make or drop a held move (the start of the ID is enough)
+  review sync       Pick up decisions made on the board (card moved, label removed)
+  undo <id>         Move a card back after an automated move (the action ID from its comment)
+  undo run <run-id> Revert every move of a run
+  undo list         Show the latest card moves and their action IDs
+
+Options:
+  --list <list>        Only these lists (key, name or ID from pipeline.json; repeat or comma-separate)
+  --card <card>        Only cards whose ID or name contains this (repeat or comma-separate)
+  --lookback <days>    sync-email: search this many days back instead of since the last run;
+                       report: the period the report covers (default 7)
+  --from-history       sync-email: read only what Gmail added since the last run
+  --dry-run            Plan the changes without writing to Trello or Gmail (report: print it only)
+  --plan-format <fmt>  Dry-run plan as text or json
+  --limit <n>          undo list: how many moves to show (default 20)
+  --profile <name>     Only these profiles from profiles.json (repeat or comma-separate;
+                       default: PROFILE if set, else all)
+  --json               Print the result as JSON on stdout (logs go to stderr)
+  -v, --verbose        Also print request counts per service
+  -q, --quiet          Only print warnings, errors and the result
+  -h, --help           Show this help`;
+
+const OPTIONS = {
+    'list': { type: 'string', multiple: true },
+    'card': { type: 'string', multiple: true },
+    'lookback': { type: 'string' },
+    'from-history': { type: 'boolean' },
+    'dry-run': { type: 'boolean' },
+    'plan-format': { type: 'string' },
+    'limit': { type: 'string' },
+    'profile': { type: 'string', multiple: true },
+    'json': { type: 'boolean' },
+    'verbose': { type: 'boolean', short: 'v' },
+    'quiet': { type: 'boolean', short: 'q' },
+    'help': { type: 'boolean', short: 'h' }
+};
+const COMMON_OPTIONS = ['json', 'verbose', 'quiet', 'help', 'profile'];
+
+class UsageError extends Error {}
+
+// --- Output ---
+// --json keeps stdout for the result, and --dry-run --plan-format json for the plan, so the
+// bots' logs move to stderr; --quiet drops them.
+function redirectLogs({ json, quiet, 'dry-run': dryRun, 'plan-format': planFormat }) {
+    const original = console.log;
+    if (quiet) console.log = () => {};
+    else if (json || (dryRun && planFormat === 'json')) console.log = (...args) => console.error(...args);
+    return () => { console.log = original; };
+}
+
+function printStats() {
+    const services = Object.entries(getScheduler().stats);
+    if (services.length === 0) return;
+    console.log(`📊 Requests: ${services.map(([service, s]) => `${service} ${s.calls} (${s.retries} retries, ${s.failures} failed)`).join(', ')}`);
+}
+
+// "a,b" --list a --list "c" -> ['a', 'b', 'c']
+const splitValues = values => (values || []).flatMap(value => value.split(',')).map(value => value.trim()).filter(Boolean);
+
+// --- Commands ---
+// Each returns { exitCode, result }; result is what --json prints.
+
+// The bot commands: the run is created up front so a crash is still recorded
+async function runBot({ command, script, title, tags, start }, options, clients) {
+    assertEnv(command, clients.env, { skip: clients.trello ? ['TRELLO_API_KEY', 'TRELLO_TOKEN'] : [] });
+    const dryRun = Boolean(options['dry-run']);
+    const notifier = createNotifier({ script, dryRun, tags, env: clients.env });
+    const run = startRun(script, { dryRun });
+    // With --json the plan is part of the result, so the bot prints the readable one to the logs
+    const planFormat = options.json ? 'text' : options['plan-format'];
+    try {
+        const { plan } = await start({ notifier, dryRun, run, planFormat });
+        await notifier.flush();
+        if (options.verbose) printStats();
+        return { exitCode: run.record.status === 'failed' ? 1 : 0, result: { run: run.record, plan: plan && { actions: plan.actions } } };
+    } catch (error) {
+        console.error("\n--- Critical Error ---");
+        console.error("An unhandled error occurred:", error.message);
+        console.error(error.stack);
+        await run.fail(`Script crashed: ${error.message}`);
+        await notifier.notify("crash", { title, message: `Script crashed: ${error.message}` });
+        await notifier.flush();
+        return { exitCode: 1, result: { run: run.record, plan: null } };
+    }
+}
+
+function syncEmail(options, clients) {
+    let lookbackDays = null;
+    if (options.lookback !== undefined) {
+        lookbackDays = Number(options.lookback);
+        if (!(lookbackDays > 0)) throw new UsageError(`--lookback must be a positive number of days (got "${options.lookback}").`);
+        if (options['from-history']) throw new UsageError("--lookback and --from-history cannot be combined.");
+    }
+    return runBot({
+        command: 'sync-email', script: 'email-bot', title: "Trello Bot: CRITICAL ERROR", tags: ['robot'],
+        start: ({ notifier, dryRun, run, planFormat }) => runEmailBot({
+            notifier, dryRun, run, planFormat, fromHistory: Boolean(options['from-history']),
+            lists: splitValues(options.list), cards: splitValues(options.card), lookbackDays,
+            trello: clients.trello, connectGmail: clients.connectGmail, env: clients.env
+        })
+    }, options, clients);
+}
+
+function checkPostings(options, clients) {
+    return runBot({
+        command: 'check-postings', script: 'job-checker', title: "Job Checker: CRITICAL ERROR", tags: ['broom', 'robot'],
+        start: ({ notifier, dryRun, run, planFormat }) => runJobChecker({
+            notifier, dryRun, run, planFormat,
+            lists: splitValues(options.list), cards: splitValues(options.card), trello: clients.trello, env: clients.env
+        })
+    }, options, clients);
+}
+
+function followUp(options, clients) {
+    return runBot({
+        command: 'follow-up', script: 'follow-up', title: "Follow-Up Checker: CRITICAL ERROR", tags: ['envelope', 'robot'],
+        start: ({ notifier, dryRun, run, planFormat }) => runFollowUpChecker({
+            notifier, dryRun, run, planFormat,
+            lists: splitValues(options.list), cards: splitValues(options.card),
+            trello: clients.trello, connectGmail: clients.connectGmail, env: clients.env
+        })
+    }, options, clients);
+}
+
+function ingest(options, clients) {
+    return runBot({
+        command: 'ingest', script: 'ingestion', title: "Ingestion: CRITICAL ERROR", tags: ['inbox_tray', 'robot'],
+        start: ({ notifier, dryRun, run, planFormat }) => runIngestion({
+            notifier, dryRun, run, planFormat, trello: clients.trello, connectGmail: clients.connectGmail, env: clients.env
+        })
+    }, options, clients);
+}
+
+async function report(options, { env, trello }) {
+    assertEnv('report', env, { skip: trello ? ['TRELLO_API_KEY', 'TRELLO_TOKEN'] : [] });
+    const days = options.lookback === undefined ? 7 : Number(options.lookback);
+    if (!(days > 0)) throw new UsageError(`--lookback must be a positive number of days (got "${options.lookback}").`);
+    const pipeline = loadPipelineConfig(env.PIPELINE_CONFIG_PATH || undefined, env);
+    const dryRun = Boolean(options['dry-run']);
+    const notifier = createNotifier({ script: 'report', dryRun, tags: ['bar_chart'], env });
+    const { report: result, files } = await runReport({
+        notifier, pipeline, days, dryRun, env, trello: trello || createTrelloClient(env.TRELLO_API_KEY, env.TRELLO_TOKEN)
+    });
+    await notifier.flush();
+    if (options.verbose) printStats();
+    return { exitCode: 0, result: { ...result, files } };
+}
+
+async function auth(options, { env }) {
+    await authorize({ interactive: true });
+    const scopes = requiredScopes(env);
+    console.log(`Scopes: ${scopes.join(', ')}`);
+    console.log(env.PROFILE
+        ? `For GitHub Actions, put the contents of ${tokenPath(env)} in this profile's GOOGLE_TOKEN_JSON in the PROFILES_JSON secret.`
+        : "For GitHub Actions, store the contents of token.json in the GOOGLE_TOKEN_JSON secret.");
+    return { exitCode: 0, result: { ok: true, scopes, token: tokenPath(env) } };
+}
+
+async function validateConfig(options, { env }) {
+    const result = { valid: true, pipeline: { path: null, errors: [] }, commands: {} };
+    try {
+        const pipeline = loadPipelineConfig(env.PIPELINE_CONFIG_PATH || undefined, env);
+        result.pipeline.path = pipeline.filePath;
+        console.log(`✅ ${pipeline.filePath}: ${pipeline.categories.length} categories, ${Object.keys(pipeline.lists).length} lists.`);
+    } catch (configError) {
+        result.pipeline.errors = configError.errors || [configError.message];
+        console.log(`❌ ${configError.message}`);
+    }
+
+    const token = await readSavedToken();
+    for (const command of ENV_COMMANDS) {
+        const problems = checkEnv(command, env);
+        if (['sync-email', 'follow-up', 'ingest'].includes(command)) {
+            if (!existsSync('./credentials.json')) problems.push("credentials.json not found (the Google OAuth client).");
+            if (token.problem) problems.push(`${token.problem}. Run \`${authCommand(env)}\`.`);
+        }
+        result.commands[command] = problems;
+        if (problems.length === 0) {
+            console.log(`✅ ${command}: ready.`);
+        } else {
+            console.log(`❌ ${command}:\n${problems.map(p => `  - ${p}`).join('\n')}`);
+        }
+    }
+    result.valid = result.pipeline.errors.length === 0 && Object.values(result.commands).every(problems => problems.length === 0);
+    return { exitCode: result.valid ? 0 : 1, result };
+}
+
+async function status(options, { env, trello }) {
+    assertEnv('status', env, { skip: trello ? ['TRELLO_API_KEY', 'TRELLO_TOKEN'] : [] });
+    const pipeline = loadPipelineConfig(env.PIPELINE_CONFIG_PATH || undefined, env);
+    const listRefs = splitValues(options.list);
+    const unknown = listRefs.filter(ref => !pipeline.findList(ref)?.id);
+    if (unknown.length > 0) throw new UsageError(`Unknown or unconfigured list(s): ${unknown.join(', ')}.`);
+    const lists = listRefs.length > 0 ? listRefs.map(ref => pipeline.findList(ref)) : Object.values(pipeline.lists).filter(list => list.id);
+    const cardFilters = splitValues(options.card);
+    trello ||= createTrelloClient(env.TRELLO_API_KEY, env.TRELLO_TOKEN);
+
+    const result = { lists: [], cards: [], reviewQueue: {}, reminders: {}, emailSync: {}, runs: {} };
+    for (const list of lists) {
+        const cards = await trello.makeRequest('get', `/1/lists/${list.id}/cards`);
+        result.lists.push({ key: list.key, name: list.name, id: list.id, cards: cards.length });
+        if (cardFilters.length > 0) {
+            result.cards.push(...filterCards(cards, cardFilters).map(card => ({ id: card.id, name: card.name, list: list.name, url: card.shortUrl || null })));
+        }
+    }
+    const [ledger, reviewQueue, reminders, runs] = await Promise.all([loadLedger(), loadReviewQueue(), loadReminders(), readRunHistory()]);
+    const pending = reviewQueue.pending();
+    result.reviewQueue = { pending: pending.length, oldest: pending[0]?.createdAt || null };
+    const upcoming = reminders.upcoming();
+    result.reminders = { upcoming: upcoming.length, next: upcoming[0] ? { title: upcoming[0].title, at: upcoming[0].at } : null };
+    result.emailSync = { lastRunAt: ledger.lastRunAt, lastHistoryId: ledger.lastHistoryId };
+    // Newest first in the history, so the first run per script is its latest
+    for (const run of runs) {
+        result.runs[run.script] ||= { status: run.status, startedAt: run.startedAt, summary: run.summary, failures: run.failures.length };
+    }
+
+    if (!options.json) {
+        console.log("📋 Board");
+        const width = Math.max(...result.lists.map(list => list.name.length));
+        result.lists.forEach(list => console.log(`  ${list.name.padEnd(width)}  ${list.cards}`));
+        if (cardFilters.length > 0) {
+            console.log(`🔎 Cards matching ${cardFilters.map(f => `"${f}"`).join(', ')}: ${result.cards.length}`);
+            result.cards.forEach(card => console.log(`  ${card.name} (${card.list})${card.url ? ` ${card.url}` : ''}`));
+        }
+        console.log(`🗂️  Review queue: ${pending.length} pending${pending.length > 0 ? ` (oldest from ${result.reviewQueue.oldest})` : ''}`);
+        console.log(`⏰ Reminders: ${upcoming.length} upcoming${upcoming.length > 0 ? ` (next: ${upcoming[0].title} at ${upcoming[0].at})` : ''}`);
+        console.log(`📨 Email sync: ${ledger.lastRunAt ? `last run ${ledger.lastRunAt}` : 'never run'}`);
+        console.log("🏃 Latest runs");
+        if (runs.length === 0) console.log("  none recorded");
+        for (const [script, run] of Object.entries(result.runs)) {
+            console.log(`  ${script.padEnd(12)} ${run.status.padEnd(8)} ${run.startedAt}  ${run.summary}`);
+        }
+    }
+    return { exitCode: 0, result };
+}
+
+// Pending items, oldest first
+async function reviewList(options) {
+    const items = (await loadReviewQueue()).pending();
+    if (!options.json) {
+        console.log(`🗂️  ${items.length} waiting for approval`);
+        items.forEach(item => console.log(`  ${shortId(item)}  ${item.cardName}: ${item.sourceListName || '?'} -> ${item.targetListName} (${item.reason || `confidence ${item.confidence}`})`));
+    }
+    return { exitCode: 0, result: { items } };
+}
+
+function reviewDecision(decision) {
+    return async (options, { env, trello }) => {
+        assertEnv('review', env, { skip: trello ? ['TRELLO_API_KEY', 'TRELLO_TOKEN'] : [] });
+        const item = await runDecision({
+            ref: options.id, decision, decidedBy: 'cli', trello: trello || createTrelloClient(env.TRELLO_API_KEY, env.TRELLO_TOKEN)
+        });
+        return { exitCode: 0, result: { item } };
+    };
+}
+
+async function reviewSync(options, { env, trello }) {
+    assertEnv('review', env, { skip: trello ? ['TRELLO_API_KEY', 'TRELLO_TOKEN'] : [] });
+    const pipeline = loadPipelineConfig(env.PIPELINE_CONFIG_PATH || undefined, env);
+    const reviewQueue = await loadReviewQueue();
+    const run = startRun('review');
+    const audit = createAuditLog({ script: 'review', runId: run.id });
+    const counts = await syncBoardDecisions({ trello: trello || createTrelloClient(env.TRELLO_API_KEY, env.TRELLO_TOKEN), pipeline, reviewQueue, run, audit });
+    await reviewQueue.save();
+    await run.succeed(`Decided on the board: ${counts.approved} approved, ${counts.rejected} rejected; ${counts.pending} still waiting.`);
+    console.log(`🗂️  ${run.record.summary}`);
+    return { exitCode: run.record.status === 'success' ? 0 : 1, result: { run: run.record, ...counts } };
+}
+
+// undo <id> and undo run <run-id>; the plan is part of the result as for the bots
+async function undo(options, { env, trello }) {
+    assertEnv('undo', env, { skip: trello ? ['TRELLO_API_KEY', 'TRELLO_TOKEN'] : [] });
+    const { run, plan, reverted, moves } = await runUndo({
+        actionId: options.id, runId: options['run-id'], dryRun: Boolean(options['dry-run']),
+        planFormat: options.json ? 'text' : options['plan-format'], trello, env
+    });
+    return { exitCode: run.status === 'failed' ? 1 : 0, result: { run, plan: plan && { actions: plan.actions }, reverted, moves } };
+}
+
+async function undoList(options) {
+    const limit = options.limit === undefined ? 20 : Number(options.limit);
+    if (!(Number.isInteger(limit) && limit > 0)) throw new UsageError(`--limit must be a positive whole number (got "${options.limit}").`);
+    const moves = await listMoves(limit);
+    if (!options.json) {
+        if (moves.length === 0) console.log("No card moves recorded yet.");
+        for (const move of moves) {
+            const why = move.email ? `email "${move.email.subject}" -> ${move.classification}`
+                : move.checkedBy ? `posting check (${move.checkedBy})` : move.reason;
+            console.log(`${move.id}  ${move.at}  ${move.script}  run ${move.runId}${move.undone ? '  [undone]' : ''}`);
+            console.log(`    "${move.card.name}": ${move.from.name} -> ${move.to.name} (${why})`);
+        }
+    }
+    return { exitCode: 0, result: { moves } };
+}
+
+const COMMANDS = {
+    'sync-email': { run: syncEmail, options: ['list', 'card', 'lookback', 'from-history', 'dry-run', 'plan-format'] },
+    'check-postings': { run: checkPostings, options: ['list', 'card', 'dry-run', 'plan-format'] },
+    'follow-up': { run: followUp, options: ['list', 'card', 'dry-run', 'plan-format'] },
+    'ingest': { run: ingest, options: ['dry-run', 'plan-format'] },
+    'report': { run: report, options: ['lookback', 'dry-run'] },
+    // One browser sign-in per run, so with profiles it needs --profile
+    'auth': { run: auth, options: [], oneProfile: true },
+    'config validate': { run: validateConfig, options: [] },
+    'status': { run: status, options: ['list', 'card'] },
+    'review': { run: reviewList, options: [] },
+    // args: positional arguments, passed on in options under these names. An item is in one profile's queue.
+    'review approve': { run: reviewDecision('approve'), options: [], args: ['id'], oneProfile: true },
+    'review reject': { run: reviewDecision('reject'), options: [], args: ['id'], oneProfile: true },
+    'review sync': { run: reviewSync, options: [] },
+    // Moves are undone on one profile's board
+    'undo': { run: undo, options: ['dry-run', 'plan-format'], args: ['id'], oneProfile: true },
+    'undo run': { run: undo, options: ['dry-run', 'plan-format'], args: ['run-id'], oneProfile: true },
+    'undo list': { run: undoList, options: ['limit'], oneProfile: true }
+};
+
+function parseCommandLine(argv) {
+    const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true, strict: true });
+    const twoWords = positionals.slice(0, 2).join(' ');
+    const name = COMMANDS[twoWords] ? twoWords : positionals[0];
+    const command = COMMANDS[name];
+    if (values.help && (!name || command)) return { help: true };
+    if (!command) throw new UsageError(name ? `Unknown command "${name}".` : 'No command given.');
+    const args = command.args || [];
+    const extra = positionals.slice(name.split(' ').length);
+    if (extra.length > args.length) throw new UsageError(`Unexpected argument(s) for ${name}: ${extra.slice(args.length).join(' ')}`);
+    if (extra.length < args.length) throw new UsageError(`${name} needs <${args[extra.length]}>.`);
+    const unsupported = Object.keys(values).filter(option => !COMMON_OPTIONS.includes(option) && !command.options.includes(option));
+    if (unsupported.length > 0) throw new UsageError(`${name} does not take ${unsupported.map(o => `--${o}`).join(', ')}.`);
+    if (values.verbose && values.quiet) throw new UsageError("--verbose and --quiet cannot be combined.");
+    args.forEach((arg, i) => { values[arg] = extra[i]; });
+    values['plan-format'] ||= 'text';
+    if (!PLAN_FORMATS.includes(values['plan-format'])) {
+        throw new UsageError(`Invalid --plan-format "${values['plan-format']}". Use one of: ${PLAN_FORMATS.join(', ')}.`);
+    }
+    return { name, command, options: values };
+}
+
+// One command run; errors become an exit code and the { error, problems } result
+async function execute(name, command, options, clients) {
+    try {
+        return await command.run(options, clients);
+    } catch (error) {
+        const known = error instanceof EnvError || error instanceof UsageError || ['PipelineConfigError', 'ReviewError', 'UndoError'].includes(error.name);
+        console.error(`❌ ${known ? error.message : `${name} failed: ${error.message}`}`);
+        return { exitCode: error instanceof UsageError ? 2 : 1, result: { error: error.message, problems: error.problems || error.errors || [] } };
+    }
+}
+
+// The profiles to run (--profile, PROFILE or all), or null to use env as it is
+function pickProfiles(name, command, options, env) {
+    const profiles = loadProfiles(env);
+    if (!profiles) {
+        if (options.profile) throw new UsageError("--profile given, but no profiles are configured (profiles.json or PROFILES_JSON).");
+        return null;
+    }
+    const names = options.profile ? splitValues(options.profile) : env.PROFILE ? [env.PROFILE] : [];
+    let selected;
+    try {
+        selected = selectProfiles(profiles, names);
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+    if (command.oneProfile && selected.length > 1) {
+        throw new UsageError(`${name} needs one profile: add --profile <name> (one of: ${profiles.map(p => p.name).join(', ')}).`);
+    }
+    // Each profile would print its own plan, and stdout would not be one JSON document
+    if (options['dry-run'] && options['plan-format'] === 'json' && !options.json && selected.length > 1) {
+        throw new UsageError("--plan-format json prints one profile's plan: add --profile <name>, or use --json for every profile's plan.");
+    }
+    return selected;
+}
+
+// argv without the node and script paths. trello, connectGmail and env replace the real
+// clients and process.env (tests); print receives the result lines.
+export async function runCli(argv, { trello = null, connectGmail = undefined, env = process.env, print = console.log } = {}) {
+    let parsed;
+    try {
+        parsed = parseCommandLine(argv);
+    } catch (error) {
+        console.error(`❌ ${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+    if (parsed.help) {
+        print(USAGE);
+        return 0;
+    }
+
+    const { name, command, options } = parsed;
+    let profiles;
+    try {
+        profiles = pickProfiles(name, command, options, env);
+    } catch (error) {
+        if (options.json) print(JSON.stringify({ error: error.message, problems: error.errors || [] }, null, 2));
+        console.error(`❌ ${error.message}`);
+        return error instanceof ProfileError ? 1 : 2;
+    }
+
+    const restoreLogs = redirectLogs(options);
+    try {
+        if (!profiles) {
+            const { exitCode, result } = await execute(name, command, options, { trello, connectGmail, env });
+            if (options.json) print(JSON.stringify(result, null, 2));
+            return exitCode;
+        }
+        // One after another, each with its own environment; a failing profile does not stop the others
+        let exitCode = 0;
+        const results = {};
+        for (const profile of profiles) {
+            console.log(`\n👤 Profile "${profile.name}"`);
+            const outcome = await withEnv(profileEnv(profile, env), () => execute(name, command, options, { trello, connectGmail, env: process.env }));
+            exitCode = Math.max(exitCode, outcome.exitCode);
+            results[profile.name] = outcome.result;
+        }
+        if (options.json) print(JSON.stringify({ profiles: results }, null, 2));
+        return exitCode;
+    } finally {
+        restoreLogs();
+    }
+}
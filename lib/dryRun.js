@@ -0,0 +1,75 @@
+// --- Dry-Run Support (shared by index.js and checkJobs.js) ---
+// In dry-run mode the scripts still fetch, match and classify, but every write
+// to Trello or Gmail is recorded in a plan instead of being executed.
+
+export const PLAN_FORMATS = ['text', 'json'];
+
+// Collects the actions a dry run would have taken.
+export function createPlan(scriptName) {
+    const actions = [];
+
+    return {
+        actions,
+
+        addCardMove({ cardId, cardName, fromListName, toListId, toListName, reason }) {
+            actions.push({ type: 'MOVE_CARD', cardId, cardName, fromListName, toListId, toListName, reason });
+        },
+
+        addCardCreate({ cardName, listName, desc, attachmentUrl }) {
+            actions.push({ type: 'CREATE_CARD', cardName, listName, desc, attachmentUrl });
+        },
+
+        addCardUpdate({ cardId, cardName, change }) {
+            actions.push({ type: 'UPDATE_CARD', cardId, cardName, change });
+        },
+
+        // A move that would be held for approval: an email's (subject) or a posting's (url)
+        addReviewItem({ cardName, targetListName, reason, confidence = null, matchMethod = null, subject = null, url = null }) {
+            actions.push({ type: 'QUEUE_REVIEW', cardName, targetListName, reason, confidence, matchMethod, subject, url });
+        },
+
+        addLabelChange({ messageId, subject, removeLabels = [], addLabels = [] }) {
+            actions.push({ type: 'CHANGE_LABELS', messageId, subject, removeLabels, addLabels });
+        },
+
+        // The JSON plan always goes to stdout; the scripts send their logs to stderr for it
+        print(format = 'text') {
+            if (format === 'json') {
+                process.stdout.write(`${JSON.stringify({ script: scriptName, dryRun: true, generatedAt: new Date().toISOString(), actions }, null, 2)}\n`);
+                return;
+            }
+            console.log(`\n--- Dry-Run Plan (${scriptName}): ${actions.length} action(s) ---`);
+            if (actions.length === 0) {
+                console.log("No changes would be made.");
+            }
+            actions.forEach((action, i) => console.log(`${i + 1}. ${describeAction(action)}`));
+            console.log("--- Nothing was written to Trello or Gmail ---");
+        }
+    };
+}
+
+function describeAction(action) {
+    if (action.type === 'MOVE_CARD') {
+        const from = action.fromListName ? ` from "${action.fromListName}"` : '';
+        const details = Object.entries(action.reason || {}).map(([key, value]) => `${key}: ${value}`).join(', ');
+        return `MOVE card "${action.cardName}"${from} -> "${action.toListName}"${details ? ` (${details})` : ''}`;
+    }
+    if (action.type === 'CREATE_CARD') {
+        return `CREATE card "${action.cardName}" in "${action.listName}"${action.attachmentUrl ? ` with link ${action.attachmentUrl}` : ''}`;
+    }
+    if (action.type === 'UPDATE_CARD') {
+        return `UPDATE card "${action.cardName}": ${action.change}`;
+    }
+    if (action.type === 'QUEUE_REVIEW') {
+        const source = action.subject ? `email: "${action.subject}"` : `posting: ${action.url}`;
+        return `REVIEW card "${action.cardName}" -> "${action.targetListName}"? (${action.reason}, ${source})`;
+    }
+    if (action.type === 'CHANGE_LABELS') {
+        const changes = [
+            ...action.removeLabels.map(label => `-${label}`),
+            ...action.addLabels.map(label => `+${label}`)
+        ].join(' ');
+        return `LABEL email ${action.messageId} ${changes} ("${action.subject}")`;
+    }
+    return JSON.stringify(action);
+}
@@ -0,0 +1,547 @@
+// --- Email Bot ---
+// Reads new replies from Gmail, matches each to a Trello card, classifies it and moves
+// the card along the pipeline. `job-tracker sync-email` runs it from the command line.
+import { readLLMConfig, createLLMProvider } from './llm/index.js';
+import { classifyEmail } from './classifier.js';
+import { createPlan } from './dryRun.js';
+import { loadLedger } from './ledger.js';
+import { loadPipelineConfig } from './pipelineConfig.js';
+import { matchEmailToCard } from './matcher.js';
+import { loadReviewQueue } from './reviewQueue.js';
+import { checkPolicy } from './policy.js';
+import { holdForApproval, notifyHeld } from './approvals.js';
+import { authorize, listMessages, listHistoryMessages, createGmailClient, extractPlainText, stripQuotedReply } from './gmail.js';
+import { createTrelloClient, filterCards } from './trello.js';
+import { checkEnv } from './env.js';
+import { startRun } from './runHistory.js';
+import { extractInterviewDetails } from './interview.js';
+import { buildIcs, createCalendarEvent, formatInTimeZone } from './calendar.js';
+import { loadReminders } from './reminders.js';
+import { createAuditLog, undoCommand } from './auditLog.js';
+
+const INTERVIEW_CHECKLIST = 'Interviews';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The workflows pass unset secrets as empty strings, hence || instead of defaults
+function readSettings(env) {
+    return {
+        myEmail: env.MY_EMAIL?.trim(),
+        lookbackDays: Number(env.EMAIL_LOOKBACK_DAYS || 7), // First-run search window when the ledger is empty
+        // --- Interview Scheduling ---
+        calendarId: env.GOOGLE_CALENDAR_ID, // Create Google Calendar events; without it an .ics file is attached to the card
+        interviewTimeZone: env.INTERVIEW_TIMEZONE || 'Asia/Jerusalem', // Used when the invitation names no time zone
+        reminderMinutes: Number(env.INTERVIEW_REMINDER_MINUTES || 60),
+        ntfyMaxDelayHours: Number(env.NTFY_MAX_DELAY_HOURS || 72) // How far ahead the ntfy server accepts scheduled messages
+    };
+}
+
+// --- AI Model Setup ---
+// Provider is selected with LLM_PROVIDER / LLM_MODEL (see lib/llm/index.js)
+function createClassifierLLM(env) {
+    try {
+        const llm = createLLMProvider(readLLMConfig('LLM', { provider: 'groq', model: 'llama-3.1-8b-instant' }, env));
+        if (llm) {
+            console.log(`🤖 AI Client initialized: ${llm.name} (model "${llm.model}").`);
+        } else {
+            console.log("🤖 LLM_PROVIDER=rules: using the rule-based classifier only.");
+        }
+        return llm;
+    } catch (llmError) {
+        console.error(`❌ Error: ${llmError.message} Falling back to the rule-based classifier.`);
+        return null;
+    }
+}
+
+// --list values -> pipeline lists; all stage lists (and "Ghosted", where a late reply
+// can still arrive) when there are none
+function resolveLists(pipeline, refs) {
+    const { ghostedList } = pipeline.followUp;
+    if (refs.length === 0) return ghostedList?.id ? [...pipeline.stageLists, ghostedList] : pipeline.stageLists;
+    const unknown = refs.filter(ref => !pipeline.findList(ref)?.id);
+    if (unknown.length > 0) {
+        throw new Error(`Unknown or unconfigured list(s): ${unknown.join(', ')}. Use a list key or name from ${pipeline.filePath}.`);
+    }
+    return refs.map(ref => pipeline.findList(ref));
+}
+
+async function connectToGmail() {
+    const auth = await authorize();
+    return { auth, gmail: createGmailClient(auth) };
+}
+
+async function markEmailAsRead(gmail, messageId) {
+    try {
+        await gmail.users.messages.modify({ userId: 'me', id: messageId, resource: { removeLabelIds: ['UNREAD'] } });
+        console.log(`    - Marked email ${messageId} as read.`);
+    } catch (error) { console.error(`    - Failed to mark email ${messageId} as read:`, error.message); }
+}
+
+// --- Card Comment: the AI's reading of the email, kept on the card ---
+// move: { from, to, matchMethod, auditId } when the bot moved the card because of this email;
+// auditId is null when the audit log could not be written, and then there is no undo hint
+function buildEmailComment({ subject, fromEmail, formattedDate }, analysis, move = null) {
+    const lines = [`📧 **${subject}**`, `From ${fromEmail}, ${formattedDate}`, ''];
+    if (move) {
+        lines.push(`🤖 Moved from "${move.from}" to "${move.to}": classified as ${analysis.category} by ${analysis.model || 'the keyword rules'}, card matched by ${move.matchMethod}.`);
+        if (move.auditId) lines.push(`Undo with \`${undoCommand(move.auditId)}\``);
+        lines.push('');
+    }
+    lines.push(`Category: ${analysis.category}${analysis.confidence != null ? ` (confidence ${analysis.confidence})` : ''}`);
+    if (analysis.summary) lines.push(`Summary: ${analysis.summary}`);
+    if (analysis.nextStep) lines.push(`Next step: ${analysis.nextStep}`);
+    if (analysis.deadline) lines.push(`Deadline: ${analysis.deadline}`);
+    return lines.join('\n');
+}
+
+ // --- Interview Scheduling: recordInterview ---
+ // Reads the invitation and records the interview on the card: due date, a checklist
+ // item, a calendar event (Google Calendar or an attached .ics file) and a reminder.
+ // Returns the details, or null in dry-run mode (plan is only set in dry-run mode).
+async function recordInterview({ auth, trello, llm, plan, reminders, settings, card, category, subject, body, receivedAt }) {
+    const details = await extractInterviewDetails({ subject, body, receivedAt }, llm, { defaultTimeZone: settings.interviewTimeZone });
+    if (details.start && details.start.getTime() < Date.now()) {
+        console.log(`    - Interview time ${details.start.toISOString()} is in the past. Recording it without a time.`);
+        details.scheduled = false;
+        details.start = null;
+    }
+
+    const when = details.start ? `${formatInTimeZone(details.start, details.timeZone)} (${details.timeZone})` : 'time to be agreed';
+    const checkItem = `${category.name.replace(/_/g, ' ').toLowerCase()}: ${when}${details.meetingLink ? ` ${details.meetingLink}` : ''}`;
+    console.log(`    - 📅 Interview: ${when}${details.meetingLink ? `, link ${details.meetingLink}` : ''} (${details.source}).`);
+
+    const { reminderMinutes, calendarId } = settings;
+    const summary = `Interview: ${card.name}`;
+    const description = [`Email: "${subject}"`, details.meetingLink, card.shortUrl].filter(Boolean).join('\n');
+
+    if (plan) {
+        const changes = [`checklist "${INTERVIEW_CHECKLIST}": ${checkItem}`];
+        if (details.start) {
+            changes.push(`due ${details.start.toISOString()}`, calendarId ? 'Google Calendar event' : '.ics attachment', `reminder ${reminderMinutes} min before`);
+        }
+        plan.addCardUpdate({ cardId: card.id, cardName: card.name, change: changes.join('; ') });
+        return null;
+    }
+
+    const checklists = await trello.makeRequest('get', `/1/cards/${card.id}/checklists`);
+    const checklist = checklists.find(list => list.name === INTERVIEW_CHECKLIST)
+        || await trello.makeRequest('post', '/1/checklists', { idCard: card.id, name: INTERVIEW_CHECKLIST });
+    await trello.makeRequest('post', `/1/checklists/${checklist.id}/checkItems`, {
+        name: checkItem, ...(details.start && { due: details.start.toISOString() })
+    });
+    if (!details.start) return details;
+
+    await trello.makeRequest('put', `/1/cards/${card.id}`, { due: details.start.toISOString() });
+    const event = {
+        start: details.start, durationMinutes: details.durationMinutes, timeZone: details.timeZone,
+        summary, description, location: details.location || details.meetingLink || '', reminderMinutes
+    };
+    if (calendarId) {
+        const eventLink = await createCalendarEvent(auth, calendarId, event);
+        await trello.makeRequest('post', `/1/cards/${card.id}/attachments`, { url: eventLink, name: 'Calendar event' });
+        console.log("    - Added the interview to Google Calendar.");
+    } else {
+        const ics = buildIcs({ ...event, uid: `${card.id}-${details.start.getTime()}@job-tracker`, url: details.meetingLink || '' });
+        await trello.attachFile({
+            cardId: card.id, fileName: `interview-${details.start.toISOString().slice(0, 10)}.ics`, content: ics, mimeType: 'text/calendar'
+        });
+        console.log("    - Attached an .ics file for the interview to the card.");
+    }
+    reminders.add({
+        key: `${card.id}:${details.start.toISOString()}`,
+        at: new Date(details.start.getTime() - reminderMinutes * 60 * 1000),
+        title: `Interview in ${reminderMinutes} min: ${card.name}`,
+        message: `${when}${details.meetingLink ? `\nJoin: ${details.meetingLink}` : ''}`,
+        links: [{ label: 'Card', url: card.shortUrl }, { label: 'Join', url: details.meetingLink }]
+    });
+    return details;
+}
+
+// Hands reminders to ntfy once they are within its scheduling limit; the rest wait for a later run.
+async function scheduleReminders(reminders, notifier, maxDelayHours) {
+    for (const reminder of reminders.due(maxDelayHours * 60 * 60 * 1000)) {
+        if (await notifier.schedule('reminder', reminder, new Date(reminder.at))) {
+            reminders.markScheduled(reminder.id);
+            console.log(`⏰ Reminder scheduled for ${reminder.at}: ${reminder.title}`);
+        }
+    }
+}
+
+// --- Run the Email Bot ---
+// notifier: from createNotifier(); run: the run-history record (the CLI creates it
+// up front so a crash can still be recorded). connectGmail and trello default to the
+// real clients; the tests pass in-memory stand-ins instead.
+// lists and cards narrow the cards replies are matched against (list key, name or ID;
+// card ID or part of its name), and lookbackDays searches that many days back instead
+// of from the last run. A run that does not cover every card and the whole window
+// leaves the ledger's last-run mark alone, so the next full run still sees the rest.
+// Returns { run, plan }: the finished run record and, in dry-run mode, the plan.
+export async function runEmailBot({
+    notifier, dryRun = false, planFormat = 'text', fromHistory = false, lists = [], cards = [], lookbackDays = null,
+    run = startRun('email-bot', { dryRun }), connectGmail = connectToGmail, trello = null, env = process.env
+}) {
+    const settings = readSettings(env);
+    const filtered = lists.length > 0 || cards.length > 0;
+    const yourEmailAddress = settings.myEmail;
+    const plan = dryRun ? createPlan('index.js') : null;
+    const result = { run: run.record, plan };
+    const audit = createAuditLog({ script: 'email-bot', runId: run.id, dryRun });
+    if (dryRun) console.log("🧪 DRY-RUN mode: no cards will be moved and no emails marked as read.\n");
+
+    // --- Step 0: Check the Environment and Load the Pipeline Config ---
+    const envProblems = checkEnv('sync-email', env, { skip: trello ? ['TRELLO_API_KEY', 'TRELLO_TOKEN'] : [] });
+    if (envProblems.length > 0) {
+        const message = `Missing or invalid settings: ${envProblems.join(' ')}`;
+        console.error(`❌ ${message}`);
+        await run.fail(message);
+        await notifier.notify("error", { title: "Trello Bot Error", message });
+        return result;
+    }
+    const llm = createClassifierLLM(env);
+    let pipeline;
+    let listsToMatch;
+    try {
+        pipeline = loadPipelineConfig(env.PIPELINE_CONFIG_PATH || undefined, env);
+        console.log(`✅ Pipeline config loaded: ${pipeline.categories.length} categories, ${Object.keys(pipeline.lists).length} lists.`);
+        listsToMatch = resolveLists(pipeline, lists);
+    } catch (configError) {
+        console.error(`❌ ${configError.message}`);
+        await run.fail(configError.message);
+        await notifier.notify("error", { title: "Trello Bot Error", message: configError.message });
+        return result;
+    }
+    
+    // --- Step 1: Authenticate and Connect ---
+    console.log("Connecting to Gmail...");
+    let gmail;
+    let auth;
+    try {
+        ({ auth, gmail } = await connectGmail());
+        console.log("Gmail connection successful.");
+    } catch (gmailError) {
+        console.error("❌ Failed to connect to Gmail:", gmailError.message);
+        await run.fail("Failed to connect to Gmail: " + gmailError.message);
+        await notifier.notify("error", { title: "Trello Bot Error", message: "Failed to connect to Gmail: " + gmailError.message });
+        return result;
+    }
+    console.log("Connecting to Trello...");
+    trello ||= createTrelloClient(env.TRELLO_API_KEY, env.TRELLO_TOKEN);
+    console.log("Trello connection successful.");
+    console.log("---\n");
+
+    // --- Step 2: Get Data ---
+    // Replies can concern a card in any active stage, not only the intake list
+    console.log(`Fetching Trello cards from ${listsToMatch.length} pipeline lists...`);
+    let trelloCards = [];
+    try {
+        for (const list of listsToMatch) {
+            const listCards = await trello.makeRequest('get', `/1/lists/${list.id}/cards`);
+            console.log(`  - ${list.name}: ${listCards.length} cards`);
+            trelloCards.push(...listCards);
+        }
+        trelloCards = filterCards(trelloCards, cards);
+        console.log(`✅ Found ${trelloCards.length} cards ${cards.length > 0 ? `matching ${cards.map(c => `"${c}"`).join(', ')}` : 'across the pipeline'}.`);
+    } catch (err) {
+        console.error("❌ Error getting Trello cards:", err.message);
+        await run.fail("Failed to fetch Trello cards: " + err.message);
+        await notifier.notify("error", { title: "Trello Bot Error", message: "Failed to fetch Trello cards: " + err.message });
+        return result;
+    }
+    let ledger;
+    let reviewQueue;
+    let reminders;
+    try {
+        ledger = await loadLedger();
+        reviewQueue = await loadReviewQueue();
+        reminders = await loadReminders();
+    } catch (ledgerError) {
+        console.error("❌ Error loading the bot state:", ledgerError.message);
+        await run.fail(ledgerError.message);
+        await notifier.notify("error", { title: "Trello Bot Error", message: ledgerError.message });
+        return result;
+    }
+    const query = ledger.searchQuery(lookbackDays || settings.lookbackDays, 'in:inbox', { fromLastRun: !lookbackDays });
+    // Whether this run saw everything the next run would otherwise skip
+    let coversWindow = !filtered && !(lookbackDays && ledger.lastRunAt && Date.now() - lookbackDays * DAY_MS > Date.parse(ledger.lastRunAt));
+    if (!coversWindow) console.log("ℹ️ Partial run (card filter or short lookback): the last-run mark stays where it is.");
+    let messages;
+    let startHistoryId;
+    try {
+        const profile = await gmail.users.getProfile({ userId: 'me' });
+        startHistoryId = profile.data.historyId;
+        const skip = id => ledger.isSettled(id);
+        let found = null;
+        if (fromHistory && ledger.lastHistoryId) {
+            console.log(`\nFetching emails added since history ID ${ledger.lastHistoryId}...`);
+            found = await listHistoryMessages(gmail, ledger.lastHistoryId, { skip });
+            if (!found) console.warn("⚠️ Gmail no longer has history that old. Falling back to the search query.");
+        }
+        if (!found) {
+            console.log(`\nFetching emails from Gmail (query: "${query}")...`);
+            found = await listMessages(gmail, query, { skip });
+        }
+        messages = found.messages;
+        console.log(`Found ${messages.length} new emails in the window.`);
+        if (found.truncated && coversWindow) {
+            // The next run searches the same window again and picks up the older ones
+            console.log("ℹ️ More new emails than one run handles: the last-run mark stays where it is.");
+            coversWindow = false;
+        }
+    } catch (listError) {
+        console.error("❌ Error fetching email list from Gmail:", listError.message);
+        await run.fail("Failed to fetch Gmail list: " + listError.message);
+        await notifier.notify("error", { title: "Trello Bot Error", message: "Failed to fetch Gmail list: " + listError.message });
+        return result;
+    }
+
+    if (messages.length === 0) {
+        console.log('✅ No new emails found in inbox.');
+        console.log("\n--- End of run ---");
+        if (dryRun) {
+            plan.print(planFormat);
+        } else {
+            await scheduleReminders(reminders, notifier, settings.ntfyMaxDelayHours);
+            if (coversWindow) ledger.markRun({ historyId: startHistoryId });
+            await ledger.save();
+            await reminders.save();
+        }
+        await run.succeed("No new emails.");
+        return result;
+    }
+    console.log(`Analyzing ${messages.length} new emails...`);
+
+    // --- Step 3: Process, Match, and Update ---
+    let movedCardsLog = []; 
+    let reviewLog = [];
+    let cardsFailed = 0;
+    const heldItems = []; // Queued this run, for the approve / reject notifications
+    const boardLabels = new Map();
+
+    for (const message of messages) {
+        let msg;
+        try {
+            msg = await gmail.users.messages.get({ userId: 'me', id: message.id, format: 'full' });
+        } catch (getError) {
+            console.error(`\n❌ Error fetching details for email ID ${message.id}:`, getError.message);
+            ledger.record(message.id, { threadId: message.threadId, action: 'FETCH_FAILED', error: getError.message });
+            run.addFailure(`Could not fetch email ${message.id}: ${getError.message}`, { messageId: message.id });
+            continue;
+        }
+
+        const headers = msg.data.payload.headers;
+        const subject = headers.find(h => h.name.toLowerCase() === 'subject')?.value || 'No Subject';
+        const fromHeader = headers.find(h => h.name.toLowerCase() === 'from')?.value || '';
+        const toHeader = headers.find(h => h.name.toLowerCase() === 'to')?.value || '';
+        // Only the new part of a reply; the quoted history would confuse the classifier
+        const body = stripQuotedReply(extractPlainText(msg.data.payload)) || msg.data.snippet || '';
+        const emailTimestamp = parseInt(msg.data.internalDate, 10);
+        const formattedDate = new Date(emailTimestamp).toLocaleString('he-IL', { timeZone: 'Asia/Jerusalem', dateStyle: 'short', timeStyle: 'short' }); 
+
+        if (!toHeader.toLowerCase().includes(yourEmailAddress.toLowerCase())) {
+            console.log(`\n- Skipping email "${subject}" (Not directly addressed to you).`);
+            ledger.record(message.id, { threadId: msg.data.threadId, subject, action: 'NOT_ADDRESSED' });
+            continue;
+        }
+
+        const fromEmail = fromHeader.match(/<([^>]+)>/)?.[1] || fromHeader.trim();
+        console.log(`\n- Analyzing email: "${subject}"`);
+        console.log(`  - From: ${fromEmail}`);
+        console.log(`  - Date: ${formattedDate}`); 
+        
+        const emailThreadId = msg.data.threadId;
+        // Thread ID / domain first, then fuzzy company-name matching with a confidence score
+        const match = matchEmailToCard({ threadId: emailThreadId, fromHeader, subject, body }, trelloCards);
+        const { minConfidence, autoMoveConfidence } = pipeline.matching;
+        const matchingCard = match.confidence >= minConfidence ? match.card : null;
+        const matchMethod = match.method;
+        if (match.card && !matchingCard) {
+            console.log(`    - Best guess "${match.card.name}" (${match.method}) is below the minimum confidence (${match.confidence} < ${minConfidence}).`);
+        }
+
+        if (matchingCard) {
+            console.log(`    ✅ Found matching Trello card by ${matchMethod}: "${matchingCard.name}" (in "${pipeline.listById(matchingCard.idList)?.name}", confidence ${match.confidence})`);
+            // Re-use an earlier classification (e.g. after a failed move) instead of asking the AI again
+            const previousEntry = ledger.get(message.id);
+            let analysis;
+            if (previousEntry?.classification) {
+                analysis = { ...previousEntry.analysis, category: previousEntry.classification };
+                console.log(`    - Using classification from ledger: ${analysis.category}`);
+            } else {
+                analysis = await classifyEmail({ subject, from: fromHeader, date: formattedDate, body }, pipeline, llm);
+            }
+            const classificationLabel = analysis.category;
+            if (analysis.summary) console.log(`    - Summary: ${analysis.summary}`);
+            const ledgerEntry = {
+                threadId: emailThreadId, subject, classification: classificationLabel,
+                analysis: {
+                    confidence: analysis.confidence, company: analysis.company, role: analysis.role, nextStep: analysis.nextStep,
+                    deadline: analysis.deadline, summary: analysis.summary, source: analysis.source, model: analysis.model, rawOutput: analysis.rawOutput,
+                    fallback: analysis.fallback
+                },
+                cardId: matchingCard.id, cardName: matchingCard.name, matchMethod, matchConfidence: match.confidence
+            };
+            // Target list and eligible source lists come from the pipeline config
+            const { targetList, reason: noMoveReason } = pipeline.resolveMove(classificationLabel, matchingCard.idList);
+            const targetListId = targetList?.id;
+            const targetListName = targetList?.name;
+            const sourceListId = matchingCard.idList;
+            const sourceListName = pipeline.listById(sourceListId)?.name || "Unknown List";
+            let moveRecord = null; // Set when the card is moved, for the card comment
+            const lowConfidence = match.confidence < autoMoveConfidence;
+            const policy = checkPolicy(pipeline.policy, classificationLabel, analysis.confidence, { fallback: analysis.fallback });
+
+            if (targetListId && (lowConfidence || !policy.autoApply)) {
+                // Not sure enough it's the right card, or the policy wants a person to decide
+                const reason = lowConfidence ? `match confidence ${match.confidence} is below ${autoMoveConfidence}` : policy.reason;
+                const reviewItem = {
+                    type: lowConfidence ? 'LOW_CONFIDENCE_MATCH' : 'NEEDS_APPROVAL', script: 'email-bot', action: classificationLabel, reason,
+                    messageId: message.id, threadId: emailThreadId, subject, from: fromHeader, snippet: msg.data.snippet || '',
+                    cardId: matchingCard.id, cardName: matchingCard.name, matchMethod, confidence: match.confidence,
+                    classification: classificationLabel, classificationConfidence: analysis.confidence ?? null, model: analysis.model || null,
+                    sourceListId, sourceListName, targetListId, targetListName
+                };
+                if (dryRun) {
+                    console.log(`    - [dry-run] Would queue for review: move "${matchingCard.name}" to "${targetListName}" (${reason}).`);
+                    plan.addReviewItem(reviewItem);
+                } else {
+                    heldItems.push(await holdForApproval({ trello, reviewQueue, pipeline, card: matchingCard, item: reviewItem, boardLabels }));
+                    ledger.record(message.id, { ...ledgerEntry, action: 'QUEUED_FOR_REVIEW', targetListId, targetListName });
+                    console.log(`    - 📝 Queued for review instead of moving: ${reason}.`);
+                }
+                reviewLog.push({ name: matchingCard.name, list: targetListName, reason, url: matchingCard.shortUrl });
+            } else if (targetListId && dryRun) {
+                console.log(`    - [dry-run] Would move card to "${targetListName}" list and mark email as read.`);
+                plan.addCardMove({
+                    cardId: matchingCard.id, cardName: matchingCard.name, fromListName: sourceListName,
+                    toListId: targetListId, toListName: targetListName,
+                    reason: { email: subject, classification: classificationLabel, matchedBy: matchMethod }
+                });
+                plan.addLabelChange({ messageId: message.id, subject, removeLabels: ['UNREAD'] });
+                movedCardsLog.push({ name: matchingCard.name, from: sourceListName, list: targetListName, subject: subject, url: matchingCard.shortUrl, event: pipeline.getCategory(classificationLabel)?.notify || 'moved' });
+                matchingCard.idList = targetListId; // Later emails in this run see the card in its new stage
+            } else if (targetListId) {
+                console.log(`    - Attempting to move card to "${targetListName}" list...`);
+                try {
+                    await trello.makeRequest('put', `/1/cards/${matchingCard.id}`, { idList: targetListId });
+                    console.log(`    ✅ Successfully moved card.`);
+                    movedCardsLog.push({ name: matchingCard.name, from: sourceListName, list: targetListName, subject: subject, url: matchingCard.shortUrl, event: pipeline.getCategory(classificationLabel)?.notify || 'moved' });
+                    run.addMove({ cardId: matchingCard.id, cardName: matchingCard.name, fromList: sourceListName, toList: targetListName, reason: `${classificationLabel} (email: "${subject}")` });
+                    ledger.record(message.id, { ...ledgerEntry, action: 'MOVED', sourceListId, targetListId, targetListName });
+                    const auditEntry = await audit.append('MOVE', {
+                        card: { id: matchingCard.id, name: matchingCard.name },
+                        from: { id: sourceListId, name: sourceListName }, to: { id: targetListId, name: targetListName },
+                        email: { id: message.id, threadId: emailThreadId, subject },
+                        classification: classificationLabel, model: analysis.model, rawOutput: analysis.rawOutput,
+                        matchMethod, matchConfidence: match.confidence
+                    });
+                    moveRecord = { from: sourceListName, to: targetListName, matchMethod, auditId: auditEntry?.id ?? null };
+                    await markEmailAsRead(gmail, message.id);
+                    matchingCard.idList = targetListId;
+                } catch (moveError) {
+                    console.error(`    ❌ Error moving card ${matchingCard.id}:`, moveError.message);
+                    ledger.record(message.id, { ...ledgerEntry, action: 'MOVE_FAILED', error: moveError.message });
+                    run.addFailure(`Could not move "${matchingCard.name}" to "${targetListName}": ${moveError.message}`, { cardId: matchingCard.id, messageId: message.id });
+                    cardsFailed++;
+                }
+            } else {
+                console.log(`    - Card will not be moved: ${noMoveReason}. Email remains unread.`);
+                ledger.record(message.id, { ...ledgerEntry, action: 'NO_ACTION' });
+            }
+
+            // Once the card is certain, note the email on it; interview invitations also put the date on the card.
+            // A move held by the policy still has the right card.
+            const category = pipeline.getCategory(classificationLabel);
+            const cardConfirmed = !lowConfidence && (!targetListId || dryRun || ['MOVED', 'QUEUED_FOR_REVIEW'].includes(ledger.get(message.id)?.action));
+            if (cardConfirmed) {
+                const comment = buildEmailComment({ subject, fromEmail, formattedDate }, analysis, moveRecord);
+                if (dryRun) {
+                    plan.addCardUpdate({ cardId: matchingCard.id, cardName: matchingCard.name, change: `comment: ${analysis.summary || subject}` });
+                } else {
+                    try {
+                        await trello.makeRequest('post', `/1/cards/${matchingCard.id}/actions/comments`, { text: comment });
+                        console.log("    - Added the email summary as a card comment.");
+                    } catch (commentError) {
+                        console.error(`    ❌ Error commenting on card ${matchingCard.id}:`, commentError.message);
+                        run.addFailure(`Could not comment on "${matchingCard.name}": ${commentError.message}`, { cardId: matchingCard.id, messageId: message.id });
+                    }
+                }
+            }
+            if (category?.interview && cardConfirmed) {
+                try {
+                    const interview = await recordInterview({ auth, trello, llm, plan, reminders, settings, card: matchingCard, category, subject, body, receivedAt: emailTimestamp });
+                    if (interview) {
+                        ledger.record(message.id, { interview: { start: interview.start?.toISOString() || null, timeZone: interview.timeZone, meetingLink: interview.meetingLink } });
+                    }
+                } catch (interviewError) {
+                    console.error(`    ❌ Error recording the interview on card ${matchingCard.id}:`, interviewError.message);
+                    run.addFailure(`Could not record the interview on "${matchingCard.name}": ${interviewError.message}`, { cardId: matchingCard.id, messageId: message.id });
+                }
+            }
+        } else if (filtered) {
+            // Probably about a card outside the filter; left for a full run
+            console.log(`    - No matching Trello card among the filtered ones. Skipping.`);
+        } else {
+            console.log(`    - No matching Trello card found in the pipeline lists.`);
+            ledger.record(message.id, { threadId: emailThreadId, subject, action: 'NO_MATCH' });
+        }
+    } 
+
+    console.log("\n--- Summary ---");
+    console.log(`Processed ${messages.length} new emails.`);
+    console.log(`${dryRun ? 'Would move' : 'Moved'} ${movedCardsLog.length} Trello cards.`); 
+    if (reviewLog.length > 0) console.log(`Queued ${reviewLog.length} moves for review.`);
+    if (cardsFailed > 0) console.log(`Failed to move ${cardsFailed} cards.`);
+    console.log("--- End of run ---");
+
+    if (dryRun) {
+        plan.print(planFormat);
+        return result;
+    }
+
+    await scheduleReminders(reminders, notifier, settings.ntfyMaxDelayHours);
+    if (coversWindow) ledger.markRun({ historyId: startHistoryId });
+    try {
+        await ledger.save();
+        await reviewQueue.save();
+        await reminders.save();
+        console.log(`💾 Ledger saved to ${ledger.filePath}`);
+    } catch (saveError) {
+        console.error("❌ Failed to save the bot state:", saveError.message);
+        run.addFailure("Failed to save the bot state: " + saveError.message);
+        await notifier.notify("error", { title: "Trello Bot Error", message: "Failed to save the bot state: " + saveError.message });
+    }
+
+    await run.succeed(`Processed ${messages.length} emails, moved ${movedCardsLog.length} cards, ${reviewLog.length} queued for review, ${cardsFailed} failed.`);
+
+    // --- Send the run summary; its priority follows the most important thing that happened ---
+    if (messages.length > 0) {
+        let notificationEvent = 'all-clear';
+        let notificationTitle = "Trello Bot: All Clear";
+        let notificationMessage = `Processed ${messages.length} new emails. No new actions taken.`;
+
+        if (movedCardsLog.length > 0) {
+            notificationEvent = notifier.mostUrgent(movedCardsLog.map(log => log.event));
+            notificationTitle = `Trello Bot: ${movedCardsLog.length} Card(s) Moved`;
+            
+            const logEntries = movedCardsLog.map(log => {
+                const shortSubject = log.subject.length > 30 ? log.subject.substring(0, 27) + "..." : log.subject;
+                return `- ${log.name}: ${log.from} -> ${log.list} (email: "${shortSubject}")`;
+            });
+            
+            notificationMessage = `Moved ${movedCardsLog.length} card(s):\n${logEntries.join('\n')}`;
+        }
+        if (reviewLog.length > 0) {
+            if (movedCardsLog.length === 0) {
+                notificationEvent = 'review';
+                notificationTitle = `Trello Bot: ${reviewLog.length} Item(s) to Review`;
+                notificationMessage = "";
+            }
+            const reviewEntries = reviewLog.map(log => `- ${log.name} -> ${log.list}? (${log.reason})`);
+            notificationMessage += `${notificationMessage ? '\n\n' : ''}Needs review (not moved):\n${reviewEntries.join('\n')}`;
+        }
+        
+        const links = [...movedCardsLog, ...reviewLog].filter(log => log.url).map(log => ({ label: log.name, url: log.url }));
+        await notifier.notify(notificationEvent, { title: notificationTitle, message: notificationMessage, links });
+        await notifyHeld(notifier, heldItems, env);
+    }
+    return result;
+}
@@ -0,0 +1,81 @@
+// --- Environment Checks ---
+// What each command needs from the environment, checked before anything runs so a
+// missing or malformed variable is reported by name instead of crashing mid-run.
+// Shared by job-tracker.js and the bots themselves (lib/emailBot.js, lib/jobChecker.js, ...).
+// Pipeline list IDs are checked by lib/pipelineConfig.js.
+import { isValidTimeZone } from './calendar.js';
+import { PROVIDER_NAMES } from './llm/index.js';
+import { readPriorities } from './notifier.js';
+
+const REQUIRED = {
+    'sync-email': ['TRELLO_API_KEY', 'TRELLO_TOKEN', 'MY_EMAIL'],
+    'check-postings': ['TRELLO_API_KEY', 'TRELLO_TOKEN', 'TRELLO_SENT_CV_LIST_ID', 'TRELLO_JOB_DELETED_FROM_WEBSITE_LIST_ID'],
+    'follow-up': ['TRELLO_API_KEY', 'TRELLO_TOKEN', 'MY_EMAIL'],
+    'ingest': ['TRELLO_API_KEY', 'TRELLO_TOKEN'],
+    'report': ['TRELLO_API_KEY', 'TRELLO_TOKEN'],
+    'status': ['TRELLO_API_KEY', 'TRELLO_TOKEN'],
+    'review': ['TRELLO_API_KEY', 'TRELLO_TOKEN'],
+    'undo': ['TRELLO_API_KEY', 'TRELLO_TOKEN']
+};
+
+const POSITIVE_NUMBERS = ['EMAIL_LOOKBACK_DAYS', 'INTERVIEW_REMINDER_MINUTES', 'NTFY_MAX_DELAY_HOURS'];
+
+export const ENV_COMMANDS = Object.keys(REQUIRED);
+
+export class EnvError extends Error {
+    constructor(command, problems) {
+        super(`Cannot run ${command}:\n${problems.map(p => `  - ${p}`).join('\n')}`);
+        this.name = 'EnvError';
+        this.problems = problems;
+    }
+}
+
+// Returns every problem for the command at once (an empty array when all is well).
+// Empty strings count as unset: the workflows pass missing secrets that way.
+export function checkEnv(command, env = process.env, { skip = [] } = {}) {
+    if (!REQUIRED[command]) throw new Error(`Unknown command "${command}". Use one of: ${ENV_COMMANDS.join(', ')}.`);
+    const problems = [];
+
+    for (const name of REQUIRED[command].filter(name => !skip.includes(name))) {
+        if (env[name]) continue;
+        if (name === 'MY_EMAIL' && env.USER_EMAIL) {
+            problems.push('MY_EMAIL is not set, but USER_EMAIL is. Rename it to MY_EMAIL (in the workflows: MY_EMAIL: ${{ secrets.USER_EMAIL }}).');
+        } else {
+            problems.push(`${name} is not set.`);
+        }
+    }
+    if (env.MY_EMAIL && !/^[^@\s]+@[^@\s]+$/.test(env.MY_EMAIL.trim())) {
+        problems.push(`MY_EMAIL "${env.MY_EMAIL}" is not an email address.`);
+    }
+
+    for (const name of POSITIVE_NUMBERS) {
+        if (env[name] && !(Number(env[name]) > 0)) problems.push(`${name} must be a positive number (got "${env[name]}").`);
+    }
+    if (env.INTERVIEW_TIMEZONE && !isValidTimeZone(env.INTERVIEW_TIMEZONE)) {
+        problems.push(`INTERVIEW_TIMEZONE "${env.INTERVIEW_TIMEZONE}" is not a valid IANA time zone.`);
+    }
+    for (const prefix of ['LLM', 'JOB_CHECK_LLM']) {
+        const provider = env[`${prefix}_PROVIDER`]?.toLowerCase();
+        if (provider && !PROVIDER_NAMES.includes(provider)) {
+            problems.push(`${prefix}_PROVIDER "${provider}" is unknown. Use one of: ${PROVIDER_NAMES.join(', ')}.`);
+        }
+    }
+    if (env.SCHEDULER_LIMITS) {
+        try {
+            JSON.parse(env.SCHEDULER_LIMITS);
+        } catch (err) {
+            problems.push(`SCHEDULER_LIMITS is not valid JSON: ${err.message}`);
+        }
+    }
+    try {
+        readPriorities(env);
+    } catch (err) {
+        problems.push(err.message);
+    }
+    return problems;
+}
+
+export function assertEnv(command, env = process.env, options) {
+    const problems = checkEnv(command, env, options);
+    if (problems.length > 0) throw new EnvError(command, problems);
+}
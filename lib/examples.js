@@ -0,0 +1,39 @@
+// --- Labeled Examples ---
+// Every approve / reject decision on the review queue is appended to a JSON Lines file
+// as a labeled example: what the bot saw (the email or the posting check), what it
+// proposed, and what the person decided. Material for tuning the classifier prompt,
+// keywords and thresholds later; nothing reads it back automatically.
+import { promises as fs } from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+
+const DEFAULT_EXAMPLES_PATH = './state/labeled-examples.jsonl';
+
+export function examplesPath() {
+    return process.env.LABELED_EXAMPLES_PATH || DEFAULT_EXAMPLES_PATH;
+}
+
+export async function readExamples(filePath = examplesPath()) {
+    let content;
+    try {
+        content = await fs.readFile(filePath, 'utf8');
+    } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+    }
+    return content.split('\n').filter(Boolean).map((line, i) => {
+        try {
+            return JSON.parse(line);
+        } catch {
+            throw new Error(`Labeled examples file ${filePath} line ${i + 1} is not valid JSON.`);
+        }
+    });
+}
+
+// example: { itemId, decision, decidedBy, input, proposed, label }
+export async function appendExample(example, filePath = examplesPath()) {
+    const record = { id: randomUUID(), at: new Date().toISOString(), ...example };
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.appendFile(filePath, JSON.stringify(record) + '\n');
+    return record;
+}
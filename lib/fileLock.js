@@ -0,0 +1,41 @@
+// --- File Locks ---
+// A state file rewritten by more than one process (the server and a bot run, two bot
+// runs) is read, changed and renamed into place under <file>.lock, so one process's
+// rewrite never drops what another wrote in the meantime.
+import { promises as fs } from 'fs';
+import path from 'path';
+
+const LOCK_RETRY_MS = 50;
+const LOCK_TIMEOUT_MS = 10 * 1000;
+const STALE_LOCK_MS = 30 * 1000; // A lock this old was left behind by a process that crashed
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Runs fn while holding <filePath>.lock; returns what fn returns
+export async function withLock(filePath, fn) {
+    const lockPath = `${filePath}.lock`;
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    let handle = null;
+    while (!handle) {
+        try {
+            handle = await fs.open(lockPath, 'wx');
+        } catch (err) {
+            if (err.code !== 'EEXIST') throw err;
+            const lock = await fs.stat(lockPath).catch(() => null);
+            if (lock && Date.now() - lock.mtimeMs > STALE_LOCK_MS) {
+                await fs.rm(lockPath, { force: true });
+            } else if (Date.now() > deadline) {
+                throw new Error(`${filePath} is locked by another process (${lockPath}).`);
+            } else {
+                await sleep(LOCK_RETRY_MS);
+            }
+        }
+    }
+    try {
+        return await fn();
+    } finally {
+        await handle.close();
+        await fs.rm(lockPath, { force: true });
+    }
+}
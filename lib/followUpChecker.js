@@ -0,0 +1,284 @@
+// --- Follow-Up Checker ---
+// Finds applications nobody answered: cards in the follow-up lists ("followUp" in
+// pipeline.json) whose last contact is older than afterDays. The last contact is the
+// newest message in the card's Gmail threads ("threadId:" lines) or, for cards the
+// checker has not touched yet, the card's activity date. For those cards it writes a
+// polite follow-up as a Gmail draft (never sent), labels the card, and once
+// ghostedAfterDays have passed moves it to the "Ghosted" list.
+// `job-tracker follow-up` runs it from the command line.
+import { authorize, createGmailClient, getHeader, encodeHeader } from './gmail.js';
+import { parseSender } from './matcher.js';
+import { loadPipelineConfig } from './pipelineConfig.js';
+import { createTrelloClient, filterCards, labelCard } from './trello.js';
+import { loadFollowUps } from './followUps.js';
+import { startRun } from './runHistory.js';
+import { createAuditLog, undoCommand } from './auditLog.js';
+import { createPlan } from './dryRun.js';
+import { checkEnv } from './env.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LABEL_COLOR = 'orange';
+const NO_REPLY_PATTERN = /no-?reply|do-?not-?reply/i;
+
+async function connectToGmail() {
+    const auth = await authorize();
+    return { auth, gmail: createGmailClient(auth) };
+}
+
+// "company:" / "role:" lines written by ingestion, else the card name ("Company - Role")
+function describeApplication(card) {
+    const desc = card.desc || '';
+    const [company, role] = card.name.split(/\s+[-|–]\s+/);
+    return {
+        company: desc.match(/company:\s*(.+)/i)?.[1].trim() || company,
+        role: desc.match(/role:\s*(.+)/i)?.[1].trim() || role || null
+    };
+}
+
+// The newest and oldest message across the card's threads, and the name the user signs with.
+// Threads deleted from Gmail are skipped.
+async function readThreads(gmail, threadIds, myEmail) {
+    let latest = null;
+    let firstAt = null;
+    let myName = null;
+    for (const threadId of threadIds) {
+        let thread;
+        try {
+            thread = await gmail.users.threads.get({
+                userId: 'me', id: threadId, format: 'metadata', metadataHeaders: ['From', 'To', 'Subject', 'Message-ID', 'References']
+            });
+        } catch (error) {
+            if (error.status === 404 || error.code === 404) continue;
+            throw error;
+        }
+        for (const message of thread.data.messages || []) {
+            const at = Number(message.internalDate);
+            const from = getHeader(message, 'From');
+            const fromMe = parseSender(from).email === myEmail;
+            if (fromMe) myName ||= parseSender(from).displayName || null;
+            firstAt = Math.min(firstAt ?? at, at);
+            if (!latest || at > latest.at) {
+                latest = {
+                    at, threadId, fromMe, from, to: getHeader(message, 'To'), subject: getHeader(message, 'Subject'),
+                    messageId: getHeader(message, 'Message-ID'), references: getHeader(message, 'References')
+                };
+            }
+        }
+    }
+    return { latest, firstAt, myName };
+}
+
+// The follow-up as a raw message. It answers the newest message of the thread (to the
+// company, or to whoever the user last wrote to); without a usable address To is left
+// empty for the user to fill in.
+function buildFollowUpDraft({ card, threads }) {
+    const { company, role } = describeApplication(card);
+    const { latest, firstAt, myName } = threads;
+    const recipient = latest && (latest.fromMe ? latest.to : latest.from);
+    const to = recipient && !NO_REPLY_PATTERN.test(parseSender(recipient).email) ? recipient : null;
+    const subject = latest?.subject
+        ? (/^re:/i.test(latest.subject) ? latest.subject : `Re: ${latest.subject}`)
+        : `Following up on my application${role ? ` for ${role}` : ''} at ${company}`;
+    const appliedOn = firstAt ? ` on ${new Date(firstAt).toLocaleDateString('en-US', { dateStyle: 'long' })}` : '';
+    const body = [
+        'Hello,',
+        '',
+        `I hope you are doing well. I applied for the ${role ? `${role} position` : 'open position'} at ${company}${appliedOn} and wanted to follow up on my application.`,
+        'I am still very interested in the role and would be happy to share anything else that would help.',
+        '',
+        'Thank you for your time.',
+        '',
+        'Best regards,',
+        ...(myName ? [myName] : [])
+    ].join('\r\n');
+    const headers = [
+        ...(to ? [`To: ${to}`] : []),
+        `Subject: ${encodeHeader(subject)}`,
+        ...(latest?.messageId ? [`In-Reply-To: ${latest.messageId}`, `References: ${`${latest.references} ${latest.messageId}`.trim()}`] : []),
+        'Content-Type: text/plain; charset="UTF-8"'
+    ];
+    return { to, subject, threadId: latest?.threadId || null, raw: [...headers, '', body].join('\r\n') };
+}
+
+// --- Run the Follow-Up Checker ---
+// Same options as runEmailBot; lists overrides followUp.lists and cards narrows the
+// cards looked at. Returns { run, plan }.
+export async function runFollowUpChecker({
+    notifier, dryRun = false, planFormat = 'text', lists = [], cards = [],
+    run = startRun('follow-up', { dryRun }), connectGmail = connectToGmail, trello = null, env = process.env
+}) {
+    console.log("--- Starting Follow-Up Checker ---");
+    const plan = dryRun ? createPlan('follow-up') : null;
+    const result = { run: run.record, plan };
+    const audit = createAuditLog({ script: 'follow-up', runId: run.id, dryRun });
+    if (dryRun) console.log("🧪 DRY-RUN mode: no drafts, labels or card moves.");
+
+    // --- 1. Check Config ---
+    const problems = checkEnv('follow-up', env, { skip: trello ? ['TRELLO_API_KEY', 'TRELLO_TOKEN'] : [] });
+    let pipeline;
+    let listsToCheck = [];
+    if (problems.length === 0) {
+        try {
+            pipeline = loadPipelineConfig(env.PIPELINE_CONFIG_PATH || undefined, env);
+            const unknown = lists.filter(ref => !pipeline.findList(ref)?.id);
+            if (unknown.length > 0) problems.push(`Unknown or unconfigured list(s): ${unknown.join(', ')}.`);
+            listsToCheck = lists.length > 0 ? lists.map(ref => pipeline.findList(ref)) : pipeline.followUp.lists.filter(list => list.id);
+        } catch (configError) {
+            problems.push(configError.message);
+        }
+    }
+    if (problems.length > 0) {
+        const message = `Missing or invalid settings: ${problems.join(' ')}`;
+        console.error(`❌ ${message}`);
+        await run.fail(message);
+        await notifier.notify("error", { title: "Follow-Up Checker Error", message });
+        return result;
+    }
+    const { afterDays, ghostedAfterDays, ghostedList, label } = pipeline.followUp;
+    const myEmail = env.MY_EMAIL.trim().toLowerCase();
+    if (!ghostedList?.id) console.log(`ℹ️ No "Ghosted" list configured: cards silent for ${ghostedAfterDays} days are only reported.`);
+
+    // --- 2. Connect and Fetch the Cards ---
+    let gmail;
+    let followUps;
+    try {
+        ({ gmail } = await connectGmail());
+        trello ||= createTrelloClient(env.TRELLO_API_KEY, env.TRELLO_TOKEN);
+        followUps = await loadFollowUps();
+        const allCards = [];
+        for (const list of listsToCheck) {
+            const listCards = await trello.makeRequest('get', `/1/lists/${list.id}/cards`);
+            allCards.push(...listCards.map(card => ({ ...card, list })));
+        }
+        cards = filterCards(allCards, cards);
+    } catch (error) {
+        console.error("❌ Error preparing the follow-up check:", error.message);
+        await run.fail(`Failed to prepare the follow-up check: ${error.message}`);
+        await notifier.notify("error", { title: "Follow-Up Checker Error", message: `Failed to prepare the follow-up check: ${error.message}` });
+        return result;
+    }
+    console.log(`Checking ${cards.length} cards in ${listsToCheck.map(list => `"${list.name}"`).join(', ')} (follow up after ${afterDays} days, ghosted after ${ghostedAfterDays}).`);
+
+    // --- 3. Check Each Card ---
+    const drafted = [];
+    const ghosted = [];
+    const boardLabels = new Map();
+    for (const card of cards) {
+        try {
+            const entry = followUps.get(card.id);
+            const threadIds = [...(card.desc || '').matchAll(/threadId:\s*(\S+)/g)].map(m => m[1]);
+            const threads = await readThreads(gmail, threadIds, myEmail);
+            // Once the checker has labelled or commented on a card, its activity date is ours
+            const contacts = [threads.latest?.at, Date.parse(entry ? entry.lastContactAt : card.dateLastActivity)].filter(Number.isFinite);
+            if (contacts.length === 0) continue;
+            const lastContact = Math.max(...contacts);
+            const idleDays = Math.floor((Date.now() - lastContact) / DAY_MS);
+            if (idleDays < afterDays) continue;
+
+            const lastContactAt = new Date(lastContact).toISOString();
+            const newContact = entry && lastContact > Date.parse(entry.lastContactAt);
+            console.log(`\n- "${card.name}" (${card.list.name}): no contact for ${idleDays} days (since ${lastContactAt.slice(0, 10)}).`);
+
+            if (idleDays >= ghostedAfterDays) {
+                if (entry?.ghostedAt && !newContact) {
+                    console.log("    - Already moved to Ghosted once (and moved back). Leaving it.");
+                    continue;
+                }
+                if (!ghostedList?.id) {
+                    ghosted.push({ name: card.name, idleDays, url: card.shortUrl });
+                    continue;
+                }
+                const reason = `No reply for ${idleDays} days (last contact ${lastContactAt.slice(0, 10)})`;
+                if (dryRun) {
+                    plan.addCardMove({
+                        cardId: card.id, cardName: card.name, fromListName: card.list.name,
+                        toListId: ghostedList.id, toListName: ghostedList.name, reason: { idleDays, lastContactAt }
+                    });
+                } else {
+                    await trello.makeRequest('put', `/1/cards/${card.id}`, { idList: ghostedList.id });
+                    run.addMove({ cardId: card.id, cardName: card.name, fromList: card.list.name, toList: ghostedList.name, reason });
+                    const auditEntry = await audit.append('MOVE', {
+                        card: { id: card.id, name: card.name },
+                        from: { id: card.list.id, name: card.list.name }, to: { id: ghostedList.id, name: ghostedList.name },
+                        reason, lastContactAt
+                    });
+                    followUps.record(card.id, { cardName: card.name, lastContactAt, ghostedAt: new Date().toISOString() });
+                    try {
+                        await trello.makeRequest('post', `/1/cards/${card.id}/actions/comments`, {
+                            text: `👻 Moved from "${card.list.name}" to "${ghostedList.name}": ${reason.toLowerCase()}. A reply moves it back into the pipeline.${auditEntry ? `\nUndo with \`${undoCommand(auditEntry.id)}\`` : ''}`
+                        });
+                    } catch (commentError) {
+                        console.error(`    - ❌ Error commenting on card: ${commentError.message}`);
+                    }
+                }
+                console.log(`    - ${dryRun ? '[dry-run] Would move' : 'Moved'} the card to "${ghostedList.name}".`);
+                ghosted.push({ name: card.name, idleDays, url: card.shortUrl });
+                continue;
+            }
+
+            if (entry?.draftedAt) {
+                if (newContact) followUps.record(card.id, { lastContactAt });
+                console.log(`    - A follow-up was already drafted on ${entry.draftedAt.slice(0, 10)}.`);
+                continue;
+            }
+            const draft = buildFollowUpDraft({ card, threads });
+            if (dryRun) {
+                plan.addCardUpdate({ cardId: card.id, cardName: card.name, change: `draft a follow-up email${draft.to ? ` to ${draft.to}` : ''} and add the label "${label}"` });
+                console.log(`    - [dry-run] Would draft a follow-up${draft.to ? ` to ${draft.to}` : ''} and label the card.`);
+                drafted.push({ name: card.name, idleDays, to: draft.to, url: card.shortUrl });
+                continue;
+            }
+            const res = await gmail.users.drafts.create({
+                userId: 'me',
+                requestBody: { message: { raw: Buffer.from(draft.raw).toString('base64url'), ...(draft.threadId ? { threadId: draft.threadId } : {}) } }
+            });
+            followUps.record(card.id, { cardName: card.name, lastContactAt, draftedAt: new Date().toISOString(), draftId: res.data.id });
+            console.log(`    - 📝 Drafted a follow-up${draft.to ? ` to ${draft.to}` : ' (add the recipient)'} in Gmail.`);
+            drafted.push({ name: card.name, idleDays, to: draft.to, url: card.shortUrl });
+            try {
+                await labelCard(trello, card, { name: label, color: LABEL_COLOR }, boardLabels);
+                await trello.makeRequest('post', `/1/cards/${card.id}/actions/comments`, {
+                    text: `📝 No reply for ${idleDays} days: a follow-up email is waiting in your Gmail drafts${draft.to ? ` (to ${draft.to})` : ' (add the recipient)'}. It is not sent automatically.`
+                });
+            } catch (labelError) {
+                console.error(`    - ❌ Error labelling the card: ${labelError.message}`);
+                run.addFailure(`Could not label "${card.name}": ${labelError.message}`, { cardId: card.id });
+            }
+        } catch (error) {
+            console.error(`    - ❌ Error following up on "${card.name}": ${error.message}`);
+            run.addFailure(`Could not follow up on "${card.name}": ${error.message}`, { cardId: card.id });
+        }
+    }
+
+    // --- 4. Summary & Notification ---
+    const ghostedMoved = ghostedList?.id ? ghosted : [];
+    console.log("\n--- Summary ---");
+    console.log(`Checked ${cards.length} cards: ${drafted.length} follow-up(s) ${dryRun ? 'to draft' : 'drafted'}, ${ghosted.length} ghosted.`);
+    console.log("--- Follow-Up Check Complete ---");
+    if (dryRun) {
+        plan.print(planFormat);
+        return result;
+    }
+    try {
+        await followUps.save();
+    } catch (saveError) {
+        console.error("❌ Failed to save the follow-up state:", saveError.message);
+        run.addFailure("Failed to save the follow-up state: " + saveError.message);
+    }
+    await run.succeed(`Checked ${cards.length} cards, drafted ${drafted.length} follow-ups, ${ghostedMoved.length} moved to Ghosted.`);
+
+    if (drafted.length === 0 && ghosted.length === 0) {
+        await notifier.notify('all-clear', { title: "Follow-Up Checker", message: `Checked ${cards.length} cards. No stale applications.` });
+        return result;
+    }
+    const lines = [
+        ...drafted.map(job => `- ${job.name}: follow-up drafted (${job.idleDays} days without reply)`),
+        ...ghosted.map(job => `- ${job.name}: ${ghostedMoved.includes(job) ? 'moved to Ghosted' : 'ghosted'} (${job.idleDays} days without reply)`)
+    ];
+    await notifier.notify(drafted.length > 0 ? 'follow-up' : 'ghosted', {
+        title: `Follow-Ups: ${drafted.length} Drafted, ${ghosted.length} Ghosted`,
+        message: `${drafted.length > 0 ? 'Review and send the drafts in Gmail.\n' : ''}${lines.join('\n')}`,
+        links: [...drafted, ...ghosted].map(job => ({ label: job.name, url: job.url }))
+    });
+    return result;
+}
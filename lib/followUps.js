@@ -0,0 +1,42 @@
+// --- Follow-Up State ---
+// What the follow-up checker did per card: when it drafted a follow-up email, the last
+// contact it saw, and when it moved the card to "Ghosted". Labelling or commenting on
+// a card changes Trello's activity date, so after the first pass the last contact is
+// taken from here and from the Gmail threads instead.
+import { promises as fs } from 'fs';
+import path from 'path';
+
+const DEFAULT_FOLLOW_UPS_PATH = './state/follow-ups.json';
+
+export async function loadFollowUps(filePath = process.env.FOLLOW_UPS_PATH || DEFAULT_FOLLOW_UPS_PATH) {
+    let cards;
+    try {
+        cards = JSON.parse(await fs.readFile(filePath, 'utf8')).cards;
+    } catch (err) {
+        if (err.code !== 'ENOENT') {
+            throw new Error(`Follow-up file ${filePath} is unreadable: ${err.message}`);
+        }
+        cards = {};
+    }
+
+    return {
+        filePath,
+
+        get(cardId) {
+            return cards[cardId] || null;
+        },
+
+        // Merges the new fields into the card's entry
+        record(cardId, entry) {
+            cards[cardId] = { ...cards[cardId], ...entry, updatedAt: new Date().toISOString() };
+            return cards[cardId];
+        },
+
+        async save() {
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            const tmpPath = `${filePath}.tmp`;
+            await fs.writeFile(tmpPath, JSON.stringify({ cards }, null, 2));
+            await fs.rename(tmpPath, filePath);
+        }
+    };
+}
@@ -0,0 +1,232 @@
+// --- Gmail Helpers: authentication, listing and message parsing ---
+import { promises as fs } from 'fs';
+import { authenticate } from '@google-cloud/local-auth';
+import { google } from 'googleapis';
+import path from 'path';
+import { getScheduler } from './scheduler.js';
+
+const BASE_SCOPES = [
+    'https://www.googleapis.com/auth/gmail.readonly',
+    'https://www.googleapis.com/auth/gmail.modify'
+];
+const CREDENTIALS_PATH = './credentials.json';
+const DEFAULT_TOKEN_PATH = './token.json';
+const MAX_MESSAGES_PER_RUN = 200;
+// Calls that add something (a sent message, a draft) and are not safe to repeat after a 5xx
+const NON_IDEMPOTENT_METHODS = ['send', 'create', 'insert', 'import'];
+
+// Read when used, so each profile gets its own token and calendar setting.
+// Interviews go to Google Calendar only when GOOGLE_CALENDAR_ID is set; adding the
+// scope means running `job-tracker auth` again.
+export function requiredScopes(env = process.env) {
+    return [...BASE_SCOPES, ...(env.GOOGLE_CALENDAR_ID ? ['https://www.googleapis.com/auth/calendar.events'] : [])];
+}
+
+export function tokenPath(env = process.env) {
+    return env.GOOGLE_TOKEN_PATH || DEFAULT_TOKEN_PATH;
+}
+
+// The sign-in command for the current profile, for error messages
+export function authCommand(env = process.env) {
+    return `job-tracker auth${env.PROFILE ? ` --profile ${env.PROFILE}` : ''}`;
+}
+
+// --- Gmail Authentication Functions: saveCredentials, readSavedToken, authorize ---
+// The bots never open a browser: without a usable token.json they fail and point to
+// `job-tracker auth`, which runs the consent flow (interactive: true).
+async function saveCredentials(client) {
+  const content = await fs.readFile(CREDENTIALS_PATH);
+  const keys = JSON.parse(content);
+  const key = keys.installed || keys.web;
+  let scope_string = '';
+  if (Array.isArray(client.credentials.scope)) { scope_string = client.credentials.scope.join(' '); }
+  else if (typeof client.credentials.scope === 'string') { scope_string = client.credentials.scope; }
+  const payload = JSON.stringify({
+    type: 'authorized_user', client_id: key.client_id, client_secret: key.client_secret,
+    refresh_token: client.credentials.refresh_token, scope: scope_string, 
+  });
+  // Written next to the old token and renamed, so a failed write keeps the old one
+  const file = tokenPath();
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(`${file}.tmp`, payload);
+  await fs.rename(`${file}.tmp`, file);
+  console.log(`✅ Token saved to ${file}`);
+}
+
+// Returns { token, missingScopes, problem }; problem is null when the token is usable.
+// GOOGLE_TOKEN_JSON (the token itself, e.g. from a profile in PROFILES_JSON) wins over the file.
+export async function readSavedToken() {
+  const scopes = requiredScopes();
+  const source = process.env.GOOGLE_TOKEN_JSON ? 'GOOGLE_TOKEN_JSON' : tokenPath();
+  let token;
+  try {
+    token = JSON.parse(process.env.GOOGLE_TOKEN_JSON || await fs.readFile(source, 'utf8'));
+  } catch (err) {
+    return { token: null, missingScopes: scopes, problem: err.code === 'ENOENT' ? `${source} not found` : `${source} is unreadable (${err.message})` };
+  }
+  const savedScopes = token.scope?.split(' ') || [];
+  const missingScopes = scopes.filter(scope => !savedScopes.includes(scope));
+  let problem = null;
+  if (!token.refresh_token) problem = `${source} has no refresh token`;
+  else if (missingScopes.length > 0) problem = `${source} lacks the scopes ${missingScopes.join(', ')}`;
+  return { token, missingScopes, problem };
+}
+
+export async function authorize({ interactive = false } = {}) {
+  const saved = await readSavedToken();
+  if (!saved.problem && !interactive) {
+      console.log("✅ Re-using saved Google token.");
+      return google.auth.fromJSON(saved.token); 
+  }
+  if (!interactive) {
+    throw new Error(`${saved.problem}. Run \`${authCommand()}\` to sign in to Google (then update the GOOGLE_TOKEN_JSON secret with the new token).`);
+  }
+  try {
+    await fs.access(CREDENTIALS_PATH);
+  } catch {
+    throw new Error(`${CREDENTIALS_PATH} not found. Download the OAuth client (type "Desktop app") from the Google Cloud console and save it there.`);
+  }
+  console.log("Opening the browser for Google sign-in...");
+  const client = await authenticate({ scopes: requiredScopes(), keyfilePath: CREDENTIALS_PATH });
+  // Google only sends a refresh token the first time the app is granted access
+  if (!client.credentials?.refresh_token) {
+    throw new Error(`Google did not return a refresh token because the app was already authorized. Remove its access at https://myaccount.google.com/permissions and run \`${authCommand()}\` again.`);
+  }
+  await saveCredentials(client);
+  return client;
+}
+
+// Gmail client whose API methods all run through the scheduler ("gmail" service).
+// The googleapis client is a tree of resources (users.messages.get, ...), so the
+// proxy wraps every function it finds at any depth.
+export function createGmailClient(auth, scheduler = getScheduler()) {
+    const wrap = (target, path) => new Proxy(target, {
+        get(obj, prop) {
+            const value = obj[prop];
+            if (typeof value === 'function') {
+                return (...args) => scheduler.run('gmail', () => value.apply(obj, args), {
+                    label: `Gmail ${[...path, prop].join('.')}`, idempotent: !NON_IDEMPOTENT_METHODS.includes(prop)
+                });
+            }
+            return value && typeof value === 'object' ? wrap(value, [...path, prop]) : value;
+        }
+    });
+    const gmail = google.gmail({ version: 'v1', auth });
+    return { users: wrap(gmail.users, ['users']) };
+}
+
+// Lists the messages matching the query, newest first, following nextPageToken.
+// skip(id) leaves out messages that are already done, so they do not count against the
+// cap. Returns { messages, truncated }; truncated means older matches were left for the
+// next run, which then has to search the same window again.
+export async function listMessages(gmail, query, { skip = () => false } = {}) {
+    const messages = [];
+    let pageToken;
+    do {
+        const res = await gmail.users.messages.list({
+            userId: 'me', maxResults: 100, q: query, pageToken
+        });
+        messages.push(...(res.data.messages || []).filter(message => !skip(message.id)));
+        pageToken = res.data.nextPageToken;
+    } while (pageToken && messages.length < MAX_MESSAGES_PER_RUN);
+    return { messages: messages.slice(0, MAX_MESSAGES_PER_RUN), truncated: Boolean(pageToken) || messages.length > MAX_MESSAGES_PER_RUN };
+}
+
+// Messages added to the inbox since startHistoryId, using the history.list delta.
+// skip and the { messages, truncated } result work as in listMessages. Returns null
+// when Gmail no longer has history that old (HTTP 404); callers then fall back to a
+// search query.
+export async function listHistoryMessages(gmail, startHistoryId, { skip = () => false } = {}) {
+    const messages = new Map();
+    let pageToken;
+    try {
+        do {
+            const res = await gmail.users.history.list({
+                userId: 'me', startHistoryId, historyTypes: ['messageAdded'], labelId: 'INBOX', maxResults: 100, pageToken
+            });
+            for (const entry of res.data.history || []) {
+                (entry.messagesAdded || [])
+                    .filter(({ message }) => !skip(message.id))
+                    .forEach(({ message }) => messages.set(message.id, { id: message.id, threadId: message.threadId }));
+            }
+            pageToken = res.data.nextPageToken;
+        } while (pageToken && messages.size < MAX_MESSAGES_PER_RUN);
+    } catch (err) {
+        if ((err.status ?? err.code) === 404) return null;
+        throw err;
+    }
+    return { messages: [...messages.values()].slice(0, MAX_MESSAGES_PER_RUN), truncated: Boolean(pageToken) || messages.size > MAX_MESSAGES_PER_RUN };
+}
+
+// Asks Gmail to publish inbox changes to a Pub/Sub topic. A watch expires after
+// 7 days, so it has to be renewed; returns { historyId, expiration }.
+export async function watchInbox(gmail, topicName) {
+    const res = await gmail.users.watch({
+        userId: 'me',
+        requestBody: { topicName, labelIds: ['INBOX'], labelFilterBehavior: 'include' }
+    });
+    return { historyId: res.data.historyId, expiration: new Date(Number(res.data.expiration)).toISOString() };
+}
+
+// Header value for a raw message; non-ASCII text is sent as RFC 2047 base64
+export function encodeHeader(value) {
+    return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+}
+
+export function getHeader(message, name) {
+    return message.payload?.headers?.find(h => h.name.toLowerCase() === name.toLowerCase())?.value || '';
+}
+
+function decodeBase64Url(data) {
+    return Buffer.from(data.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8');
+}
+
+export function htmlToText(html) {
+    return html
+        .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, '')
+        .replace(/<br\s*\/?>|<\/(p|div|li|tr|h\d)>/gi, '\n')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&nbsp;/g, ' ').replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"').replace(/&#39;/g, "'")
+        .replace(/[ \t]+\n/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+// Markers that start the quoted earlier message in a reply
+const QUOTE_HEADER_PATTERNS = [
+    /^On .{1,200}wrote:\s*$/m,                                  // Gmail / Apple Mail
+    /^-{2,}\s*Original Message\s*-{2,}/im,                      // Outlook
+    /^_{5,}\s*$/m,                                              // Outlook web separator
+    /^From: .+\n(?:.+\n){0,3}?(?:Sent|Date): .+$/m              // Outlook header block
+];
+
+// Cuts the quoted history off a reply so only the new text is left.
+export function stripQuotedReply(text) {
+    let end = text.length;
+    for (const pattern of QUOTE_HEADER_PATTERNS) {
+        const match = pattern.exec(text);
+        if (match && match.index > 0 && match.index < end) end = match.index;
+    }
+    return text.slice(0, end)
+        .split('\n')
+        .filter(line => !line.startsWith('>'))
+        .join('\n')
+        .trim();
+}
+
+// Plain-text body of a message fetched with format: 'full'. Prefers the text/plain
+// part and falls back to the HTML part with the tags stripped.
+export function extractPlainText(payload) {
+    const parts = [];
+    const walk = part => {
+        if (!part) return;
+        if (part.body?.data && part.mimeType?.startsWith('text/')) parts.push(part);
+        (part.parts || []).forEach(walk);
+    };
+    walk(payload);
+    const plain = parts.find(part => part.mimeType === 'text/plain');
+    if (plain) return decodeBase64Url(plain.body.data).trim();
+    const html = parts.find(part => part.mimeType === 'text/html');
+    return html ? htmlToText(decodeBase64Url(html.body.data)) : '';
+}
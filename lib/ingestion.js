@@ -0,0 +1,316 @@
+// --- Application Ingestion ---
+// Scans Sent mail and "thank you for applying" confirmations for applications and
+// creates a card for each in the intake list ("Sent CV"), unless the application
+// already has one. `job-tracker ingest` runs it from the command line.
+import { createPlan } from './dryRun.js';
+import { loadLedger } from './ledger.js';
+import { loadPipelineConfig } from './pipelineConfig.js';
+import { readLLMConfig, createLLMProvider, parseJsonResponse } from './llm/index.js';
+import { authorize, listMessages, getHeader, extractPlainText, createGmailClient } from './gmail.js';
+import { createTrelloClient } from './trello.js';
+import { checkEnv } from './env.js';
+import { startRun } from './runHistory.js';
+import { extractCompanyCandidates, parseSender, isAtsDomain, isPersonalDomain, registrableDomain, nameSimilarity, cardIdentity } from './matcher.js';
+
+// --- Searches ---
+// Applications we sent ourselves, and "thank you for applying" confirmations from companies / ATSs
+const SOURCES = [
+    { name: 'Sent mail', query: 'in:sent -in:chats (cv OR resume OR "curriculum vitae" OR application OR position OR role OR apply)' },
+    { name: 'ATS confirmation', query: 'in:inbox ("thank you for applying" OR "thanks for applying" OR "application received" OR "received your application" OR "application was submitted")' }
+];
+const CONFIRMATION_PATTERN = /thank(s| you) for (applying|your application)|application (was )?(received|submitted)|received your application/i;
+const JOB_URL_PATTERN = /https?:\/\/[^\s<>"')\]]*(job|career|position|opening|greenhouse|lever\.co|comeet|workday|linkedin\.com\/jobs|smartrecruiters|ashbyhq)[^\s<>"')\]]*/i;
+
+// Heuristic extraction, used without an LLM or when the LLM answer is unusable.
+function extractApplicationWithRules(email) {
+    const text = `${email.subject}\n${email.body}`;
+    const isApplication = email.source === 'ATS confirmation'
+        ? CONFIRMATION_PATTERN.test(text)
+        : /\b(cv|resume|curriculum vitae)\b/i.test(text) && /\b(position|role|job|apply|applying)\b/i.test(text);
+    const company = extractCompanyCandidates({ fromHeader: email.counterpart, subject: email.subject, body: email.body })[0]?.name || null;
+    const role = email.subject.match(/(?:for|position|role)[:\s]+(?:the\s+)?(.+?)(?:\s+(?:position|role)\b|\s+at\s+|$)/i)?.[1]?.trim() || null;
+    const jobUrl = text.match(JOB_URL_PATTERN)?.[0] || null;
+    return { isApplication, company, role, jobUrl };
+}
+
+// Asks the AI to pull the company, role and job URL out of an application email.
+async function extractApplicationWithAI(email, llm) {
+    const fallback = extractApplicationWithRules(email);
+    if (!llm) return fallback;
+
+    const systemPrompt = `You extract job applications from emails for a job application tracker.
+Decide whether the email is a job application the user sent, or a confirmation that an application was received.
+Respond ONLY with a JSON object: {"isApplication": boolean, "company": string|null, "role": string|null, "jobUrl": string|null}.
+"company" is the hiring company (never the ATS such as Greenhouse or Lever). "jobUrl" must be copied from the email text, never invented.`;
+    const userPrompt = `Source: ${email.source}\nFrom/To: ${email.counterpart}\nSubject: ${email.subject}\n---\n${email.body.slice(0, 4000)}\n---`;
+    try {
+        console.log(`    - Asking ${llm.name} (${llm.model}) to extract the application...`);
+        const result = parseJsonResponse(await llm.complete({ system: systemPrompt, user: userPrompt, temperature: 0 }));
+        // Only trust a URL that really appears in the email
+        const jobUrl = result.jobUrl && email.body.includes(result.jobUrl) ? result.jobUrl : fallback.jobUrl;
+        return {
+            isApplication: Boolean(result.isApplication),
+            company: result.company || fallback.company,
+            role: result.role || fallback.role,
+            jobUrl
+        };
+    } catch (error) {
+        console.error(`    - ❌ AI extraction failed (${error.message}). Using heuristics.`);
+        return fallback;
+    }
+}
+
+// An existing card for the same application: same thread, or same company and a similar role.
+function findDuplicateCard(application, threadId, cards) {
+    const byThread = cards.find(card => card.desc && card.desc.includes(`threadId: ${threadId}`));
+    if (byThread) return { card: byThread, sameThread: true };
+    const byCompany = cards.find(card => {
+        const identity = cardIdentity(card);
+        if (!identity.names.some(name => nameSimilarity(name, application.company) >= 0.9)) return false;
+        const cardRole = card.name.split(/\s+[-|–]\s+/)[1];
+        return !application.role || !cardRole || nameSimilarity(cardRole, application.role) >= 0.6;
+    });
+    return byCompany ? { card: byCompany, sameThread: false } : null;
+}
+
+// The structured description the email matcher looks for (threadId / domain lines).
+function buildCardDescription(application, email) {
+    const lines = [`company: ${application.company}`];
+    if (application.role) lines.push(`role: ${application.role}`);
+    lines.push(`threadId: ${email.threadId}`);
+    if (email.companyDomain) lines.push(`domain: ${email.companyDomain}`);
+    lines.push(`source: ${email.source} (${new Date(email.timestamp).toISOString().slice(0, 10)})`);
+    return lines.join('\n');
+}
+
+// --- AI Model Setup ---
+// Provider is selected with LLM_PROVIDER / LLM_MODEL (see lib/llm/index.js)
+function createExtractionLLM(env) {
+    try {
+        return createLLMProvider(readLLMConfig('LLM', { provider: 'groq', model: 'llama-3.1-8b-instant' }, env));
+    } catch (llmError) {
+        console.error(`❌ Error: ${llmError.message} Falling back to heuristic extraction.`);
+        return null;
+    }
+}
+
+async function connectToGmail() {
+    const auth = await authorize();
+    return { auth, gmail: createGmailClient(auth) };
+}
+
+// Returns { run, plan }; plan is the dry run's plan (null otherwise). connectGmail and
+// trello replace the real clients (tests).
+export async function runIngestion({
+    notifier, dryRun = false, planFormat = 'text',
+    run = startRun('ingestion', { dryRun }), connectGmail = connectToGmail, trello = null, env = process.env
+}) {
+    console.log("--- Starting Application Ingestion Script ---");
+    const plan = dryRun ? createPlan('ingest') : null;
+    const result = { run: run.record, plan };
+    if (dryRun) console.log("🧪 DRY-RUN mode: no cards will be created or updated.");
+
+    // --- 1. Check Config ---
+    const problems = checkEnv('ingest', env, { skip: trello ? ['TRELLO_API_KEY', 'TRELLO_TOKEN'] : [] });
+    let pipeline;
+    if (problems.length === 0) {
+        try {
+            pipeline = loadPipelineConfig(env.PIPELINE_CONFIG_PATH || undefined, env);
+        } catch (configError) {
+            problems.push(configError.message);
+        }
+    }
+    if (problems.length > 0) {
+        const message = `Missing or invalid settings: ${problems.join(' ')}`;
+        console.error(`❌ ${message}`);
+        await run.fail(message);
+        await notifier.notify("error", { title: "Ingestion Error", message });
+        return result;
+    }
+    // The workflows pass unset secrets as empty strings, hence || instead of defaults
+    const lookbackDays = Number(env.EMAIL_LOOKBACK_DAYS || 7);
+    const intakeList = pipeline.intakeList;
+    const llm = createExtractionLLM(env);
+    trello ||= createTrelloClient(env.TRELLO_API_KEY, env.TRELLO_TOKEN);
+
+    let gmail;
+    try {
+        ({ gmail } = await connectGmail());
+    } catch (gmailError) {
+        console.error("❌ Failed to connect to Gmail:", gmailError.message);
+        await run.fail("Failed to connect to Gmail: " + gmailError.message);
+        await notifier.notify("error", { title: "Ingestion Error", message: "Failed to connect to Gmail: " + gmailError.message });
+        return result;
+    }
+
+    // --- 2. Fetch Existing Cards (every configured list, so dropped applications are not re-created) ---
+    let cards = [];
+    try {
+        for (const list of Object.values(pipeline.lists).filter(list => list.id)) {
+            cards.push(...await trello.makeRequest('get', `/1/lists/${list.id}/cards`));
+        }
+        console.log(`✅ Found ${cards.length} existing cards.`);
+    } catch (err) {
+        console.error("❌ Error fetching Trello cards:", err.message);
+        await run.fail("Failed to fetch Trello cards: " + err.message);
+        await notifier.notify("error", { title: "Ingestion Error", message: "Failed to fetch Trello cards: " + err.message });
+        return result;
+    }
+
+    let ledger;
+    try {
+        ledger = await loadLedger(env.INGEST_LEDGER_PATH || './state/ingest-ledger.json');
+    } catch (ledgerError) {
+        console.error("❌", ledgerError.message);
+        await run.fail(ledgerError.message);
+        await notifier.notify("error", { title: "Ingestion Error", message: ledgerError.message });
+        return result;
+    }
+
+    // --- 3. Scan Sent Mail and Confirmations ---
+    const createdCards = [];
+    let failures = 0;
+    let coversWindow = true; // Whether the next run can start from this one
+
+    for (const source of SOURCES) {
+        const query = ledger.searchQuery(lookbackDays, source.query);
+        let messages;
+        try {
+            let truncated;
+            ({ messages, truncated } = await listMessages(gmail, query, { skip: id => ledger.isSettled(id) }));
+            if (truncated) {
+                console.log(`ℹ️ More ${source.name} messages than one run handles: the last-run mark stays where it is.`);
+                coversWindow = false;
+            }
+        } catch (listError) {
+            console.error(`❌ Error searching ${source.name}:`, listError.message);
+            run.addFailure(`Could not search ${source.name}: ${listError.message}`);
+            failures++;
+            coversWindow = false; // Its messages are searched for again next run
+            continue;
+        }
+        console.log(`\n${source.name}: ${messages.length} new messages.`);
+
+        // Oldest first, so the application is created before its confirmation arrives
+        for (const message of messages.reverse()) {
+            let msg;
+            try {
+                msg = (await gmail.users.messages.get({ userId: 'me', id: message.id, format: 'full' })).data;
+            } catch (getError) {
+                console.error(`\n❌ Error fetching email ${message.id}:`, getError.message);
+                ledger.record(message.id, { threadId: message.threadId, action: 'FETCH_FAILED', error: getError.message });
+                run.addFailure(`Could not fetch email ${message.id}: ${getError.message}`, { messageId: message.id });
+                failures++;
+                continue;
+            }
+
+            // For sent mail the company is the recipient; for confirmations, the sender
+            const counterpart = source.name === 'Sent mail' ? getHeader(msg, 'To') : getHeader(msg, 'From');
+            const counterpartDomain = parseSender(counterpart).domain;
+            const email = {
+                source: source.name,
+                subject: getHeader(msg, 'Subject') || 'No Subject',
+                counterpart,
+                body: extractPlainText(msg.payload) || msg.snippet || '',
+                threadId: msg.threadId,
+                timestamp: parseInt(msg.internalDate, 10),
+                companyDomain: counterpartDomain && !isAtsDomain(counterpartDomain) && !isPersonalDomain(counterpartDomain)
+                    ? registrableDomain(counterpartDomain) : null
+            };
+            console.log(`\n- ${source.name}: "${email.subject}" (${counterpart})`);
+
+            const application = await extractApplicationWithAI(email, llm);
+            if (!application.isApplication || !application.company) {
+                console.log("    - Not a job application. Skipping.");
+                ledger.record(message.id, { threadId: email.threadId, subject: email.subject, action: 'NOT_APPLICATION' });
+                continue;
+            }
+            console.log(`    - Application: ${application.company}${application.role ? ` / ${application.role}` : ''}${application.jobUrl ? ` (${application.jobUrl})` : ''}`);
+
+            const duplicate = findDuplicateCard(application, email.threadId, cards);
+            if (duplicate) {
+                console.log(`    - Card already exists: "${duplicate.card.name}".`);
+                // Remember this thread too, so replies to it match the card by thread ID
+                if (!duplicate.sameThread) {
+                    const desc = `${duplicate.card.desc || ''}\nthreadId: ${email.threadId}`.trim();
+                    if (dryRun) {
+                        plan.addCardUpdate({ cardId: duplicate.card.id, cardName: duplicate.card.name, change: `add threadId: ${email.threadId}` });
+                    } else {
+                        try {
+                            await trello.makeRequest('put', `/1/cards/${duplicate.card.id}`, { desc });
+                            console.log("    - Linked this thread to the existing card.");
+                        } catch (updateError) {
+                            console.error("    - ❌ Error updating card description:", updateError.message);
+                        }
+                    }
+                    duplicate.card.desc = desc;
+                }
+                ledger.record(message.id, { threadId: email.threadId, subject: email.subject, action: 'DUPLICATE', cardId: duplicate.card.id });
+                continue;
+            }
+
+            const cardName = application.role ? `${application.company} - ${application.role}` : application.company;
+            const desc = buildCardDescription(application, email);
+            if (dryRun) {
+                console.log(`    - [dry-run] Would create card "${cardName}" in "${intakeList.name}".`);
+                plan.addCardCreate({ cardName, listName: intakeList.name, desc, attachmentUrl: application.jobUrl });
+                cards.push({ id: `dry-run-${message.id}`, name: cardName, desc, idList: intakeList.id });
+                createdCards.push({ name: cardName });
+                continue;
+            }
+            try {
+                const card = await trello.makeRequest('post', '/1/cards', { idList: intakeList.id, name: cardName, desc, pos: 'top' });
+                // The job checker reads the posting URL from the card's link attachment. The card
+                // exists either way, so a failed attachment is not a failed creation.
+                if (application.jobUrl) {
+                    try {
+                        await trello.makeRequest('post', `/1/cards/${card.id}/attachments`, { url: application.jobUrl, name: 'Job posting' });
+                    } catch (attachError) {
+                        console.error("    - ❌ Error attaching the job posting link:", attachError.message);
+                        run.addFailure(`Could not attach ${application.jobUrl} to "${cardName}": ${attachError.message}`, { cardId: card.id, messageId: message.id });
+                    }
+                }
+                console.log(`    ✅ Created card "${cardName}" in "${intakeList.name}".`);
+                cards.push(card);
+                createdCards.push({ name: cardName, url: card.shortUrl });
+                run.addMove({ cardId: card.id, cardName, fromList: null, toList: intakeList.name, reason: `Created from ${email.source}: "${email.subject}"` });
+                ledger.record(message.id, { threadId: email.threadId, subject: email.subject, action: 'CARD_CREATED', cardId: card.id, cardName });
+            } catch (createError) {
+                console.error("    - ❌ Error creating card:", createError.message);
+                ledger.record(message.id, { threadId: email.threadId, subject: email.subject, action: 'CREATE_FAILED', error: createError.message });
+                run.addFailure(`Could not create card "${cardName}": ${createError.message}`, { messageId: message.id });
+                failures++;
+            }
+        }
+    }
+
+    // --- 4. Summary & Notification ---
+    console.log("\n--- Summary ---");
+    console.log(`${dryRun ? 'Would create' : 'Created'} ${createdCards.length} cards.`);
+    if (failures > 0) console.log(`${failures} failure(s).`);
+    console.log("--- Application Ingestion Complete ---");
+
+    if (dryRun) {
+        plan.print(planFormat);
+        return result;
+    }
+
+    if (coversWindow) ledger.markRun();
+    try {
+        await ledger.save();
+    } catch (saveError) {
+        console.error("❌ Failed to save the ingestion ledger:", saveError.message);
+        run.addFailure("Failed to save the ingestion ledger: " + saveError.message);
+        failures++;
+    }
+    await run.succeed(`Created ${createdCards.length} cards, ${failures} failure(s).`);
+
+    if (createdCards.length > 0 || failures > 0) {
+        const title = createdCards.length > 0 ? `Trello Bot: ${createdCards.length} Application(s) Added` : "Trello Bot: Ingestion Problems";
+        let message = createdCards.length > 0 ? `Added to "${intakeList.name}":\n- ${createdCards.map(card => card.name).join('\n- ')}` : '';
+        if (failures > 0) message += `${message ? '\n' : ''}${failures} email(s) could not be processed and will be retried.`;
+        const links = createdCards.filter(card => card.url).map(card => ({ label: card.name, url: card.url }));
+        await notifier.notify(createdCards.length > 0 ? 'created' : 'error', { title, message, links });
+    }
+    return result;
+}
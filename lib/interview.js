@@ -0,0 +1,47 @@
+// --- Interview Details ---
+// Pulls the proposed date, time, time zone and meeting link out of an interview
+// invitation. The AI reads the full email body; without an AI only the meeting link
+// can be found reliably, so the interview is then recorded without a time.
+import { parseJsonResponse } from './llm/index.js';
+import { isValidTimeZone, zonedTimeToUtc } from './calendar.js';
+
+const DEFAULT_DURATION_MINUTES = 60;
+const MEETING_LINK_PATTERN = /https?:\/\/(?:[\w-]+\.)*(?:zoom\.us\/[jw]|meet\.google\.com|teams\.microsoft\.com|teams\.live\.com|webex\.com|whereby\.com|calendly\.com)[^\s<>"')\]]*/i;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Returns { scheduled, start: Date|null, timeZone, durationMinutes, meetingLink, location, source }.
+// `scheduled` is false when the email proposes no concrete time (e.g. "send us your availability").
+export async function extractInterviewDetails({ subject, body, receivedAt }, llm, { defaultTimeZone }) {
+    const meetingLink = body.match(MEETING_LINK_PATTERN)?.[0] || null;
+    const fallback = { scheduled: false, start: null, timeZone: defaultTimeZone, durationMinutes: DEFAULT_DURATION_MINUTES, meetingLink, location: null, source: 'rules' };
+    if (!llm) return fallback;
+
+    const systemPrompt = `You extract interview scheduling details from emails for a job application tracker.
+Respond ONLY with a JSON object:
+{"scheduled": boolean, "date": "YYYY-MM-DD"|null, "time": "HH:mm"|null, "timezone": string|null, "durationMinutes": number|null, "meetingLink": string|null, "location": string|null}
+"scheduled" is true only if the email names one concrete date and time for the interview.
+"time" is the local time in 24-hour format and "timezone" its IANA name (e.g. "Europe/London"); use null if the email does not say.
+Resolve relative dates ("tomorrow", "next Tuesday") against the date the email was received.
+"meetingLink" must be copied from the email text, never invented. "location" is a physical address, if any.`;
+    const userPrompt = `Received: ${new Date(receivedAt).toISOString()}\nSubject: ${subject}\n---\n${body.slice(0, 6000)}\n---`;
+    try {
+        console.log(`    - Asking ${llm.name} (${llm.model}) for the interview details...`);
+        const result = parseJsonResponse(await llm.complete({ system: systemPrompt, user: userPrompt, temperature: 0 }));
+        const timeZone = result.timezone && isValidTimeZone(result.timezone) ? result.timezone : defaultTimeZone;
+        const hasTime = result.scheduled && DATE_PATTERN.test(result.date || '') && TIME_PATTERN.test(result.time || '');
+        return {
+            scheduled: Boolean(hasTime),
+            start: hasTime ? zonedTimeToUtc(result.date, result.time, timeZone) : null,
+            timeZone,
+            durationMinutes: Number.isInteger(result.durationMinutes) && result.durationMinutes > 0 ? result.durationMinutes : DEFAULT_DURATION_MINUTES,
+            // Only trust a link that really appears in the email
+            meetingLink: result.meetingLink && body.includes(result.meetingLink) ? result.meetingLink : meetingLink,
+            location: result.location || null,
+            source: 'ai'
+        };
+    } catch (error) {
+        console.error(`    - ❌ Interview extraction failed (${error.message}). Recording the interview without a time.`);
+        return fallback;
+    }
+}
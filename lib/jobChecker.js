@@ -0,0 +1,336 @@
+// --- Job Checker ---
+// Goes through the "Sent CV" list (or the lists given) and moves the cards whose job
+// posting was taken down to "Job Deleted". Each posting is checked over HTTP first; the
+// AI is only asked when the page gives no clear answer. Moves the approval policy holds
+// back (POSTING_REMOVED in pipeline.json) wait in the review queue instead, and a card
+// whose move was rejected is not checked again. `job-tracker check-postings` runs it
+// from the command line.
+import { readLLMConfig, createLLMProvider } from './llm/index.js';
+import { checkPostingHttp } from './postingChecker.js';
+import { getScheduler } from './scheduler.js';
+import { createTrelloClient, filterCards } from './trello.js';
+import { checkEnv } from './env.js';
+import { loadPipelineConfig } from './pipelineConfig.js';
+import { startRun } from './runHistory.js';
+import { createAuditLog, undoCommand } from './auditLog.js';
+import { createPlan } from './dryRun.js';
+import { loadReviewQueue } from './reviewQueue.js';
+import { checkPolicy, POSTING_REMOVED } from './policy.js';
+import { holdForApproval, notifyHeld } from './approvals.js';
+
+
+  // Asks the AI to visit a URL and check if the job is active.
+  // Returns { status: 'ACTIVE' | 'DELETED', evidence, rawOutput }.
+
+async function checkJobStatusWithAI(url, llm, log = console.log) {
+    if (!llm) {
+        log("    - AI client not initialized. Skipping check.");
+        return { status: 'ACTIVE', evidence: 'No AI configured; assumed active to be safe' };
+    }
+
+    const systemPrompt = `You are a job status verifier. Your task is to check the provided URL and determine if the job posting is "ACTIVE" or "DELETED". 
+A job is "DELETED" if the page is a 404, says "job not found", "position filled", "no longer available", or redirects to a generic careers page.
+A job is "ACTIVE" if the posting is still visible and seems to be accepting applications.
+Respond with the single word 'ACTIVE' or 'DELETED' on the first line, then one short sentence with the evidence you saw.`;
+    
+    const userPrompt = `Please check this URL and report its status: ${url}`;
+
+    try {
+        log(`    - Asking ${llm.name} (${llm.model}) to check URL: ${url}`);
+        const response = await llm.complete({
+            system: systemPrompt,
+            user: userPrompt,
+            temperature: 0,
+            webSearch: true // Enable web browsing
+        });
+
+        const [firstLine, ...rest] = response.split('\n');
+        const classification = firstLine.trim().replace(/[^A-Z]/gi, '').toUpperCase();
+        const evidence = `AI (${llm.model}): ${rest.join(' ').trim() || classification}`;
+        
+        if (classification === 'ACTIVE' || classification === 'DELETED') {
+            log(`    - AI Status: ${classification}`);
+            return { status: classification, evidence, rawOutput: response };
+        } else {
+            log(`    - AI returned unexpected status: "${firstLine}". Assuming ACTIVE to be safe.`);
+            return { status: 'ACTIVE', evidence: `AI answer "${firstLine}" not understood; assumed active`, rawOutput: response }; 
+        }
+
+    } catch (error) {
+        log(`    - ❌ Error checking job status with AI: ${error.message}`);
+        return { status: 'ACTIVE', evidence: `AI check failed (${error.message}); assumed active` }; // Assume active to be safe if AI fails
+    }
+}
+
+  // Checks the posting over HTTP first; only asks the AI when the page gives no clear answer.
+  // Returns { status, evidence: string[], method: 'http' | 'ai', model, rawOutput }.
+
+async function checkJobStatus(url, llm, log = console.log) {
+    const httpResult = await getScheduler().run('web', () => checkPostingHttp(url), { label: `GET ${url}` });
+    httpResult.evidence.forEach(line => log(`    - ${line}`));
+    if (httpResult.status !== 'UNKNOWN') {
+        log(`    - HTTP check${httpResult.site ? ` (${httpResult.site})` : ''}: ${httpResult.status}`);
+        return { status: httpResult.status, evidence: httpResult.evidence, method: 'http', model: null, rawOutput: null };
+    }
+    log("    - HTTP check was inconclusive. Falling back to the AI.");
+    const aiResult = await checkJobStatusWithAI(url, llm, log);
+    return {
+        status: aiResult.status, evidence: [...httpResult.evidence, aiResult.evidence], method: 'ai',
+        model: llm ? `${llm.name}/${llm.model}` : null, rawOutput: aiResult.rawOutput ?? null
+    };
+}
+
+
+// --- Run the Job Checker ---
+// Same options as runEmailBot: notifier, run (created up front by the CLI) and trello,
+// which defaults to the real client. lists picks the lists to scan (key, name or ID
+// from pipeline.json) and cards narrows the cards checked. Returns { run, plan }.
+export async function runJobChecker({
+    notifier, dryRun = false, planFormat = 'text', lists = [], cards = [],
+    run = startRun('job-checker', { dryRun }), trello = null, env = process.env
+}) {
+    // --- Load ALL Environment Variables ---
+    const {
+        TRELLO_API_KEY, TRELLO_TOKEN,
+        // --- LIST TO CHECK ---
+        TRELLO_SENT_CV_LIST_ID,
+        // --- TARGET LIST ---
+        TRELLO_JOB_DELETED_FROM_WEBSITE_LIST_ID,
+        // Notification channels (NTFY_TOPIC, ...) are read by lib/notifier.js
+    } = env;
+
+    console.log("--- Starting Job Status Checker Script ---");
+    const plan = dryRun ? createPlan('checkJobs.js') : null;
+    const result = { run: run.record, plan };
+    const audit = createAuditLog({ script: 'job-checker', runId: run.id, dryRun });
+    if (dryRun) console.log("🧪 DRY-RUN mode: no cards will be moved.");
+    let notificationTitle = "Trello Job Checker";
+    let notificationMessage = "";
+
+    // --- 1. Check Config ---
+    const envProblems = checkEnv('check-postings', env, { skip: trello ? ['TRELLO_API_KEY', 'TRELLO_TOKEN'] : [] });
+    let listsToScan = [{ id: TRELLO_SENT_CV_LIST_ID, name: "Sent CV" }];
+    let pipeline;
+    if (envProblems.length === 0) {
+        try {
+            pipeline = loadPipelineConfig(env.PIPELINE_CONFIG_PATH || undefined, env);
+            if (lists.length > 0) {
+                const unknown = lists.filter(ref => !pipeline.findList(ref)?.id);
+                if (unknown.length > 0) envProblems.push(`Unknown or unconfigured list(s): ${unknown.join(', ')}.`);
+                listsToScan = lists.map(ref => pipeline.findList(ref));
+            }
+        } catch (configError) {
+            envProblems.push(configError.message);
+        }
+    }
+    if (envProblems.length > 0) {
+        const message = `Missing or invalid settings: ${envProblems.join(' ')}`;
+        console.error(`❌ ${message}`);
+        await run.fail(message);
+        await notifier.notify("error", { title: "Job Checker Error", message });
+        return result;
+    }
+    // --- AI Model Setup ---
+    // Selected with JOB_CHECK_LLM_PROVIDER / JOB_CHECK_LLM_MODEL; the default model can browse the web.
+    // The AI is only a fallback for pages the HTTP check cannot judge
+    let llm = null;
+    try {
+        llm = createLLMProvider(readLLMConfig('JOB_CHECK_LLM', { provider: 'groq', model: 'groq/compound' }, env));
+    } catch (llmError) {
+        console.warn(`⚠️ ${llmError.message} Inconclusive postings will be assumed active.`);
+    }
+    if (!llm) {
+        console.log("🤖 No AI fallback: inconclusive postings will be assumed active.");
+    } else if (!llm.supportsWebSearch) {
+        console.warn(`⚠️ ${llm.name} model "${llm.model}" cannot browse the web; verdicts will rely on the model's own knowledge.`);
+    }
+    
+    trello ||= createTrelloClient(TRELLO_API_KEY, TRELLO_TOKEN);
+
+    // --- 2. Define Lists to Scan ---
+    console.log(`Scanning ${listsToScan.map(list => `"${list.name}" (ID: ${list.id})`).join(', ')} for active jobs...`);
+
+    let allActiveCards = [];
+    let cardsMoved = 0;
+    // --- Array to store deleted jobs and the evidence for each ---
+    let deletedJobs = [];
+    const toHold = []; // { card, item } for moves the policy holds back, queued after the checks
+    let reviewQueue;
+
+    // --- 3. Fetch All Cards from the Lists ---
+    try {
+        for (const list of listsToScan) {
+            const listCards = await trello.makeRequest('get', `/1/lists/${list.id}/cards`);
+            allActiveCards.push(...listCards.map(card => ({ ...card, list })));
+        }
+        allActiveCards = filterCards(allActiveCards, cards);
+    } catch (err) {
+        console.error("❌ Error fetching Trello cards:", err.message);
+        await run.fail("Failed to fetch Trello cards: " + err.message);
+        await notifier.notify("error", { title: "Job Checker Error", message: "Failed to fetch Trello cards: " + err.message });
+        return result;
+    }
+    try {
+        reviewQueue = await loadReviewQueue();
+    } catch (queueError) {
+        console.error("❌ Error loading the review queue:", queueError.message);
+        await run.fail(queueError.message);
+        await notifier.notify("error", { title: "Job Checker Error", message: queueError.message });
+        return result;
+    }
+
+    console.log(`✅ Found ${allActiveCards.length} total cards to check.`);
+    if (allActiveCards.length === 0) {
+        console.log("No cards to check. Exiting.");
+        if (dryRun) plan.print(planFormat);
+        await run.succeed("No cards to check.");
+        return result;
+    }
+
+    // --- 4. Process the Cards in Parallel (the scheduler limits Trello, web and AI calls) ---
+    const processCard = async (card) => {
+        // Each card's lines are printed together so parallel checks don't interleave
+        const lines = [`\nChecking card: "${card.name}" (ID: ${card.id})`];
+        const log = (line) => lines.push(line);
+        try {
+            // A person already decided (or is deciding) about this card's posting
+            const decided = reviewQueue.forCard(card.id).find(item => item.action === POSTING_REMOVED && item.status !== 'approved');
+            if (decided) {
+                log(`    - ${decided.status === 'pending' ? 'Waiting for approval to move it' : 'Moving it was rejected'}. Skipping.`);
+                return;
+            }
+            // --- Attachment Logic ---
+            let jobUrl = null;
+            try {
+                const attachments = await trello.makeRequest('get', `/1/cards/${card.id}/attachments`);
+                const linkAttachment = attachments.find(att => att.isUpload === false && att.url);
+                
+                if (linkAttachment) {
+                    jobUrl = linkAttachment.url;
+                } else {
+                    log("    - No link attachment found. Skipping.");
+                    return; 
+                }
+                
+            } catch (attError) {
+                log(`    - ❌ Error fetching attachments: ${attError.message}`);
+                run.addFailure(`Could not fetch attachments of "${card.name}": ${attError.message}`, { cardId: card.id });
+                return; 
+            }
+            // --- End of Attachment Logic ---
+            
+            const jobStatus = await checkJobStatus(jobUrl, llm, log);
+            const isJobActive = jobStatus.status !== 'DELETED';
+            // HTTP verdicts are certain; the AI reports no confidence
+            const policy = checkPolicy(pipeline.policy, POSTING_REMOVED, jobStatus.method === 'http' ? 1 : null);
+
+            // 5. Move Card if Job is Deleted
+            if (!isJobActive && !policy.autoApply) {
+                const item = {
+                    type: 'NEEDS_APPROVAL', script: 'job-checker', action: POSTING_REMOVED, reason: policy.reason,
+                    cardId: card.id, cardName: card.name, sourceListId: card.list.id, sourceListName: card.list.name,
+                    targetListId: TRELLO_JOB_DELETED_FROM_WEBSITE_LIST_ID, targetListName: "Job Deleted",
+                    url: jobUrl, evidence: jobStatus.evidence, checkedBy: jobStatus.method === 'ai' ? jobStatus.model : 'HTTP'
+                };
+                if (dryRun) {
+                    log(`    - [dry-run] Job looks DELETED. Would queue the move for review (${policy.reason}).`);
+                    plan.addReviewItem(item);
+                } else {
+                    log(`    - Job looks DELETED. Queued for review instead of moving: ${policy.reason}.`);
+                    toHold.push({ card, item });
+                }
+            } else if (!isJobActive && dryRun) {
+                log(`    - [dry-run] Job is DELETED. Would move card to "Job Deleted" list.`);
+                plan.addCardMove({
+                    cardId: card.id, cardName: card.name, fromListName: card.list.name,
+                    toListId: TRELLO_JOB_DELETED_FROM_WEBSITE_LIST_ID, toListName: "Job Deleted",
+                    reason: { url: jobUrl, verdict: 'DELETED', checkedBy: jobStatus.method, evidence: jobStatus.evidence.at(-1) }
+                });
+                cardsMoved++;
+                deletedJobs.push({ name: card.name, evidence: jobStatus.evidence.at(-1), url: card.shortUrl });
+            } else if (!isJobActive) {
+                log(`    - Job is DELETED. Moving card to "Job Deleted" list...`);
+                try {
+                    await trello.makeRequest('put', `/1/cards/${card.id}`, { 
+                        idList: TRELLO_JOB_DELETED_FROM_WEBSITE_LIST_ID 
+                    });
+                    log("    - Card moved successfully.");
+                    cardsMoved++;
+                    // ---  Store the name of the moved card and why  ---
+                    deletedJobs.push({ name: card.name, evidence: jobStatus.evidence.at(-1), url: card.shortUrl }); 
+                    run.addMove({ cardId: card.id, cardName: card.name, fromList: card.list.name, toList: "Job Deleted", reason: jobStatus.evidence.at(-1) });
+                    const auditEntry = await audit.append('MOVE', {
+                        card: { id: card.id, name: card.name },
+                        from: { id: card.list.id, name: card.list.name }, to: { id: TRELLO_JOB_DELETED_FROM_WEBSITE_LIST_ID, name: "Job Deleted" },
+                        url: jobUrl, checkedBy: jobStatus.method, evidence: jobStatus.evidence,
+                        model: jobStatus.model, rawOutput: jobStatus.rawOutput
+                    });
+                    // Explain the move on the card itself
+                    const comment = `🤖 Moved from "${card.list.name}" to "Job Deleted": the posting at ${jobUrl} looks closed (checked by ${jobStatus.method === 'ai' ? jobStatus.model : 'HTTP'}).\n${jobStatus.evidence.map(line => `- ${line}`).join('\n')}${auditEntry ? `\nUndo with \`${undoCommand(auditEntry.id)}\`` : ''}`;
+                    try {
+                        await trello.makeRequest('post', `/1/cards/${card.id}/actions/comments`, { text: comment });
+                    } catch (commentError) {
+                        log(`    - ❌ Error commenting on card: ${commentError.message}`);
+                    }
+                } catch (moveError) {
+                    log(`    - ❌ Error moving card: ${moveError.message}`);
+                    run.addFailure(`Could not move "${card.name}": ${moveError.message}`, { cardId: card.id });
+                }
+            } else {
+                log("    - Job is still ACTIVE. Leaving card in place.");
+            }
+        } finally {
+            console.log(lines.join('\n'));
+        }
+    };
+    await Promise.all(allActiveCards.map(processCard));
+
+    // One at a time, so the approval label is created once
+    const heldItems = [];
+    const boardLabels = new Map();
+    for (const { card, item } of toHold) {
+        heldItems.push(await holdForApproval({ trello, reviewQueue, pipeline, card, item, boardLabels }));
+    }
+
+    // --- 6. Summary & Notification ---
+    console.log("\n--- Summary ---");
+    console.log(`Checked ${allActiveCards.length} cards.`);
+    console.log(`${dryRun ? 'Would move' : 'Moved'} ${cardsMoved} deleted job cards.`);
+    if (heldItems.length > 0) console.log(`Queued ${heldItems.length} moves for review.`);
+    console.log("--- Job Status Check Complete ---");
+
+    if (dryRun) {
+        plan.print(planFormat);
+        return result;
+    }
+
+    try {
+        await reviewQueue.save();
+    } catch (saveError) {
+        console.error("❌ Failed to save the review queue:", saveError.message);
+        run.addFailure("Failed to save the review queue: " + saveError.message);
+    }
+    await run.succeed(`Checked ${allActiveCards.length} cards, moved ${cardsMoved} deleted jobs, ${heldItems.length} queued for review.`);
+
+    // ---  Build informative notification message  ---
+    let notificationEvent = 'all-clear';
+    notificationMessage = `Checked ${allActiveCards.length} cards. All jobs are still active.`;
+    if (cardsMoved > 0) {
+        notificationEvent = 'deleted';
+        notificationTitle = `Trello Job Checker: ${cardsMoved} Job(s) Deleted`;
+        // Create a bulleted list of job names
+        notificationMessage = `Checked ${allActiveCards.length} cards and moved ${cardsMoved} deleted job(s):\n${deletedJobs.map(job => `- ${job.name} (${job.evidence})`).join('\n')}`;
+    }
+    if (heldItems.length > 0) {
+        if (cardsMoved === 0) {
+            notificationEvent = 'review';
+            notificationTitle = `Trello Job Checker: ${heldItems.length} Removal(s) to Review`;
+            notificationMessage = `Checked ${allActiveCards.length} cards.`;
+        }
+        notificationMessage += `\n\nNeeds review (not moved):\n${heldItems.map(item => `- ${item.cardName} (${item.reason})`).join('\n')}`;
+    }
+    const links = [...deletedJobs.map(job => ({ label: job.name, url: job.url })), ...heldItems.map(item => ({ label: item.cardName, url: item.cardUrl }))];
+    await notifier.notify(notificationEvent, { title: notificationTitle, message: notificationMessage, links });
+    await notifyHeld(notifier, heldItems, env);
+    return result;
+}
@@ -0,0 +1,78 @@
+// --- Processed-Message Ledger ---
+// A local JSON state file keyed by Gmail message ID. It remembers what the email
+// bot already did with each message, so the inbox can be scanned by date window
+// instead of relying on the UNREAD flag.
+import { promises as fs } from 'fs';
+import path from 'path';
+
+const DEFAULT_LEDGER_PATH = './state/ledger.json';
+const OVERLAP_MS = 24 * 60 * 60 * 1000; // Re-scan one day before the last run to absorb clock/indexing delays
+const RETENTION_MS = 90 * 24 * 60 * 60 * 1000;
+
+// Messages with one of these actions are done and never looked at again.
+// Anything else (NO_MATCH, FETCH_FAILED, MOVE_FAILED) is retried while it stays in the search window.
+// CARD_CREATED, DUPLICATE and NOT_APPLICATION come from the application ingestion pass;
+// UNDONE marks a move reverted with undo.js, so the email does not move the card again.
+const SETTLED_ACTIONS = ['MOVED', 'NO_ACTION', 'NOT_ADDRESSED', 'QUEUED_FOR_REVIEW', 'CARD_CREATED', 'DUPLICATE', 'NOT_APPLICATION', 'UNDONE'];
+
+export async function loadLedger(filePath = process.env.LEDGER_PATH || DEFAULT_LEDGER_PATH) {
+    let data;
+    try {
+        data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (err) {
+        if (err.code !== 'ENOENT') {
+            throw new Error(`Ledger file ${filePath} is unreadable: ${err.message}`);
+        }
+        data = { version: 1, lastRunAt: null, lastHistoryId: null, messages: {} };
+    }
+
+    return {
+        filePath,
+        get lastRunAt() { return data.lastRunAt; },
+        get lastHistoryId() { return data.lastHistoryId; },
+
+        get(messageId) {
+            return data.messages[messageId] || null;
+        },
+
+        isSettled(messageId) {
+            return SETTLED_ACTIONS.includes(data.messages[messageId]?.action);
+        },
+
+        // Merges the new fields into the message's entry and counts the attempt.
+        record(messageId, entry) {
+            const previous = data.messages[messageId] || { attempts: 0 };
+            data.messages[messageId] = {
+                ...previous,
+                ...entry,
+                attempts: previous.attempts + 1,
+                processedAt: new Date().toISOString()
+            };
+        },
+
+        // Gmail search query covering everything since the previous run; with
+        // fromLastRun: false it covers the last lookbackDays instead.
+        searchQuery(lookbackDays = 7, baseQuery = 'in:inbox', { fromLastRun = true } = {}) {
+            const since = data.lastRunAt && fromLastRun
+                ? Date.parse(data.lastRunAt) - OVERLAP_MS
+                : Date.now() - lookbackDays * 24 * 60 * 60 * 1000;
+            return `${baseQuery} after:${Math.floor(since / 1000)}`;
+        },
+
+        markRun({ historyId } = {}) {
+            data.lastRunAt = new Date().toISOString();
+            if (historyId) data.lastHistoryId = String(historyId);
+        },
+
+        async save() {
+            const cutoff = Date.now() - RETENTION_MS;
+            for (const [id, entry] of Object.entries(data.messages)) {
+                if (Date.parse(entry.processedAt) < cutoff) delete data.messages[id];
+            }
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            const tmpPath = `${filePath}.tmp`;
+            await fs.writeFile(tmpPath, JSON.stringify(data, null, 2));
+            await fs.rename(tmpPath, filePath);
+        }
+    };
+}
@@ -0,0 +1,30 @@
+// --- Gemini Adapter ---
+import { GoogleGenAI } from '@google/genai';
+
+const DEFAULT_MODEL = 'gemini-2.5-flash';
+
+export function createGeminiProvider({ model = DEFAULT_MODEL, apiKey = process.env.GEMINI_API_KEY }) {
+    if (!apiKey) {
+        throw new Error("GEMINI_API_KEY (or <PREFIX>_API_KEY) is not set for the Gemini provider.");
+    }
+    const client = new GoogleGenAI({ apiKey });
+
+    return {
+        name: 'gemini',
+        model,
+        supportsWebSearch: true, // Through the Google Search grounding tool
+
+        async complete({ system, user, temperature = 0, webSearch = false }) {
+            const response = await client.models.generateContent({
+                model,
+                contents: user,
+                config: {
+                    systemInstruction: system,
+                    temperature,
+                    tools: webSearch ? [{ googleSearch: {} }] : undefined
+                }
+            });
+            return (response.text || '').trim();
+        }
+    };
+}
@@ -0,0 +1,32 @@
+// --- Groq Adapter ---
+import Groq from 'groq-sdk';
+
+const DEFAULT_MODEL = 'llama-3.1-8b-instant';
+
+export function createGroqProvider({ model = DEFAULT_MODEL, baseURL, apiKey = process.env.GROQ_API_KEY }) {
+    if (!apiKey) {
+        throw new Error("GROQ_API_KEY (or <PREFIX>_API_KEY) is not set for the Groq provider.");
+    }
+    // baseURL points the client at a proxy or a local stand-in (the tests use one)
+    const client = new Groq({ apiKey, baseURL, maxRetries: 0 }); // Retries are handled by the scheduler
+
+    return {
+        name: 'groq',
+        model,
+        // Only Groq's compound models can browse the web
+        supportsWebSearch: model.startsWith('groq/compound'),
+
+        async complete({ system, user, temperature = 0, webSearch = false }) {
+            const request = {
+                model,
+                messages: [{ role: "system", content: system }, { role: "user", content: user }],
+                temperature
+            };
+            if (webSearch) {
+                request.compound_custom = { tools: { enabled_tools: ["web_search"] } };
+            }
+            const response = await client.chat.completions.create(request);
+            return response.choices[0].message.content.trim();
+        }
+    };
+}
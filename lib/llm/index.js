@@ -0,0 +1,49 @@
+// --- LLM Provider Layer ---
+// Both scripts talk to a provider object instead of a specific SDK:
+//   provider.complete({ system, user, temperature, webSearch }) -> response text
+// The provider is chosen from environment variables, e.g. for the email bot:
+//   LLM_PROVIDER=groq|openai|gemini|rules  LLM_MODEL=...  LLM_BASE_URL=...  LLM_API_KEY=...
+// and the same names with a JOB_CHECK_ prefix for the job checker.
+import { createGroqProvider } from './groq.js';
+import { createOpenAICompatibleProvider } from './openaiCompatible.js';
+import { createGeminiProvider } from './gemini.js';
+import { getScheduler } from '../scheduler.js';
+
+const PROVIDERS = {
+    groq: createGroqProvider,
+    openai: createOpenAICompatibleProvider,
+    gemini: createGeminiProvider
+};
+
+export const PROVIDER_NAMES = [...Object.keys(PROVIDERS), 'rules'];
+
+// Reads <PREFIX>_PROVIDER, <PREFIX>_MODEL, <PREFIX>_BASE_URL and <PREFIX>_API_KEY.
+// defaults.model only applies when the default provider is used; otherwise the adapter picks its own.
+export function readLLMConfig(prefix = 'LLM', defaults = {}, env = process.env) {
+    const provider = (env[`${prefix}_PROVIDER`] || defaults.provider || 'groq').toLowerCase();
+    return {
+        provider,
+        model: env[`${prefix}_MODEL`] || (provider === defaults.provider ? defaults.model : undefined),
+        baseURL: env[`${prefix}_BASE_URL`] || defaults.baseURL,
+        apiKey: env[`${prefix}_API_KEY`] || defaults.apiKey
+    };
+}
+
+// Returns a provider, or null when the config selects the rule-based classifier only.
+// Throws if the provider is unknown or its credentials are missing.
+// Calls go through the shared scheduler ("llm" service), which owns rate limiting and retries.
+export function createLLMProvider(config, scheduler = getScheduler()) {
+    if (config.provider === 'rules') return null;
+    const factory = PROVIDERS[config.provider];
+    if (!factory) {
+        throw new Error(`Unknown LLM provider "${config.provider}". Use one of: ${PROVIDER_NAMES.join(', ')}.`);
+    }
+    const provider = factory(config);
+    return {
+        ...provider,
+        complete: (request) => scheduler.run('llm', () => provider.complete(request), { label: `${provider.name} (${provider.model})` })
+    };
+}
+
+export { classifyWithRules } from './ruleClassifier.js';
+export { parseJsonResponse } from './json.js';
@@ -0,0 +1,13 @@
+// --- JSON Responses ---
+// Models often wrap JSON in a ```json fence or add a sentence around it.
+// Returns the parsed object, or throws if no JSON object can be found.
+export function parseJsonResponse(text) {
+    const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    const candidate = fenced ? fenced[1] : text;
+    const start = candidate.indexOf('{');
+    const end = candidate.lastIndexOf('}');
+    if (start === -1 || end <= start) {
+        throw new Error(`Expected a JSON object, got: "${text.slice(0, 80)}"`);
+    }
+    return JSON.parse(candidate.slice(start, end + 1));
+}
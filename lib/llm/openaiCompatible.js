@@ -0,0 +1,29 @@
+// --- OpenAI-Compatible Adapter ---
+// Works with OpenAI itself and any server speaking the same chat API,
+// e.g. a local Ollama (LLM_BASE_URL=http://localhost:11434/v1) or llama.cpp server.
+import OpenAI from 'openai';
+
+const DEFAULT_MODEL = 'gpt-4o-mini';
+
+export function createOpenAICompatibleProvider({ model = DEFAULT_MODEL, baseURL, apiKey = process.env.OPENAI_API_KEY }) {
+    if (!apiKey && !baseURL) {
+        throw new Error("OPENAI_API_KEY (or <PREFIX>_API_KEY) is not set for the OpenAI provider.");
+    }
+    // Local servers ignore the key, but the SDK refuses to start without one
+    const client = new OpenAI({ apiKey: apiKey || 'not-needed', baseURL, maxRetries: 0 });
+
+    return {
+        name: 'openai',
+        model,
+        supportsWebSearch: false,
+
+        async complete({ system, user, temperature = 0 }) {
+            const response = await client.chat.completions.create({
+                model,
+                messages: [{ role: "system", content: system }, { role: "user", content: user }],
+                temperature
+            });
+            return (response.choices[0].message.content || '').trim();
+        }
+    };
+}
@@ -0,0 +1,15 @@
+// --- Rule-Based Fallback Classifier ---
+// Deterministic keyword matching used when no LLM is configured or the LLM call fails,
+// so an outage does not silently turn every email into the default category.
+// The keywords come from each category's "keywords" in pipeline.json.
+
+// Categories are checked in config order: the first one with a matching keyword wins.
+export function classifyWithRules(subject, snippet, pipeline) {
+    const text = `${subject}\n${snippet}`;
+    for (const category of pipeline.categories) {
+        if (category.patterns.some(pattern => pattern.test(text))) {
+            return category.name;
+        }
+    }
+    return pipeline.defaultCategory;
+}
@@ -0,0 +1,194 @@
+// --- Email -> Trello Card Matcher ---
+// Finds the card an email belongs to and says how sure it is. Exact signals come first
+// (the thread ID or sender domain written in the card description); after that the
+// company name is pulled from the sender display name, ATS sender address, subject
+// and signature, and compared with card names and domain aliases.
+
+// Applicant-tracking systems send on behalf of many companies, so their domain says
+// nothing about the company. The company is usually the subdomain or display name.
+const ATS_DOMAINS = [
+    'greenhouse.io', 'greenhouse-mail.io', 'lever.co', 'comeet.co', 'comeet.com', 'comeet-notifications.com',
+    'myworkday.com', 'myworkdayjobs.com', 'workday.com', 'smartrecruiters.com', 'ashbyhq.com', 'workablemail.com',
+    'workable.com', 'bamboohr.com', 'icims.com', 'jobvite.com', 'teamtailor.com', 'breezy.hr', 'recruitee.com', 'hibob.com'
+];
+const PERSONAL_DOMAINS = ['gmail.com', 'googlemail.com', 'outlook.com', 'hotmail.com', 'live.com', 'yahoo.com', 'icloud.com', 'me.com', 'proton.me', 'protonmail.com', 'walla.co.il'];
+// Second-level labels that country-code domains register under, as in "acme.co.il"
+const PUBLIC_SECOND_LEVEL_LABELS = ['co', 'com', 'ac', 'gov', 'org', 'net', 'edu', 'ltd', 'plc', 'or', 'ne', 'go', 'gob', 'mil', 'nic', 'muni', 'info', 'biz'];
+// Subdomains and words that never name a company
+const GENERIC_LABELS = ['mail', 'email', 'hire', 'jobs', 'careers', 'app', 'apply', 'notifications', 'notification', 'no-reply', 'noreply', 'reply', 'talent', 'recruiting', 'us', 'eu', 'www'];
+const DISPLAY_NAME_NOISE = /\b(recruiting|recruitment|talent( acquisition)?|careers?|hiring|hr|jobs|team|people|notifications?|no-?reply|do not reply)\b/gi;
+const COMPANY_SUFFIXES = /\b(ltd|inc|llc|gmbh|corp|corporation|co|company|technologies|technology|tech|labs|group|software|systems|solutions|io)\b\.?/g;
+
+// Weight of each source: how much a name found there is trusted.
+const SOURCE_WEIGHTS = { atsSubdomain: 0.95, displayName: 0.9, senderDomain: 0.9, subject: 0.8, signature: 0.7 };
+const EXACT_CONFIDENCE = { threadId: 1, domain: 0.95 };
+const AMBIGUITY_MARGIN = 0.05;
+
+export function normalizeCompanyName(name) {
+    return (name || '')
+        .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(COMPANY_SUFFIXES, ' ')
+        .replace(/[^a-z0-9]+/g, '');
+}
+
+function domainMatches(domain, rootDomain) {
+    return domain === rootDomain || domain.endsWith(`.${rootDomain}`);
+}
+
+export function isAtsDomain(domain) {
+    return ATS_DOMAINS.some(ats => domainMatches(domain, ats));
+}
+
+export function isPersonalDomain(domain) {
+    return PERSONAL_DOMAINS.includes(domain);
+}
+
+// "mail.acme.co.il" -> "acme.co.il", "mail.ibm.com" -> "ibm.com": drops subdomains, keeping
+// a public second-level label under a country code ("co.il", "ac.uk", "com.au")
+export function registrableDomain(domain) {
+    const labels = domain.split('.');
+    const [secondLevel, topLevel] = labels.slice(-2);
+    const keep = labels.length > 2 && topLevel?.length === 2 && PUBLIC_SECOND_LEVEL_LABELS.includes(secondLevel) ? 3 : 2;
+    return labels.slice(-keep).join('.');
+}
+
+export function parseSender(fromHeader) {
+    const email = (fromHeader.match(/<([^>]+)>/)?.[1] || fromHeader).trim().toLowerCase();
+    const displayName = fromHeader.includes('<') ? fromHeader.split('<')[0].trim().replace(/^"|"$/g, '') : '';
+    const domain = email.includes('@') ? email.split('@')[1] : null;
+    return { email, displayName, domain };
+}
+
+// Collects company-name guesses from everything the email tells us about its sender.
+export function extractCompanyCandidates({ fromHeader = '', subject = '', body = '' }) {
+    const candidates = [];
+    const add = (name, source) => {
+        const cleaned = (name || '').replace(/\s+/g, ' ').trim();
+        if (cleaned.length >= 2 && !GENERIC_LABELS.includes(cleaned.toLowerCase())) {
+            candidates.push({ name: cleaned, source });
+        }
+    };
+    const { displayName, domain } = parseSender(fromHeader);
+
+    if (domain && isAtsDomain(domain)) {
+        const ats = ATS_DOMAINS.find(root => domainMatches(domain, root));
+        const subdomain = domain.slice(0, -(ats.length + 1)).split('.').filter(label => !GENERIC_LABELS.includes(label)).pop();
+        if (subdomain) add(subdomain, 'atsSubdomain');
+    } else if (domain && !isPersonalDomain(domain)) {
+        // "mail.acme.co.il" -> "acme"
+        add(registrableDomain(domain).split('.')[0], 'senderDomain');
+    }
+
+    if (displayName) {
+        // "Dana at Acme", "Acme via Greenhouse", "Acme Talent Team"
+        const atMatch = displayName.match(/\b(?:at|from|@)\s+(.+)$/i);
+        const viaMatch = displayName.match(/^(.+?)\s+via\s+/i);
+        if (atMatch) add(atMatch[1], 'displayName');
+        else if (viaMatch) add(viaMatch[1].replace(DISPLAY_NAME_NOISE, ''), 'displayName');
+        else if (DISPLAY_NAME_NOISE.test(displayName) || domain && isAtsDomain(domain)) add(displayName.replace(DISPLAY_NAME_NOISE, ''), 'displayName');
+        DISPLAY_NAME_NOISE.lastIndex = 0;
+    }
+
+    const subjectPatterns = [
+        /(?:applying|application|applied|interest)\s+(?:to|at|with|for)\s+([A-Z][\w&.'-]*(?:\s+[A-Z][\w&.'-]*){0,3})/,
+        /\b(?:at|with|from|join)\s+([A-Z][\w&.'-]*(?:\s+[A-Z][\w&.'-]*){0,3})/,
+        /^([A-Z][\w&.'-]*(?:\s+[A-Z][\w&.'-]*){0,2})\s*[-|:]/
+    ];
+    for (const pattern of subjectPatterns) {
+        const found = subject.replace(/^(re|fwd?):\s*/i, '').match(pattern);
+        if (found) add(found[1], 'subject');
+    }
+
+    // Signature: "Talent Acquisition | Acme", "Recruiter at Acme"
+    const signatureLines = body.split(/\n/).slice(-8).join('\n');
+    for (const found of signatureLines.matchAll(/(?:recruiter|recruiting|talent[\w ]*|hr[\w ]*|people[\w ]*)\s*(?:at|@|\||,|-)\s*([A-Z][\w&.'-]*(?:\s+[A-Z][\w&.'-]*){0,2})/gi)) {
+        add(found[1], 'signature');
+    }
+
+    return candidates;
+}
+
+// Dice coefficient over character bigrams of the normalized names (0..1).
+export function nameSimilarity(a, b) {
+    const x = normalizeCompanyName(a);
+    const y = normalizeCompanyName(b);
+    if (!x || !y) return 0;
+    if (x === y) return 1;
+    if (Math.min(x.length, y.length) >= 4 && (x.includes(y) || y.includes(x))) return 0.85;
+    const bigrams = s => Array.from({ length: s.length - 1 }, (_, i) => s.slice(i, i + 2));
+    const xb = bigrams(x);
+    const yb = bigrams(y);
+    if (xb.length === 0 || yb.length === 0) return 0;
+    const counts = new Map();
+    xb.forEach(g => counts.set(g, (counts.get(g) || 0) + 1));
+    let overlap = 0;
+    for (const g of yb) {
+        if (counts.get(g) > 0) { overlap++; counts.set(g, counts.get(g) - 1); }
+    }
+    return (2 * overlap) / (xb.length + yb.length);
+}
+
+// Names a card answers to: the card name (the part before " - " / " | " is
+// usually the company), plus "domain:" and "aliases:" lines in the description.
+export function cardIdentity(card) {
+    const desc = card.desc || '';
+    const domains = [...desc.matchAll(/domain:\s*\[?([\w.-]+)\]?/gi)].map(m => m[1].toLowerCase());
+    const aliases = [...desc.matchAll(/aliases?:\s*(.+)/gi)]
+        .flatMap(m => m[1].split(','))
+        .map(alias => alias.trim())
+        .filter(Boolean);
+    const company = card.name.split(/\s+[-|–]\s+|\s*\|\s*/)[0];
+    return { names: [...new Set([company, card.name, ...aliases])], domains };
+}
+
+function exactMatch(email, cards) {
+    if (email.threadId) {
+        const card = cards.find(c => c.desc && c.desc.includes(`threadId: ${email.threadId}`));
+        if (card) return { card, method: 'Thread ID', confidence: EXACT_CONFIDENCE.threadId };
+    }
+    const { domain } = parseSender(email.fromHeader);
+    if (domain) {
+        const escapedDomain = domain.replace(/\./g, '\\.');
+        // The lookahead keeps "acme.co" from matching "domain: acme.com"
+        const domainRegex = new RegExp(`domain:\\s*(${escapedDomain}|\\[${escapedDomain}\\])(?![\\w.-])`, 'i');
+        const card = cards.find(c => c.desc && domainRegex.test(c.desc));
+        if (card) return { card, method: 'Domain', confidence: EXACT_CONFIDENCE.domain };
+    }
+    return null;
+}
+
+// Returns { card, method, confidence, candidates } for the best card, or
+// { card: null, confidence: 0, candidates } when nothing scores above zero.
+export function matchEmailToCard(email, cards) {
+    const exact = exactMatch(email, cards);
+    if (exact) return { ...exact, candidates: [] };
+
+    const candidates = extractCompanyCandidates(email);
+    const { domain } = parseSender(email.fromHeader);
+    const scored = cards.map(card => {
+        const identity = cardIdentity(card);
+        let best = { score: 0, method: null };
+        // The sender's organisation domain is listed as an alias of the card (e.g. a sister domain)
+        if (domain && !isAtsDomain(domain) && identity.domains.some(d => domainMatches(domain, d) || domainMatches(d, domain))) {
+            best = { score: EXACT_CONFIDENCE.domain, method: 'Domain alias' };
+        }
+        for (const candidate of candidates) {
+            for (const name of identity.names) {
+                const score = nameSimilarity(candidate.name, name) * SOURCE_WEIGHTS[candidate.source];
+                if (score > best.score) best = { score, method: `Company name (${candidate.source}: "${candidate.name}")` };
+            }
+        }
+        return { card, ...best };
+    }).sort((a, b) => b.score - a.score);
+
+    const [top, runnerUp] = scored;
+    if (!top || top.score === 0) return { card: null, method: null, confidence: 0, candidates };
+
+    // Two different cards scoring about the same means we cannot tell them apart
+    let confidence = top.score;
+    if (runnerUp && top.score - runnerUp.score < AMBIGUITY_MARGIN) {
+        confidence = Math.min(confidence, 0.5);
+    }
+    return { card: top.card, method: top.method, confidence: Math.round(confidence * 100) / 100, candidates };
+}
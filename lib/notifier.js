@@ -0,0 +1,251 @@
+// --- Notifier ---
+// One place for every notification the scripts send. Each notification is an event
+// (e.g. "moved", "offer", "crash") with a title, a plain-text message and optional
+// links to Trello cards, and optional actions: buttons that POST to a URL, e.g. to approve
+// a held card move (ntfy only). The event decides the priority; the channels configured in
+// the environment decide where it goes:
+//
+//   ntfy      NTFY_TOPIC (+ NTFY_SERVER, NTFY_TOKEN)
+//   email     NOTIFY_EMAIL_TO, sent as one digest per run through the Gmail API
+//   telegram  TELEGRAM_BOT_TOKEN + TELEGRAM_CHAT_ID
+//   slack     SLACK_WEBHOOK_URL (Slack incoming webhook or anything compatible)
+//   webhook   NOTIFY_WEBHOOK_URL, receives the notification as JSON
+import { fetch } from 'undici';
+import { authorize, createGmailClient, encodeHeader } from './gmail.js';
+import { getScheduler } from './scheduler.js';
+
+// ntfy's priority names, lowest first
+export const PRIORITIES = ['min', 'low', 'default', 'high', 'urgent'];
+
+// Override single events with NOTIFY_PRIORITIES, e.g. {"all-clear":"low"}
+export const EVENT_PRIORITIES = {
+    'all-clear': 'min',    // Nothing happened: no sound, no vibration
+    'moved': 'default',
+    'created': 'default',
+    'review': 'default',
+    'deleted': 'low',
+    'ghosted': 'low',
+    'follow-up': 'default',
+    'report': 'low',
+    'interview': 'high',
+    'reminder': 'high',
+    'error': 'high',
+    'offer': 'urgent',
+    'crash': 'urgent'
+};
+
+const MAX_ACTIONS = 3; // ntfy shows at most three action buttons
+
+export function readPriorities(env) {
+    if (!env.NOTIFY_PRIORITIES) return EVENT_PRIORITIES;
+    let overrides;
+    try {
+        overrides = JSON.parse(env.NOTIFY_PRIORITIES);
+    } catch (err) {
+        throw new Error(`NOTIFY_PRIORITIES is not valid JSON: ${err.message}`);
+    }
+    for (const [event, priority] of Object.entries(overrides)) {
+        if (!PRIORITIES.includes(priority)) {
+            throw new Error(`NOTIFY_PRIORITIES: "${priority}" for "${event}" is not one of ${PRIORITIES.join(', ')}.`);
+        }
+    }
+    return { ...EVENT_PRIORITIES, ...overrides };
+}
+
+// Carries the status and headers so the scheduler can wait out a 429 (Retry-After)
+function httpError(res, url) {
+    const error = new Error(`HTTP ${res.status} from ${new URL(url).host}`);
+    error.status = res.status;
+    error.headers = res.headers;
+    return error;
+}
+
+async function postJson(url, body) {
+    const res = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    if (!res.ok) throw httpError(res, url);
+}
+
+function textWithLinks({ message, links }) {
+    if (links.length === 0) return message;
+    return `${message}\n\n${links.map(link => `${link.label}: ${link.url}`).join('\n')}`;
+}
+
+// --- Channels ---
+// Each channel is { name, send(notification) }, optionally flush() for digests and
+// schedule(notification, date) for delivery at a later time.
+
+function ntfyChannel(env, tags) {
+    const server = (env.NTFY_SERVER || 'https://ntfy.sh').replace(/\/+$/, '');
+    return {
+        name: 'ntfy',
+        // ntfy holds the message and delivers it at the given time (the "At" header)
+        schedule(notification, date) {
+            return this.send(notification, { 'At': String(Math.floor(date.getTime() / 1000)) });
+        },
+        async send({ title, message, priority, links, actions = [] }, extraHeaders = {}) {
+            // Header values must be Latin-1, so card names in other scripts (or emoji) are
+            // RFC 2047-encoded; ntfy decodes them
+            const headers = { 'Title': encodeHeader(title), 'Priority': priority, 'Tags': tags.join(','), ...extraHeaders };
+            if (env.NTFY_TOKEN) headers['Authorization'] = `Bearer ${env.NTFY_TOKEN}`;
+            // Tapping the notification opens the first card; actions, then each card, get a button
+            if (links.length > 0) headers['Click'] = links[0].url;
+            const buttons = [
+                ...actions.map(action => `http, ${action.label.replace(/[,;]/g, ' ')}, ${action.url}, method=POST, clear=true`),
+                ...links.map(link => `view, ${link.label.replace(/[,;]/g, ' ')}, ${link.url}`)
+            ];
+            if (buttons.length > 0) headers['Actions'] = encodeHeader(buttons.slice(0, MAX_ACTIONS).join('; '));
+            const res = await fetch(`${server}/${env.NTFY_TOPIC}`, { method: 'POST', body: message, headers });
+            if (!res.ok) throw httpError(res, server);
+        }
+    };
+}
+
+function telegramChannel(env) {
+    return {
+        name: 'telegram',
+        async send({ title, message, priority, links }) {
+            await postJson(`https://api.telegram.org/bot${env.TELEGRAM_BOT_TOKEN}/sendMessage`, {
+                chat_id: env.TELEGRAM_CHAT_ID,
+                text: `${title}\n\n${message}`,
+                disable_notification: PRIORITIES.indexOf(priority) < PRIORITIES.indexOf('default'),
+                disable_web_page_preview: true,
+                ...(links.length > 0 && {
+                    reply_markup: { inline_keyboard: links.slice(0, MAX_ACTIONS).map(link => [{ text: link.label, url: link.url }]) }
+                })
+            });
+        }
+    };
+}
+
+function slackChannel(env) {
+    return {
+        name: 'slack',
+        async send({ title, message, priority, links }) {
+            const prefix = priority === 'urgent' ? ':rotating_light: ' : '';
+            const linkLine = links.map(link => `<${link.url}|${link.label}>`).join(' · ');
+            await postJson(env.SLACK_WEBHOOK_URL, { text: `${prefix}*${title}*\n${message}${linkLine ? `\n${linkLine}` : ''}` });
+        }
+    };
+}
+
+function webhookChannel(env) {
+    return {
+        name: 'webhook',
+        send: (notification) => postJson(env.NOTIFY_WEBHOOK_URL, notification)
+    };
+}
+
+// Collects the run's notifications and sends them as one email when the run ends
+function emailChannel(env, script) {
+    const pending = [];
+    return {
+        name: 'email',
+        send(notification) {
+            pending.push(notification);
+        },
+        async flush() {
+            if (pending.length === 0) return;
+            // The queue is cleared only once the email is sent, so a retry sends the same digest
+            const digest = [...pending];
+            const top = digest.reduce((a, b) => PRIORITIES.indexOf(b.priority) > PRIORITIES.indexOf(a.priority) ? b : a);
+            const subject = digest.length === 1 ? top.title : `${top.title} (+${digest.length - 1} more)`;
+            const body = digest.map(n => `${n.title}\n${'-'.repeat(n.title.length)}\n${textWithLinks(n)}`).join('\n\n');
+            const raw = [
+                `To: ${env.NOTIFY_EMAIL_TO}`,
+                `Subject: ${encodeHeader(`[${script}] ${subject}`)}`,
+                'Content-Type: text/plain; charset="UTF-8"',
+                ...(top.priority === 'urgent' ? ['Importance: high'] : []),
+                '',
+                body
+            ].join('\r\n');
+            const gmail = createGmailClient(await authorize());
+            await gmail.users.messages.send({ userId: 'me', requestBody: { raw: Buffer.from(raw).toString('base64url') } });
+            pending.splice(0, digest.length);
+        }
+    };
+}
+
+function configuredChannels(env, { script, tags }) {
+    const channels = [];
+    if (env.NTFY_TOPIC) channels.push(ntfyChannel(env, tags));
+    if (env.NOTIFY_EMAIL_TO) channels.push(emailChannel(env, script));
+    if (env.TELEGRAM_BOT_TOKEN && env.TELEGRAM_CHAT_ID) channels.push(telegramChannel(env));
+    if (env.SLACK_WEBHOOK_URL) channels.push(slackChannel(env));
+    if (env.NOTIFY_WEBHOOK_URL) channels.push(webhookChannel(env));
+    return channels;
+}
+
+// Creates the notifier for one script run. Call flush() before the script exits so
+// digest channels (email) are sent.
+export function createNotifier({ script, dryRun = false, tags = ['robot'], env = process.env, scheduler = getScheduler() } = {}) {
+    const priorities = readPriorities(env);
+    const channels = configuredChannels(env, { script, tags });
+
+    // Not idempotent: a retry after a timeout could send the notification twice
+    async function deliver(channel, action, label) {
+        try {
+            await scheduler.run('notify', action, { label: `${channel.name} ${label}`, idempotent: false });
+        } catch (error) {
+            console.error(`    - ❌ Error sending notification via ${channel.name}:`, error.message);
+            return false;
+        }
+        return true;
+    }
+
+    return {
+        channels: channels.map(channel => channel.name),
+
+        // The most urgent of several events, e.g. to pick the event of a run summary
+        mostUrgent(events) {
+            const rank = event => PRIORITIES.indexOf(priorities[event] || 'default');
+            return events.reduce((a, b) => rank(b) > rank(a) ? b : a);
+        },
+
+        // links: [{ label, url }], e.g. the Trello cards the message is about;
+        // actions: [{ label, url }] buttons that POST to the URL
+        async notify(event, { title, message, links = [], actions = [] }) {
+            const notification = {
+                script, event, priority: priorities[event] || 'default', title, message,
+                links: links.filter(link => link?.url), actions, at: new Date().toISOString()
+            };
+            if (dryRun) {
+                console.log(`   - [dry-run] Notification skipped: ${title}`);
+                return;
+            }
+            if (channels.length === 0) {
+                console.log("   - Notification skipped (no notification channel configured in .env).");
+                return;
+            }
+            const results = await Promise.all(channels.map(channel => deliver(channel, () => channel.send(notification), title)));
+            if (results.some(Boolean)) console.log(`✅ Notification sent (${notification.priority}).`);
+        },
+
+        // Delivers the notification at `date` through the channels that support it (ntfy);
+        // returns whether any channel accepted it.
+        async schedule(event, { title, message, links = [] }, date) {
+            const notification = {
+                script, event, priority: priorities[event] || 'default', title, message,
+                links: links.filter(link => link?.url), at: date.toISOString()
+            };
+            if (dryRun) {
+                console.log(`   - [dry-run] Scheduled notification skipped: ${title} at ${notification.at}`);
+                return false;
+            }
+            const schedulers = channels.filter(channel => channel.schedule);
+            if (schedulers.length === 0) {
+                console.log(`   - Scheduled notification skipped (only ntfy supports delayed delivery): ${title}`);
+                return false;
+            }
+            const results = await Promise.all(schedulers.map(channel => deliver(channel, () => channel.schedule(notification, date), title)));
+            return results.some(Boolean);
+        },
+
+        async flush() {
+            await Promise.all(channels.filter(channel => channel.flush).map(channel => deliver(channel, () => channel.flush(), 'digest')));
+        }
+    };
+}
@@ -0,0 +1,229 @@
+// --- Pipeline Config ---
+// Loads and validates pipeline.json: the Trello lists of the job pipeline, the list
+// new applications start in ("intakeList"), and the email categories the classifier
+// can return, with the list each category moves a card to and the lists it may move
+// cards from, plus the confidence thresholds for fuzzy card matching ("matching"),
+// when unanswered applications get a follow-up draft or count as ghosted ("followUp"),
+// and which moves wait for a person's approval ("policy", see lib/policy.js).
+// Lists with a "stage" number are active pipeline stages: replies are matched against
+// their cards, and cards only ever move to a later stage. End-state lists may name
+// their "outcome" (offer, rejected, removed, ghosted) for the weekly report.
+// Point PIPELINE_CONFIG_PATH at another file to use a different pipeline.
+import { readFileSync } from 'fs';
+
+const DEFAULT_CONFIG_PATH = './pipeline.json';
+const CATEGORY_NAME_PATTERN = /^[A-Z][A-Z0-9_]*$/;
+const DEFAULT_MATCHING = { minConfidence: 0.5, autoMoveConfidence: 0.8 };
+const DEFAULT_FOLLOW_UP = { afterDays: 10, ghostedAfterDays: 30, ghostedList: null, label: 'Follow-up drafted' };
+const DEFAULT_POLICY = { minConfidence: 0, label: 'Needs approval', actions: {} };
+export const OUTCOMES = ['offer', 'rejected', 'removed', 'ghosted'];
+// The job checker's move to "Job Deleted", as a policy action next to the email categories
+export const POSTING_REMOVED = 'POSTING_REMOVED';
+
+export class PipelineConfigError extends Error {
+    constructor(filePath, errors) {
+        super(`Invalid pipeline config ${filePath}:\n${errors.map(e => `  - ${e}`).join('\n')}`);
+        this.name = 'PipelineConfigError';
+        this.errors = errors;
+    }
+}
+
+export function loadPipelineConfig(filePath = process.env.PIPELINE_CONFIG_PATH || DEFAULT_CONFIG_PATH, env = process.env) {
+    let raw;
+    try {
+        raw = JSON.parse(readFileSync(filePath, 'utf8'));
+    } catch (err) {
+        throw new PipelineConfigError(filePath, [err.code === 'ENOENT' ? 'file not found' : `not valid JSON (${err.message})`]);
+    }
+    return validatePipelineConfig(raw, env, filePath);
+}
+
+// Checks the whole config and reports every problem at once rather than the first one.
+export function validatePipelineConfig(raw, env = process.env, filePath = '<inline>') {
+    const errors = [];
+    const lists = {};
+    const categories = [];
+
+    if (!raw || typeof raw !== 'object' || !raw.lists || typeof raw.lists !== 'object' || Object.keys(raw.lists).length === 0) {
+        errors.push('"lists" must be an object with at least one list.');
+    } else {
+        for (const [key, list] of Object.entries(raw.lists)) {
+            if (!list || typeof list.name !== 'string' || !list.name) {
+                errors.push(`lists.${key}: "name" is required.`);
+                continue;
+            }
+            if (Boolean(list.id) === Boolean(list.idEnv)) {
+                errors.push(`lists.${key}: set exactly one of "id" or "idEnv".`);
+                continue;
+            }
+            if (list.stage !== undefined && !(Number.isInteger(list.stage) && list.stage > 0)) {
+                errors.push(`lists.${key}: "stage" must be a positive integer.`);
+            }
+            if (list.outcome !== undefined && !OUTCOMES.includes(list.outcome)) {
+                errors.push(`lists.${key}: "outcome" must be one of ${OUTCOMES.join(', ')}.`);
+            } else if (list.outcome !== undefined && list.stage !== undefined) {
+                errors.push(`lists.${key}: a list with an "outcome" cannot have a "stage".`);
+            }
+            const id = list.id || env[list.idEnv] || null;
+            if (!id && !list.optional) {
+                errors.push(`lists.${key}: environment variable ${list.idEnv} is not set (mark the list "optional": true if that is intended).`);
+            }
+            lists[key] = { ...list, key, id };
+        }
+    }
+
+    if (!Array.isArray(raw?.categories) || raw.categories.length === 0) {
+        errors.push('"categories" must be a non-empty array.');
+    } else {
+        const seen = new Set();
+        raw.categories.forEach((category, i) => {
+            const where = `categories[${i}]${category?.name ? ` (${category.name})` : ''}`;
+            if (!CATEGORY_NAME_PATTERN.test(category?.name || '')) {
+                errors.push(`${where}: "name" must be UPPER_SNAKE_CASE.`);
+                return;
+            }
+            if (seen.has(category.name)) errors.push(`${where}: duplicate category name.`);
+            seen.add(category.name);
+            if (typeof category.description !== 'string' || !category.description.trim()) {
+                errors.push(`${where}: "description" is required (it is used in the AI prompt).`);
+            }
+            if (category.targetList != null && !raw.lists?.[category.targetList]) {
+                errors.push(`${where}: targetList "${category.targetList}" is not defined in "lists".`);
+            }
+            if (category.notify != null && (typeof category.notify !== 'string' || !category.notify.trim())) {
+                errors.push(`${where}: "notify" must be a notification event name such as "offer".`);
+            }
+            if (category.interview != null && typeof category.interview !== 'boolean') {
+                errors.push(`${where}: "interview" must be true or false.`);
+            }
+            if (!Array.isArray(category.sourceLists) || category.sourceLists.length === 0) {
+                errors.push(`${where}: "sourceLists" must be a non-empty array of list keys.`);
+            } else {
+                category.sourceLists.filter(key => !raw.lists?.[key])
+                    .forEach(key => errors.push(`${where}: source list "${key}" is not defined in "lists".`));
+            }
+            const patterns = [];
+            for (const keyword of category.keywords || []) {
+                try {
+                    patterns.push(new RegExp(keyword, 'i'));
+                } catch (err) {
+                    errors.push(`${where}: keyword /${keyword}/ is not a valid regular expression.`);
+                }
+            }
+            categories.push({ ...category, targetList: category.targetList ?? null, keywords: category.keywords || [], patterns });
+        });
+    }
+
+    const defaultCategory = raw?.defaultCategory;
+    if (!categories.some(category => category.name === defaultCategory)) {
+        errors.push(`"defaultCategory" must name one of the categories (got "${defaultCategory}").`);
+    }
+
+    const intakeList = raw?.intakeList;
+    if (!lists[intakeList]) {
+        errors.push(`"intakeList" must name one of the lists (got "${intakeList}").`);
+    } else if (lists[intakeList].optional) {
+        errors.push(`"intakeList": list "${intakeList}" cannot be optional.`);
+    } else if (lists[intakeList].stage === undefined) {
+        errors.push(`"intakeList": list "${intakeList}" must have a "stage".`);
+    }
+
+    const matching = { ...DEFAULT_MATCHING, ...raw?.matching };
+    for (const key of Object.keys(DEFAULT_MATCHING)) {
+        if (typeof matching[key] !== 'number' || matching[key] < 0 || matching[key] > 1) {
+            errors.push(`matching.${key} must be a number between 0 and 1.`);
+        }
+    }
+    if (matching.minConfidence > matching.autoMoveConfidence) {
+        errors.push('matching.minConfidence cannot be higher than matching.autoMoveConfidence.');
+    }
+
+    // Without a "followUp" section only the intake list is followed up and nothing is moved
+    const followUp = { ...DEFAULT_FOLLOW_UP, lists: [intakeList], ...raw?.followUp };
+    if (!Array.isArray(followUp.lists) || followUp.lists.length === 0) {
+        errors.push('followUp.lists must be a non-empty array of list keys.');
+    } else {
+        followUp.lists.filter(key => !raw.lists?.[key])
+            .forEach(key => errors.push(`followUp.lists: list "${key}" is not defined in "lists".`));
+    }
+    for (const key of ['afterDays', 'ghostedAfterDays']) {
+        if (!(Number.isInteger(followUp[key]) && followUp[key] > 0)) errors.push(`followUp.${key} must be a positive whole number of days.`);
+    }
+    if (followUp.ghostedAfterDays <= followUp.afterDays) {
+        errors.push('followUp.ghostedAfterDays must be longer than followUp.afterDays.');
+    }
+    if (followUp.ghostedList != null && !raw.lists?.[followUp.ghostedList]) {
+        errors.push(`followUp.ghostedList "${followUp.ghostedList}" is not defined in "lists".`);
+    }
+    if (typeof followUp.label !== 'string' || !followUp.label.trim()) {
+        errors.push('followUp.label must be a non-empty string.');
+    }
+
+    // Without a "policy" section every move is applied right away; with one, the keyword
+    // rules' classifications after an AI failure are held unless holdFallback is false
+    const policy = { ...DEFAULT_POLICY, holdFallback: Boolean(raw?.policy), ...raw?.policy };
+    const isConfidence = value => typeof value === 'number' && value >= 0 && value <= 1;
+    if (!isConfidence(policy.minConfidence)) errors.push('policy.minConfidence must be a number between 0 and 1.');
+    if (typeof policy.label !== 'string' || !policy.label.trim()) errors.push('policy.label must be a non-empty string.');
+    if (typeof policy.holdFallback !== 'boolean') errors.push('policy.holdFallback must be true or false.');
+    if (!policy.actions || typeof policy.actions !== 'object' || Array.isArray(policy.actions)) {
+        errors.push('policy.actions must be an object keyed by category name or POSTING_REMOVED.');
+    } else {
+        for (const [action, rule] of Object.entries(policy.actions)) {
+            if (action !== POSTING_REMOVED && !categories.some(category => category.name === action)) {
+                errors.push(`policy.actions.${action}: not a category name or ${POSTING_REMOVED}.`);
+            } else if (!rule || typeof rule !== 'object') {
+                errors.push(`policy.actions.${action} must be an object ({ "requireApproval": true } or { "minConfidence": 0.9 }).`);
+            } else if (rule.requireApproval !== undefined && typeof rule.requireApproval !== 'boolean') {
+                errors.push(`policy.actions.${action}.requireApproval must be true or false.`);
+            } else if (rule.minConfidence !== undefined && !isConfidence(rule.minConfidence)) {
+                errors.push(`policy.actions.${action}.minConfidence must be a number between 0 and 1.`);
+            }
+        }
+    }
+
+    if (errors.length > 0) throw new PipelineConfigError(filePath, errors);
+
+    return {
+        filePath,
+        lists,
+        categories,
+        defaultCategory,
+        intakeList: lists[intakeList],
+        matching,
+        followUp: { ...followUp, lists: followUp.lists.map(key => lists[key]), ghostedList: lists[followUp.ghostedList] || null },
+        policy,
+        categoryNames: categories.map(category => category.name),
+        // Configured stage lists, earliest stage first
+        stageLists: Object.values(lists).filter(list => list.stage !== undefined && list.id).sort((a, b) => a.stage - b.stage),
+        getCategory: name => categories.find(category => category.name === name) || null,
+        getList: key => lists[key] || null,
+        listById: id => Object.values(lists).find(list => list.id === id) || null,
+        // A list by key, name (any case) or Trello ID, e.g. from the CLI's --list option
+        findList: ref => Object.values(lists).find(list => list.key === ref || (list.id && list.id === ref) || list.name.toLowerCase() === ref.toLowerCase()) || null,
+        resolveMove: (categoryName, sourceListId) => resolveMove(lists, categories, categoryName, sourceListId)
+    };
+}
+
+// Decides where a card currently in sourceListId goes for a classification.
+// Returns { targetList } when the card should move, or { targetList: null, reason } when not.
+function resolveMove(lists, categories, categoryName, sourceListId) {
+    const category = categories.find(c => c.name === categoryName);
+    if (!category) return { targetList: null, reason: `unknown classification "${categoryName}"` };
+    if (!category.targetList) return { targetList: null, reason: `category ${categoryName} has no target list` };
+
+    const targetList = lists[category.targetList];
+    if (!targetList.id) return { targetList: null, reason: `list "${targetList.name}" is not configured (${targetList.idEnv} is not set)` };
+    if (targetList.id === sourceListId) return { targetList: null, reason: `card is already in "${targetList.name}"` };
+
+    const eligible = category.sourceLists.some(key => lists[key].id && lists[key].id === sourceListId);
+    const sourceList = Object.values(lists).find(list => list.id === sourceListId);
+    if (!eligible) {
+        return { targetList: null, reason: `${categoryName} does not move cards out of "${sourceList?.name || sourceListId}"` };
+    }
+    // Forward-only: between two stages a card may only advance
+    if (sourceList?.stage !== undefined && targetList.stage !== undefined && targetList.stage <= sourceList.stage) {
+        return { targetList: null, reason: `"${targetList.name}" is not after "${sourceList.name}" in the pipeline` };
+    }
+    return { targetList };
+}
@@ -0,0 +1,25 @@
+// --- Approval Policy ---
+// Decides whether a bot may apply a card move itself or has to hold it for a person
+// (lib/approvals.js). The "policy" section of pipeline.json sets, per action (an email
+// category, or POSTING_REMOVED for the job checker's "Job Deleted" moves):
+//   requireApproval  always hold the move
+//   minConfidence    hold it when the confidence is lower (policy.minConfidence by default)
+// Confidence is the AI's for email classifications. The keyword rules and the job
+// checker's AI verdicts report none and count as 0; the HTTP posting checks count as 1.
+// policy.holdFallback (on with a policy section) also holds every move the keyword rules
+// decided because the AI failed, whatever the action's minConfidence.
+export { POSTING_REMOVED } from './pipelineConfig.js';
+
+// fallback: the keyword rules classified the email because the AI failed.
+// Returns { autoApply: true } or { autoApply: false, reason }
+export function checkPolicy(policy, action, confidence, { fallback = false } = {}) {
+    const rule = policy.actions[action] || {};
+    if (rule.requireApproval) return { autoApply: false, reason: `${action} always needs approval` };
+    const minConfidence = rule.minConfidence ?? policy.minConfidence;
+    if ((confidence ?? 0) < minConfidence) {
+        const reported = confidence == null ? 'no confidence reported' : `confidence ${confidence}`;
+        return { autoApply: false, reason: `${action} needs confidence ${minConfidence} (${reported})` };
+    }
+    if (fallback && policy.holdFallback) return { autoApply: false, reason: `${action} is from the keyword rules, the AI did not answer` };
+    return { autoApply: true };
+}
@@ -0,0 +1,180 @@
+// --- Job Posting Checker (HTTP) ---
+// Fetches a job posting and decides from the response itself whether it is still up:
+// 404/410, a redirect to a generic careers page, a closed-posting phrase, or a
+// site-specific signal from a known job board. Every verdict comes with the evidence
+// it was based on. UNKNOWN means the page could not be judged (blocked, JS-only page,
+// no clear signal) and the caller should fall back to something slower.
+import { fetch } from 'undici';
+
+const MAX_REDIRECTS = 10;
+const TIMEOUT_MS = 15000;
+const USER_AGENT = 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36';
+
+// Wording job sites use for postings that are gone
+const CLOSED_PHRASES = [
+    /no longer accepting applications/i,
+    /(job|position|posting|role|vacancy)( you('| a)re looking for)? (is|has been) no longer (available|active|open)/i,
+    /no longer available/i,
+    /position has been filled/i,
+    /(job|posting|position) (has )?(expired|closed)/i,
+    /job not found/i,
+    /this job (is|has been) (closed|removed)/i,
+    /posting you('| a)re looking for might have closed/i,
+    /sorry, we couldn'?t find anything here/i
+];
+// Statuses that say "we won't show you this", not "this is gone"
+const BLOCKED_STATUSES = [401, 403, 429, 999];
+// A careers index on any host; a bare "/" only counts on the posting's own host (isGenericCareersPage)
+const CAREERS_ROOT_PATH = /^\/(?:[a-z]{2}(?:-[a-z]{2})?\/)?(?:careers?|jobs?|join-us|open-positions|positions|vacancies)\/?$/i;
+
+// Site-specific parsers: each gets the final URL and page text and may return a verdict.
+const SITE_PARSERS = [
+    {
+        site: 'LinkedIn',
+        test: host => host.endsWith('linkedin.com'),
+        parse: (finalUrl, html) => {
+            if (/no longer accepting applications/i.test(html)) return verdict('DELETED', 'LinkedIn shows "No longer accepting applications"');
+            if (/class="[^"]*(jobs-apply-button|apply-button)|Easy Apply/i.test(html)) return verdict('ACTIVE', 'LinkedIn shows an apply button');
+            return null;
+        }
+    },
+    {
+        site: 'Greenhouse',
+        test: host => host.endsWith('greenhouse.io'),
+        parse: (finalUrl, html) => {
+            if (finalUrl.searchParams.get('error') === 'true') return verdict('DELETED', 'Greenhouse redirected to the board with ?error=true');
+            if (/id="application"|Apply for this job|id="application_form"/i.test(html)) return verdict('ACTIVE', 'Greenhouse shows the application form');
+            return null;
+        }
+    },
+    {
+        site: 'Lever',
+        test: host => host.endsWith('lever.co'),
+        parse: (finalUrl, html) => {
+            if (/couldn'?t find anything here|might have closed/i.test(html)) return verdict('DELETED', 'Lever says the posting was not found');
+            if (/postings-btn|Apply for this job/i.test(html)) return verdict('ACTIVE', 'Lever shows the apply button');
+            return null;
+        }
+    },
+    {
+        site: 'Comeet',
+        test: host => host.endsWith('comeet.com') || host.endsWith('comeet.co'),
+        parse: (finalUrl, html) => {
+            if (/position is no longer available|position has been filled|position was not found/i.test(html)) return verdict('DELETED', 'Comeet says the position is no longer available');
+            if (/"position_uid"|Apply for this position|comeet-apply/i.test(html)) return verdict('ACTIVE', 'Comeet shows the position details');
+            return null;
+        }
+    }
+];
+
+function verdict(status, evidence) {
+    return { status, evidence };
+}
+
+async function fetchWithRedirects(url) {
+    const chain = [];
+    let current = new URL(url);
+    for (let i = 0; i <= MAX_REDIRECTS; i++) {
+        const response = await fetch(current, {
+            redirect: 'manual',
+            headers: { 'User-Agent': USER_AGENT, 'Accept': 'text/html,application/json;q=0.9,*/*;q=0.8' },
+            signal: AbortSignal.timeout(TIMEOUT_MS)
+        });
+        const location = response.headers.get('location');
+        if (response.status >= 300 && response.status < 400 && location) {
+            chain.push(`${response.status} -> ${location}`);
+            await response.body?.cancel();
+            current = new URL(location, current);
+            continue;
+        }
+        return { response, finalUrl: current, chain };
+    }
+    throw new Error(`More than ${MAX_REDIRECTS} redirects`);
+}
+
+// A redirect that lands on the careers home page or the company's board root
+// (an ancestor of the posting's path) means the posting itself is gone.
+function isGenericCareersPage(originalUrl, finalUrl) {
+    if (finalUrl.href === originalUrl.href) return false;
+    if (CAREERS_ROOT_PATH.test(finalUrl.pathname)) return true;
+    const original = originalUrl.pathname.replace(/\/$/, '');
+    const final = finalUrl.pathname.replace(/\/$/, '');
+    return finalUrl.host === originalUrl.host && final.length < original.length && original.startsWith(`${final}/`);
+}
+
+// Workday pages are rendered in the browser, so ask its JSON API instead:
+// https://acme.wd5.myworkdayjobs.com/en-US/External/job/TLV/Engineer_R123
+//   -> https://acme.wd5.myworkdayjobs.com/wday/cxs/acme/External/job/TLV/Engineer_R123
+async function checkWorkday(url) {
+    const tenant = url.hostname.split('.')[0];
+    const segments = url.pathname.split('/').filter(Boolean);
+    const jobIndex = segments.indexOf('job');
+    if (jobIndex < 1) return verdict('UNKNOWN', 'Workday URL has no /job/ path');
+    const site = /^[a-z]{2}-[A-Z]{2}$/.test(segments[0]) ? segments[1] : segments[0];
+    const apiUrl = `${url.origin}/wday/cxs/${tenant}/${site}/${segments.slice(jobIndex).join('/')}`;
+    const response = await fetch(apiUrl, { headers: { 'Accept': 'application/json', 'User-Agent': USER_AGENT }, signal: AbortSignal.timeout(TIMEOUT_MS) });
+    if (response.status === 404 || response.status === 410) return verdict('DELETED', `Workday API returned HTTP ${response.status}`);
+    if (!response.ok) return verdict('UNKNOWN', `Workday API returned HTTP ${response.status}`);
+    const data = await response.json();
+    if (!data.jobPostingInfo) return verdict('DELETED', 'Workday API has no jobPostingInfo for this posting');
+    if (data.jobPostingInfo.canApply === false) return verdict('DELETED', 'Workday says applications are closed (canApply: false)');
+    return verdict('ACTIVE', `Workday API lists the posting "${data.jobPostingInfo.title}"`);
+}
+
+// Returns { status: 'ACTIVE' | 'DELETED' | 'UNKNOWN', evidence: string[], site, finalUrl }.
+export async function checkPostingHttp(url) {
+    const evidence = [];
+    let originalUrl;
+    try {
+        originalUrl = new URL(url);
+    } catch (err) {
+        return { status: 'UNKNOWN', evidence: [`Not a valid URL: ${url}`], site: null, finalUrl: url };
+    }
+    const result = (status, site, finalUrl) => ({ status, evidence, site, finalUrl: finalUrl?.href || url });
+
+    try {
+        if (originalUrl.hostname.endsWith('myworkdayjobs.com')) {
+            const workday = await checkWorkday(originalUrl);
+            evidence.push(workday.evidence);
+            if (workday.status !== 'UNKNOWN') return result(workday.status, 'Workday', originalUrl);
+        }
+
+        const { response, finalUrl, chain } = await fetchWithRedirects(originalUrl);
+        if (chain.length > 0) evidence.push(`Redirects: ${chain.join(', ')}`);
+
+        if (response.status === 404 || response.status === 410) {
+            await response.body?.cancel();
+            evidence.push(`HTTP ${response.status}`);
+            return result('DELETED', null, finalUrl);
+        }
+        if (BLOCKED_STATUSES.includes(response.status) || response.status >= 500) {
+            await response.body?.cancel();
+            evidence.push(`HTTP ${response.status} (page could not be read)`);
+            return result('UNKNOWN', null, finalUrl);
+        }
+        if (isGenericCareersPage(originalUrl, finalUrl)) {
+            await response.body?.cancel();
+            evidence.push(`Redirected to a generic careers page: ${finalUrl.href}`);
+            return result('DELETED', null, finalUrl);
+        }
+
+        const html = await response.text();
+        const parser = SITE_PARSERS.find(p => p.test(finalUrl.hostname));
+        const siteVerdict = parser?.parse(finalUrl, html);
+        if (siteVerdict) {
+            evidence.push(siteVerdict.evidence);
+            return result(siteVerdict.status, parser.site, finalUrl);
+        }
+
+        const closedPhrase = CLOSED_PHRASES.map(pattern => html.match(pattern)).find(Boolean);
+        if (closedPhrase) {
+            evidence.push(`Page says "${closedPhrase[0]}"`);
+            return result('DELETED', parser?.site || null, finalUrl);
+        }
+        evidence.push(`HTTP ${response.status}, no closed-posting phrase${parser ? ` and no ${parser.site} signal` : ''}`);
+        return result('UNKNOWN', parser?.site || null, finalUrl);
+    } catch (error) {
+        evidence.push(`Fetch failed: ${error.message}`);
+        return result('UNKNOWN', null, originalUrl);
+    }
+}
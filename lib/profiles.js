@@ -0,0 +1,155 @@
+// --- Profiles ---
+// Several people can run their own job search from one checkout. profiles.json (or the
+// PROFILES_JSON variable, e.g. a GitHub secret) names each profile and the environment
+// variables it sets: Trello keys and list IDs, MY_EMAIL, NTFY_TOPIC, LLM settings, a
+// PIPELINE_CONFIG_PATH of its own, ... Anything else a profile leaves out comes from the
+// environment, except the per-user variables (PER_USER_VARIABLES). Each profile keeps
+// its own Gmail token (tokens/<name>.json) and state (state/profiles/<name>/) unless it
+// sets those paths itself.
+// Without profiles the scripts use the environment as it is.
+import { readFileSync } from 'fs';
+import path from 'path';
+import { spawnSync } from 'child_process';
+
+const DEFAULT_PROFILES_PATH = './profiles.json';
+const DEFAULT_STATE_DIR = './state/profiles';
+const DEFAULT_TOKEN_DIR = './tokens';
+const PROFILE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/; // Used in file paths
+
+// State files, by the variable that moves them, relative to the profile's state directory
+const STATE_FILES = {
+    LEDGER_PATH: 'ledger.json',
+    INGEST_LEDGER_PATH: 'ingest-ledger.json',
+    REVIEW_QUEUE_PATH: 'review-queue.json',
+    REMINDERS_PATH: 'reminders.json',
+    RUN_HISTORY_PATH: 'run-history.jsonl',
+    AUDIT_LOG_PATH: 'audit.jsonl',
+    FOLLOW_UPS_PATH: 'follow-ups.json',
+    LABELED_EXAMPLES_PATH: 'labeled-examples.jsonl',
+    REPORTS_DIR: 'reports'
+};
+
+// Variables that belong to one person: a profile that leaves one out runs without it,
+// never with the one in the base environment (someone else's board, inbox or phone)
+const PER_USER_VARIABLES = [
+    'MY_EMAIL', 'TRELLO_TOKEN', 'GOOGLE_TOKEN_JSON', 'GOOGLE_CALENDAR_ID', 'DASHBOARD_URL',
+    'NTFY_TOPIC', 'NTFY_TOKEN', 'NOTIFY_EMAIL_TO', 'TELEGRAM_CHAT_ID', 'SLACK_WEBHOOK_URL', 'NOTIFY_WEBHOOK_URL'
+];
+const isPerUser = name => PER_USER_VARIABLES.includes(name) || /^TRELLO_\w+_LIST_ID$/.test(name);
+
+export class ProfileError extends Error {
+    constructor(source, errors) {
+        super(`Invalid profiles in ${source}:\n${errors.map(e => `  - ${e}`).join('\n')}`);
+        this.name = 'ProfileError';
+        this.errors = errors;
+    }
+}
+
+// [{ name, env }] in the order they are defined, or null when no profiles are configured
+export function loadProfiles(env = process.env) {
+    const source = env.PROFILES_JSON ? 'PROFILES_JSON' : env.PROFILES_PATH || DEFAULT_PROFILES_PATH;
+    let raw;
+    try {
+        raw = JSON.parse(env.PROFILES_JSON || readFileSync(source, 'utf8'));
+    } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw new ProfileError(source, [`not valid JSON (${err.message})`]);
+    }
+
+    const errors = [];
+    const profiles = [];
+    if (!raw?.profiles || typeof raw.profiles !== 'object' || Object.keys(raw.profiles).length === 0) {
+        errors.push('"profiles" must be an object with at least one profile.');
+    } else {
+        for (const [name, vars] of Object.entries(raw.profiles)) {
+            if (!PROFILE_NAME_PATTERN.test(name)) {
+                errors.push(`profiles.${name}: names are lowercase letters, digits, "-" and "_".`);
+            } else if (!vars || typeof vars !== 'object' || Array.isArray(vars)) {
+                errors.push(`profiles.${name}: must be an object of environment variables.`);
+            } else {
+                const invalid = Object.entries(vars).filter(([, value]) => !['string', 'number', 'boolean'].includes(typeof value));
+                invalid.forEach(([key]) => errors.push(`profiles.${name}.${key}: must be a string, number or boolean.`));
+                profiles.push({ name, env: Object.fromEntries(Object.entries(vars).map(([key, value]) => [key, String(value)])) });
+            }
+        }
+    }
+    if (errors.length > 0) throw new ProfileError(source, errors);
+    return profiles;
+}
+
+// The profiles to run: the named ones, or every profile when no name is given
+export function selectProfiles(profiles, names = []) {
+    if (names.length === 0) return profiles;
+    const unknown = names.filter(name => !profiles.some(profile => profile.name === name));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown profile(s): ${unknown.join(', ')}. Use one of: ${profiles.map(p => p.name).join(', ')}.`);
+    }
+    return profiles.filter(profile => names.includes(profile.name));
+}
+
+// The environment one profile runs with: the shared base variables, then its own paths,
+// then its settings
+export function profileEnv(profile, baseEnv = process.env) {
+    const stateDir = path.join(baseEnv.PROFILES_STATE_DIR || DEFAULT_STATE_DIR, profile.name);
+    return {
+        ...Object.fromEntries(Object.entries(baseEnv).filter(([name]) => !isPerUser(name))),
+        GOOGLE_TOKEN_PATH: path.join(DEFAULT_TOKEN_DIR, `${profile.name}.json`),
+        ...Object.fromEntries(Object.entries(STATE_FILES).map(([name, file]) => [name, path.join(stateDir, file)])),
+        ...profile.env,
+        PROFILE: profile.name
+    };
+}
+
+function replaceEnv(values) {
+    for (const key of Object.keys(process.env)) {
+        if (!(key in values)) delete process.env[key];
+    }
+    Object.assign(process.env, values);
+}
+
+// Runs fn with process.env switched to env and switches it back afterwards. The state
+// modules read their paths from process.env, so profiles run one after another.
+export async function withEnv(env, fn) {
+    const saved = { ...process.env };
+    replaceEnv(env);
+    try {
+        return await fn();
+    } finally {
+        replaceEnv(saved);
+    }
+}
+
+// For the standalone scripts, which read process.env as they load. With profiles and
+// --profile <name> (or PROFILE), applies that profile to process.env and returns its name.
+// With profiles but none picked, runs the script again for each one and exits with the
+// worst exit code, unless each is false. Returns null without profiles.
+export function useProfile({ each = true } = {}) {
+    const argv = process.argv.slice(2);
+    const arg = argv.find(a => a === '--profile' || a.startsWith('--profile='));
+    const name = arg ? (arg.includes('=') ? arg.split('=')[1] : argv[argv.indexOf(arg) + 1]) : process.env.PROFILE;
+    let profiles;
+    try {
+        profiles = loadProfiles();
+        if (!profiles) {
+            if (arg) throw new Error('--profile given, but no profiles are configured (profiles.json or PROFILES_JSON).');
+            return null;
+        }
+        if (!name && !each) throw new Error(`Pick a profile with --profile <name> (one of: ${profiles.map(p => p.name).join(', ')}).`);
+        if (name) {
+            const [profile] = selectProfiles(profiles, [name]);
+            replaceEnv(profileEnv(profile));
+            console.log(`👤 Profile "${profile.name}"`);
+            return profile.name;
+        }
+    } catch (err) {
+        console.error(`❌ ${err.message}`);
+        process.exit(1);
+    }
+
+    let exitCode = 0;
+    for (const profile of profiles) {
+        const child = spawnSync(process.execPath, [process.argv[1], ...argv, '--profile', profile.name], { stdio: 'inherit', env: process.env });
+        exitCode = Math.max(exitCode, child.status ?? 1);
+    }
+    process.exit(exitCode);
+}
@@ -0,0 +1,59 @@
+// --- Interview Reminders ---
+// ntfy can only hold a scheduled message for a limited time (3 days on ntfy.sh), so
+// reminders are kept here until their delivery time is close enough, and every run
+// hands the ones that fit to the notifier.
+import { promises as fs } from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+
+const DEFAULT_REMINDERS_PATH = './state/reminders.json';
+
+export async function loadReminders(filePath = process.env.REMINDERS_PATH || DEFAULT_REMINDERS_PATH) {
+    let reminders;
+    try {
+        reminders = JSON.parse(await fs.readFile(filePath, 'utf8')).reminders;
+    } catch (err) {
+        if (err.code !== 'ENOENT') {
+            throw new Error(`Reminders file ${filePath} is unreadable: ${err.message}`);
+        }
+        reminders = [];
+    }
+
+    return {
+        filePath,
+
+        // key identifies the interview (e.g. card + start time) so re-runs do not add it twice
+        add({ key, at, title, message, links = [] }) {
+            const existing = reminders.find(r => r.key === key);
+            if (existing) return existing;
+            const reminder = { id: randomUUID(), key, at: new Date(at).toISOString(), title, message, links, scheduledAt: null };
+            reminders.push(reminder);
+            return reminder;
+        },
+
+        // Unscheduled reminders due within the next maxDelayMs; past ones are dropped
+        due(maxDelayMs, now = Date.now()) {
+            reminders = reminders.filter(r => r.scheduledAt || Date.parse(r.at) > now);
+            return reminders.filter(r => !r.scheduledAt && Date.parse(r.at) <= now + maxDelayMs);
+        },
+
+        // Reminders still ahead, handed to ntfy or not; soonest first
+        upcoming(now = Date.now()) {
+            return reminders.filter(r => Date.parse(r.at) > now).sort((a, b) => Date.parse(a.at) - Date.parse(b.at));
+        },
+
+        markScheduled(id) {
+            const reminder = reminders.find(r => r.id === id);
+            if (reminder) reminder.scheduledAt = new Date().toISOString();
+        },
+
+        async save(now = Date.now()) {
+            // Delivered reminders are no longer needed
+            reminders = reminders.filter(r => Date.parse(r.at) > now);
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            const tmpPath = `${filePath}.tmp`;
+            await fs.writeFile(tmpPath, JSON.stringify({ reminders }, null, 2));
+            await fs.rename(tmpPath, filePath);
+        }
+    };
+}
@@ -0,0 +1,163 @@
+// --- Weekly Report ---
+// Turns the numbers from lib/analytics.js into a Markdown and an HTML report plus a CSV
+// with one row per card, written to REPORTS_DIR (./state/reports by default). The
+// headline numbers go out as a notification; server.js serves the same report.
+import { promises as fs } from 'fs';
+import path from 'path';
+import { buildAnalytics } from './analytics.js';
+
+const DEFAULT_REPORTS_DIR = './state/reports';
+const CSV_COLUMNS = ['id', 'name', 'company', 'source', 'list', 'outcome', 'highestStage', 'appliedAt', 'firstResponseAt', 'daysToResponse', 'url'];
+
+const percent = value => value === null ? '–' : `${Math.round(value * 100)}%`;
+const days = value => value === null ? '–' : `${value} d`;
+const day = iso => iso.slice(0, 10);
+
+export function reportsDir(env = process.env) {
+    return env.REPORTS_DIR || DEFAULT_REPORTS_DIR;
+}
+
+export function reportTitle(report) {
+    const { activity, period } = report;
+    const span = period.days === 7 ? 'Weekly Report' : `Report (${period.days} Days)`;
+    return `${span}: ${activity.applied} Applied, ${activity.responses} Replies, ${activity.postingsRemoved} Postings Removed`;
+}
+
+// The headline lines, shared by the report and the notification
+function summaryLines(report) {
+    const { activity, totals } = report;
+    return [
+        `Applications sent: ${activity.applied}`,
+        `First replies: ${activity.responses}`,
+        `Moved to a later stage: ${activity.advanced}`,
+        `Offers: ${activity.offers}, rejections: ${activity.rejected}`,
+        `Postings removed: ${activity.postingsRemoved}, ghosted: ${activity.ghosted}`,
+        `Overall: ${totals.cards} applications, ${percent(totals.responseRate)} replied, median ${days(totals.medianDaysToResponse)} to the first reply`
+    ];
+}
+
+// Sections as plain data so Markdown and HTML render the same report
+function sections(report) {
+    const { totals } = report;
+    const timesTable = (label, groups) => ({
+        columns: [label, 'Applications', 'Replies', 'Median to first reply'],
+        rows: groups.map(group => [group.name, group.applications, group.responses, days(group.medianDays)])
+    });
+    return [
+        { title: `Last ${report.period.days} days`, lines: summaryLines(report).slice(0, -1) },
+        {
+            title: 'Pipeline',
+            lines: [
+                `${totals.cards} applications: ${totals.active} active, ${totals.offers} offers, ${totals.rejected} rejected, ` +
+                    `${totals.postingsRemoved} postings removed, ${totals.ghosted} ghosted.`,
+                `${percent(totals.responseRate)} got a reply, after a median of ${days(totals.medianDaysToResponse)}.`
+            ]
+        },
+        {
+            title: 'Funnel',
+            table: { columns: ['Stage', 'Reached', 'On to the next stage'], rows: report.funnel.map(row => [row.list, row.reached, row.next ? `${percent(row.conversion)} (${row.next})` : '']) }
+        },
+        {
+            title: 'Rejections by stage',
+            table: { columns: ['Stage', 'Reached', 'Rejected', 'Rate'], rows: report.rejections.map(row => [row.list, row.reached, row.rejected, percent(row.rate)]) }
+        },
+        { title: 'Time to first reply by source', table: timesTable('Source', report.responseTimes.bySource) },
+        { title: 'Time to first reply by company', table: timesTable('Company', report.responseTimes.byCompany) },
+        {
+            title: 'Bot runs',
+            table: { columns: ['Script', 'Runs', 'Failed', 'Card moves'], rows: Object.entries(report.bots).map(([script, bot]) => [script, bot.runs, bot.failed, bot.moves]) },
+            empty: 'No runs recorded in this period.'
+        }
+    ];
+}
+
+const markdownCell = value => String(value).replace(/\|/g, '\\|');
+
+export function renderMarkdown(report) {
+    const out = [`# Job Search Report, ${day(report.period.from)} to ${day(report.period.to)}`];
+    for (const section of sections(report)) {
+        out.push('', `## ${section.title}`, '');
+        if (section.lines) out.push(...section.lines.map(line => `- ${line}`));
+        if (section.table?.rows.length === 0) out.push(section.empty || 'Nothing yet.');
+        else if (section.table) {
+            out.push(`| ${section.table.columns.join(' | ')} |`, `| ${section.table.columns.map(() => '---').join(' | ')} |`);
+            out.push(...section.table.rows.map(row => `| ${row.map(markdownCell).join(' | ')} |`));
+        }
+    }
+    return out.join('\n') + '\n';
+}
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+}
+
+export function renderHtml(report) {
+    const body = sections(report).map(section => {
+        let html = `<h2>${escapeHtml(section.title)}</h2>`;
+        if (section.lines) html += `<ul>${section.lines.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>`;
+        if (section.table?.rows.length === 0) html += `<p>${escapeHtml(section.empty || 'Nothing yet.')}</p>`;
+        else if (section.table) {
+            html += `<table><tr>${section.table.columns.map(column => `<th>${escapeHtml(column)}</th>`).join('')}</tr>` +
+                section.table.rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('') + '</table>';
+        }
+        return html;
+    }).join('\n  ');
+    const title = `Job Search Report, ${day(report.period.from)} to ${day(report.period.to)}`;
+    return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: sans-serif; margin: 2em; color: #222; }
+    table { border-collapse: collapse; }
+    th, td { border-bottom: 1px solid #ddd; padding: 4px 8px; text-align: left; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  ${body}
+</body>
+</html>
+`;
+}
+
+const csvCell = value => {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export function renderCsv(report) {
+    return [CSV_COLUMNS, ...report.cards.map(card => CSV_COLUMNS.map(column => card[column]))]
+        .map(row => row.map(csvCell).join(','))
+        .join('\r\n') + '\r\n';
+}
+
+// Writes report-<date>.md, .html and .csv; returns their paths
+export async function writeReport(report, dir = reportsDir()) {
+    await fs.mkdir(dir, { recursive: true });
+    const base = path.join(dir, `report-${day(report.generatedAt)}`);
+    const files = { markdown: `${base}.md`, html: `${base}.html`, csv: `${base}.csv` };
+    await fs.writeFile(files.markdown, renderMarkdown(report));
+    await fs.writeFile(files.html, renderHtml(report));
+    await fs.writeFile(files.csv, renderCsv(report));
+    return files;
+}
+
+// Builds the report, writes it and sends the headline numbers. A dry run prints the
+// Markdown instead and sends nothing.
+export async function runReport({ notifier, trello, pipeline, days: periodDays = 7, dryRun = false, env = process.env }) {
+    console.log(`--- Building the report for the last ${periodDays} days ---`);
+    const report = await buildAnalytics({ trello, pipeline, days: periodDays });
+    console.log(`📊 ${report.totals.cards} cards, ${report.activity.applied} applications and ${report.activity.responses} first replies in the period.`);
+    if (dryRun) {
+        console.log(`\n${renderMarkdown(report)}`);
+        console.log("--- Dry run: no report files written ---");
+        return { report, files: null };
+    }
+
+    const files = await writeReport(report, reportsDir(env));
+    console.log(`✅ Report written to ${files.markdown}, ${files.html} and ${files.csv}.`);
+    await notifier.notify('report', { title: reportTitle(report), message: summaryLines(report).join('\n') });
+    return { report, files };
+}
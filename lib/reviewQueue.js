@@ -0,0 +1,86 @@
+// --- Review Queue ---
+// Card moves the bots did not make by themselves: an email that probably belongs to a
+// card but was matched with low confidence, or a move the approval policy holds back
+// (lib/policy.js). A person approves or rejects them (lib/approvals.js). Stored as
+// JSON next to the ledger.
+import { promises as fs } from 'fs';
+import { randomUUID } from 'crypto';
+import { withLock } from './fileLock.js';
+
+const DEFAULT_QUEUE_PATH = './state/review-queue.json';
+
+async function readItems(filePath) {
+    try {
+        return JSON.parse(await fs.readFile(filePath, 'utf8')).items;
+    } catch (err) {
+        if (err.code !== 'ENOENT') {
+            throw new Error(`Review queue file ${filePath} is unreadable: ${err.message}`);
+        }
+        return [];
+    }
+}
+
+export async function loadReviewQueue(filePath = process.env.REVIEW_QUEUE_PATH || DEFAULT_QUEUE_PATH) {
+    let items = await readItems(filePath);
+
+    return {
+        filePath,
+
+        pending() {
+            return items.filter(item => item.status === 'pending');
+        },
+
+        get(id) {
+            return items.find(item => item.id === id) || null;
+        },
+
+        // By ID or a unique start of one, as typed after `job-tracker review`
+        find(ref) {
+            const found = items.filter(item => item.id.startsWith(ref));
+            if (found.length > 1 && !found.some(item => item.id === ref)) throw new Error(`Review item ID "${ref}" is ambiguous.`);
+            return items.find(item => item.id === ref) || found[0] || null;
+        },
+
+        // Every item, pending or decided, about one card
+        forCard(cardId) {
+            return items.filter(item => item.cardId === cardId);
+        },
+
+        // Adds an item unless the same email, or the same move without an email, is already
+        // pending; returns the pending item. key authorizes the ntfy approve/reject buttons.
+        add(item) {
+            const existing = items.find(i => i.status === 'pending' && (item.messageId
+                ? i.messageId === item.messageId
+                : !i.messageId && i.cardId === item.cardId && i.targetListId === item.targetListId));
+            if (existing) return existing;
+            const entry = { id: randomUUID(), key: randomUUID(), status: 'pending', createdAt: new Date().toISOString(), ...item };
+            items.push(entry);
+            return entry;
+        },
+
+        resolve(id, status, details = {}) {
+            const item = items.find(i => i.id === id);
+            if (!item) throw new Error(`Review item ${id} not found.`);
+            Object.assign(item, details, { status, resolvedAt: new Date().toISOString() });
+            return item;
+        },
+
+        // The server decides items while a bot run may hold the queue, so decisions already
+        // on disk win over this copy's pending items, and items added meanwhile are kept.
+        // The lock keeps another save from landing between the read and the rename.
+        async save() {
+            await withLock(filePath, async () => {
+                const onDisk = new Map((await readItems(filePath)).map(item => [item.id, item]));
+                items = items.map(item => {
+                    const saved = onDisk.get(item.id);
+                    return item.status === 'pending' && saved && saved.status !== 'pending' ? saved : item;
+                });
+                const known = new Set(items.map(item => item.id));
+                items.push(...[...onDisk.values()].filter(item => !known.has(item.id)));
+                const tmpPath = `${filePath}.tmp`;
+                await fs.writeFile(tmpPath, JSON.stringify({ items }, null, 2));
+                await fs.rename(tmpPath, filePath);
+            });
+        }
+    };
+}
@@ -0,0 +1,99 @@
+// --- Run History ---
+// Each bot run (email bot, job checker, ingestion) is recorded with the card moves it
+// made and what failed, so the dashboard can show what happened without digging
+// through GitHub Actions logs. Kept as a JSON Lines file, one finished run per line,
+// appended (and now and then cut back) under a file lock (lib/fileLock.js).
+import { promises as fs } from 'fs';
+import { randomUUID } from 'crypto';
+import { withLock } from './fileLock.js';
+
+const DEFAULT_HISTORY_PATH = './state/run-history.jsonl';
+const MAX_RUNS = 200;
+const COMPACT_AFTER_RUNS = 2 * MAX_RUNS; // The file is cut back to MAX_RUNS lines once it has this many
+
+export function historyPath() {
+    return process.env.RUN_HISTORY_PATH || DEFAULT_HISTORY_PATH;
+}
+
+async function readLines(filePath) {
+    try {
+        return (await fs.readFile(filePath, 'utf8')).split('\n').filter(Boolean);
+    } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw new Error(`Run history file ${filePath} is unreadable: ${err.message}`);
+    }
+}
+
+// The most recent runs, newest first
+export async function readRunHistory(filePath = historyPath()) {
+    return (await readLines(filePath)).slice(-MAX_RUNS).reverse().map((line, i, lines) => {
+        try {
+            return JSON.parse(line);
+        } catch {
+            throw new Error(`Run history file ${filePath} line ${lines.length - i} from the end is not valid JSON.`);
+        }
+    });
+}
+
+// Writes of this process, one after another, and under the file lock across processes,
+// so a compaction never drops a run appended alongside it
+let writes = Promise.resolve();
+
+function appendRun(run, filePath) {
+    const write = writes.then(() => withLock(filePath, async () => {
+        await fs.appendFile(filePath, JSON.stringify(run) + '\n');
+        const lines = await readLines(filePath);
+        if (lines.length < COMPACT_AFTER_RUNS) return;
+        const tmpPath = `${filePath}.tmp`;
+        await fs.writeFile(tmpPath, lines.slice(-MAX_RUNS).join('\n') + '\n');
+        await fs.rename(tmpPath, filePath);
+    }));
+    writes = write.catch(() => {});
+    return write;
+}
+
+// Starts recording a run. Nothing is written until finish() / fail(); dry runs are never written.
+export function startRun(script, { dryRun = false, filePath = historyPath() } = {}) {
+    const run = {
+        id: randomUUID(),
+        script,
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        status: 'running',
+        summary: '',
+        moves: [],
+        failures: []
+    };
+
+    async function finish(status, summary) {
+        run.status = status;
+        run.summary = summary;
+        run.finishedAt = new Date().toISOString();
+        if (dryRun) return run;
+        try {
+            await appendRun(run, filePath);
+        } catch (err) {
+            console.error("❌ Failed to save the run history:", err.message);
+        }
+        return run;
+    }
+
+    return {
+        id: run.id,
+        record: run,
+
+        addMove({ cardId, cardName, fromList, toList, reason }) {
+            run.moves.push({ cardId, cardName, fromList, toList, reason, at: new Date().toISOString() });
+        },
+
+        addFailure(message, details = {}) {
+            run.failures.push({ message, ...details, at: new Date().toISOString() });
+        },
+
+        succeed: (summary) => finish(run.failures.length > 0 ? 'partial' : 'success', summary),
+        fail: (message) => {
+            run.failures.push({ message, at: new Date().toISOString() });
+            return finish('failed', message);
+        }
+    };
+}
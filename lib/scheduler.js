@@ -0,0 +1,150 @@
+// --- Request Scheduler ---
+// Every call to Trello, Gmail, Calendar, the LLM or a job site goes through run(service, fn):
+//   - at most `concurrency` calls per service are in flight,
+//   - calls start no faster than a token bucket of `ratePerSecond` (with `burst`) allows,
+//   - 429s, 5xx and network errors are retried with exponential backoff, honoring Retry-After.
+//     Calls that are not safe to repeat (POSTs, { idempotent: false }) are only retried on a
+//     429, which the service answered without doing anything.
+// Limits can be tuned per service with SCHEDULER_LIMITS, e.g. '{"llm":{"concurrency":1}}'.
+
+const DEFAULT_LIMITS = {
+    trello: { concurrency: 5, ratePerSecond: 8, burst: 10 },   // Trello allows 100 requests / 10 s per token
+    gmail: { concurrency: 5, ratePerSecond: 20, burst: 20 },
+    llm: { concurrency: 2, ratePerSecond: 0.5, burst: 2 },     // Groq's free tier is 30 requests / minute
+    web: { concurrency: 4, ratePerSecond: 4, burst: 4 },
+    notify: { concurrency: 1, ratePerSecond: 1, burst: 3 },
+    calendar: { concurrency: 2, ratePerSecond: 5, burst: 5 }
+};
+const RETRY = { maxRetries: 4, baseDelayMs: 1000, maxDelayMs: 60000 };
+const RETRYABLE_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Pulls the HTTP status and Retry-After out of the error shapes of the clients we use:
+// Groq/OpenAI SDKs (status, headers), googleapis (response.status, response.headers)
+// and the trello package (response.statusCode, response.headers).
+export function getRetryInfo(error) {
+    const status = error?.status ?? error?.response?.status ?? error?.response?.statusCode ?? (Number.isInteger(error?.code) ? error.code : undefined);
+    const headers = error?.headers ?? error?.response?.headers ?? {};
+    const rawRetryAfter = typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after'];
+    let retryAfterMs = null;
+    if (rawRetryAfter) {
+        const seconds = Number(rawRetryAfter);
+        retryAfterMs = Number.isFinite(seconds) ? seconds * 1000 : Math.max(0, Date.parse(rawRetryAfter) - Date.now());
+    }
+    const networkCode = error?.code ?? error?.cause?.code;
+    const retryable = status === 429 || status === 408 || (status >= 500 && status < 600) || RETRYABLE_CODES.includes(networkCode);
+    return { status, retryAfterMs, retryable };
+}
+
+function createLimiter({ concurrency, ratePerSecond, burst }) {
+    let active = 0;
+    let tokens = burst;
+    let lastRefill = Date.now();
+    const waiting = [];
+
+    const refill = () => {
+        const now = Date.now();
+        tokens = Math.min(burst, tokens + ((now - lastRefill) / 1000) * ratePerSecond);
+        lastRefill = now;
+    };
+
+    // Waits for a free slot, then for a token. A released slot is handed straight to the
+    // next waiter, so nobody can take it in between.
+    async function acquire() {
+        if (active >= concurrency) {
+            await new Promise(resolve => waiting.push(resolve));
+        } else {
+            active++;
+        }
+        refill();
+        while (tokens < 1) {
+            await sleep(Math.ceil(((1 - tokens) / ratePerSecond) * 1000));
+            refill();
+        }
+        tokens -= 1;
+    }
+
+    function release() {
+        const next = waiting.shift();
+        if (next) next();
+        else active--;
+    }
+
+    return { acquire, release };
+}
+
+export function createScheduler(limits = {}, retry = RETRY) {
+    const config = { ...DEFAULT_LIMITS };
+    for (const [service, serviceLimits] of Object.entries(limits)) {
+        config[service] = { ...(DEFAULT_LIMITS[service] || DEFAULT_LIMITS.web), ...serviceLimits };
+    }
+    const limiters = {};
+    const stats = {};
+
+    const limiterFor = (service) => {
+        if (!config[service]) throw new Error(`Unknown scheduler service "${service}".`);
+        limiters[service] ||= createLimiter(config[service]);
+        stats[service] ||= { calls: 0, retries: 0, failures: 0 };
+        return limiters[service];
+    };
+
+    return {
+        stats,
+
+        async run(service, fn, { label = service, idempotent = true } = {}) {
+            const limiter = limiterFor(service);
+            for (let attempt = 0; ; attempt++) {
+                await limiter.acquire();
+                stats[service].calls++;
+                let error;
+                try {
+                    return await fn();
+                } catch (err) {
+                    error = err;
+                } finally {
+                    limiter.release();
+                }
+
+                const { status, retryAfterMs, retryable } = getRetryInfo(error);
+                if (!retryable || (!idempotent && status !== 429) || attempt >= retry.maxRetries) {
+                    stats[service].failures++;
+                    throw error;
+                }
+                const backoffMs = Math.min(retry.maxDelayMs, retry.baseDelayMs * 2 ** attempt) * (0.5 + Math.random() / 2);
+                const waitMs = Math.min(retry.maxDelayMs, retryAfterMs ?? backoffMs);
+                stats[service].retries++;
+                console.warn(`    - ⏳ ${label} failed (${status ?? error.code ?? error.message}). Retry ${attempt + 1}/${retry.maxRetries} in ${Math.round(waitMs / 1000)}s...`);
+                await sleep(waitMs);
+            }
+        }
+    };
+}
+
+let defaultScheduler;
+
+// The process-wide scheduler, so every module shares the same per-service limits.
+export function getScheduler() {
+    if (!defaultScheduler) {
+        let overrides = {};
+        if (process.env.SCHEDULER_LIMITS) {
+            try {
+                overrides = JSON.parse(process.env.SCHEDULER_LIMITS);
+            } catch (err) {
+                throw new Error(`SCHEDULER_LIMITS is not valid JSON: ${err.message}`);
+            }
+        }
+        defaultScheduler = createScheduler(overrides);
+    }
+    return defaultScheduler;
+}
+
+// Wraps a `trello` client so every makeRequest goes through the scheduler.
+export function scheduleTrello(trello, scheduler = getScheduler()) {
+    return {
+        makeRequest: (method, path, options) =>
+            scheduler.run('trello', () => trello.makeRequest(method, path, options), {
+                label: `Trello ${method.toUpperCase()} ${path}`, idempotent: method.toLowerCase() !== 'post'
+            })
+    };
+}
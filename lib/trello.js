@@ -0,0 +1,60 @@
+// --- Trello Client ---
+// The trello package's makeRequest, run through the scheduler, plus file uploads,
+// which the package cannot do. The scripts only use these two calls, so tests can
+// hand the bots an in-memory board with the same shape.
+import Trello from 'trello';
+import { fetch, FormData } from 'undici';
+import { getScheduler, scheduleTrello } from './scheduler.js';
+
+export function createTrelloClient(apiKey, token, scheduler = getScheduler()) {
+    const trello = new Trello(apiKey, token);
+    return {
+        ...scheduleTrello(trello, scheduler),
+
+        // Uploads a file to a card; posts the multipart form to the REST API directly
+        attachFile({ cardId, fileName, content, mimeType }) {
+            const form = new FormData();
+            form.append('file', new Blob([content], { type: mimeType }), fileName);
+            form.append('name', fileName);
+            form.append('mimeType', mimeType);
+            const url = `${trello.uri}/1/cards/${cardId}/attachments?key=${encodeURIComponent(apiKey)}&token=${encodeURIComponent(token)}`;
+            return scheduler.run('trello', async () => {
+                const res = await fetch(url, { method: 'POST', body: form });
+                if (!res.ok) {
+                    const error = new Error(`Trello attachment upload failed: HTTP ${res.status}`);
+                    error.status = res.status;
+                    throw error;
+                }
+                return res.json();
+            }, { label: `Trello POST /1/cards/${cardId}/attachments`, idempotent: false });
+        }
+    };
+}
+
+// Adds the board label with this name to the card, creating the label the first time.
+// boardLabels caches each board's labels for the run. Returns the label.
+export async function labelCard(trello, card, { name, color }, boardLabels = new Map()) {
+    if (!boardLabels.has(card.idBoard)) {
+        boardLabels.set(card.idBoard, await trello.makeRequest('get', `/1/boards/${card.idBoard}/labels`));
+    }
+    const labels = boardLabels.get(card.idBoard);
+    let label = labels.find(l => l.name === name);
+    if (!label) {
+        label = await trello.makeRequest('post', '/1/labels', { name, color, idBoard: card.idBoard });
+        labels.push(label);
+    }
+    if (!(card.idLabels || []).includes(label.id)) {
+        await trello.makeRequest('post', `/1/cards/${card.id}/idLabels`, { value: label.id });
+    }
+    return label;
+}
+
+// Cards matching any of the filters: a card ID, short link, or part of the card name (any case).
+// No filters keeps every card.
+export function filterCards(cards, filters = []) {
+    if (filters.length === 0) return cards;
+    const needles = filters.map(filter => filter.toLowerCase());
+    return cards.filter(card => needles.some(needle =>
+        card.id === needle || card.shortLink?.toLowerCase() === needle || card.name.toLowerCase().includes(needle)
+    ));
+}
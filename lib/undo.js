@@ -0,0 +1,84 @@
+// --- Undo ---
+// Moves cards back after automated moves, using the audit log (lib/auditLog.js): one move
+// by its action ID (the ID is in the card comment), or every move of a run. A card moved
+// again since is left alone. `job-tracker undo` runs it from the command line.
+import { createPlan } from './dryRun.js';
+import { loadLedger } from './ledger.js';
+import { createTrelloClient } from './trello.js';
+import { startRun } from './runHistory.js';
+import { readAuditLog, createAuditLog, findUndoableMoves } from './auditLog.js';
+
+export class UndoError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UndoError';
+    }
+}
+
+// The latest card moves, newest first, each with whether it was undone
+export async function listMoves(limit = 20) {
+    const entries = await readAuditLog();
+    const undone = new Set(entries.filter(entry => entry.type === 'UNDO').map(entry => entry.undoes));
+    return entries.filter(entry => entry.type === 'MOVE').slice(-limit).reverse().map(move => ({ ...move, undone: undone.has(move.id) }));
+}
+
+// Reverts the move with this actionId, or every move of runId. Throws an UndoError when
+// there is nothing to undo. Returns { run, plan, reverted, moves }.
+export async function runUndo({ actionId, runId, dryRun = false, planFormat = 'text', trello = null, env = process.env }) {
+    // Newest first, so a card moved twice in one run goes back step by step
+    const moves = findUndoableMoves(await readAuditLog(), { actionId, runId }).reverse();
+    if (moves.length === 0) {
+        throw new UndoError(`No move to undo for ${actionId ? `action ${actionId}` : `run ${runId}`} (unknown ID or already undone).`);
+    }
+
+    const plan = dryRun ? createPlan('undo') : null;
+    const run = startRun('undo', { dryRun });
+    const audit = createAuditLog({ script: 'undo', runId: run.id, dryRun });
+    trello ||= createTrelloClient(env.TRELLO_API_KEY, env.TRELLO_TOKEN);
+    const ledger = await loadLedger();
+    let reverted = 0;
+
+    for (const move of moves) {
+        console.log(`\n↩️ "${move.card.name}": ${move.to.name} -> ${move.from.name} (move of ${move.at})`);
+        try {
+            const card = await trello.makeRequest('get', `/1/cards/${move.card.id}`, { fields: 'idList,name' });
+            if (card.idList !== move.to.id) {
+                console.warn(`    - ⚠️ The card is no longer in "${move.to.name}" (it was moved since). Skipping.`);
+                run.addFailure(`"${move.card.name}" was moved since; not reverted.`, { cardId: move.card.id, auditId: move.id });
+                continue;
+            }
+            if (dryRun) {
+                plan.addCardMove({
+                    cardId: move.card.id, cardName: move.card.name, fromListName: move.to.name,
+                    toListId: move.from.id, toListName: move.from.name, reason: { undoes: move.id }
+                });
+                reverted++;
+                continue;
+            }
+            await trello.makeRequest('put', `/1/cards/${move.card.id}`, { idList: move.from.id });
+            await trello.makeRequest('post', `/1/cards/${move.card.id}/actions/comments`, {
+                text: `↩️ Undo: moved back from "${move.to.name}" to "${move.from.name}" (reverts the ${move.script} move of ${move.at}).`
+            });
+            if (!await audit.append('UNDO', { undoes: move.id, card: move.card, from: move.to, to: move.from })) {
+                run.addFailure(`Reverted "${move.card.name}", but the undo is not in the audit log: the move still shows as undoable.`, { cardId: move.card.id, auditId: move.id });
+            }
+            run.addMove({ cardId: move.card.id, cardName: move.card.name, fromList: move.to.name, toList: move.from.name, reason: `Undo of ${move.id}` });
+            // Keep the email bot from applying the same email again
+            if (move.email) ledger.record(move.email.id, { action: 'UNDONE', undoneBy: move.id });
+            console.log("    ✅ Card moved back.");
+            reverted++;
+        } catch (error) {
+            console.error(`    ❌ Error reverting the move: ${error.message}`);
+            run.addFailure(`Could not revert "${move.card.name}": ${error.message}`, { cardId: move.card.id, auditId: move.id });
+        }
+    }
+
+    console.log(`\n${dryRun ? 'Would revert' : 'Reverted'} ${reverted} of ${moves.length} move(s).`);
+    if (dryRun) {
+        plan.print(planFormat);
+        return { run: run.record, plan, reverted, moves: moves.length };
+    }
+    await ledger.save();
+    await run.succeed(`Reverted ${reverted} of ${moves.length} move(s).`);
+    return { run: run.record, plan, reverted, moves: moves.length };
+}
@@ -1,12 +1,417 @@
+import 'dotenv/config';
 import express from 'express';
+import { spawn } from 'child_process';
+import { createHash, randomUUID, timingSafeEqual } from 'crypto';
+import { loadPipelineConfig } from './lib/pipelineConfig.js';
+import { readRunHistory } from './lib/runHistory.js';
+import { loadReviewQueue } from './lib/reviewQueue.js';
+import { runDecision } from './lib/approvals.js';
+import { createTrelloClient } from './lib/trello.js';
+import { authorize, createGmailClient, watchInbox } from './lib/gmail.js';
+import { buildAnalytics } from './lib/analytics.js';
+import { renderCsv, renderHtml, renderMarkdown } from './lib/report.js';
+import { useProfile } from './lib/profiles.js';
+
+// With profiles the server serves one of them (PROFILE or --profile): its board, state and
+// Gmail push. The runs it starts inherit the profile.
+useProfile({ each: false });
+
 const app = express();
-const port = process.env.PORT || 10000; 
+const port = process.env.PORT || 10000;
+const { TRELLO_API_KEY, TRELLO_TOKEN, DASHBOARD_TOKEN, GMAIL_PUBSUB_TOPIC, GMAIL_PUSH_TOKEN, MY_EMAIL } = process.env;
+
+const trello = TRELLO_API_KEY && TRELLO_TOKEN ? createTrelloClient(TRELLO_API_KEY, TRELLO_TOKEN) : null;
+
+// Scripts that can be started on demand (job-tracker commands), keyed by the name used in the run history
+const SCRIPTS = {
+  'email-bot': ['job-tracker.js', 'sync-email'],
+  'job-checker': ['job-tracker.js', 'check-postings']
+};
+const MAX_TRIGGERS = 50;
+const OUTPUT_TAIL_LINES = 40;
+const triggers = []; // Runs started from this server, newest first (kept in memory only)
+const queuedRuns = new Map(); // Script -> options of a run requested while it was already running
+const WATCH_RENEW_INTERVAL_MS = 24 * 60 * 60 * 1000; // Google recommends renewing the watch daily
+let gmailWatch = null; // { historyId, expiration, renewedAt } of the current Gmail watch
+const BOARD_CACHE_MS = 60 * 1000; // Reloading the dashboard does not fetch every list again
+let boardCache = null; // { lists, loadedAt }
+
+// --- Auth ---
+// When DASHBOARD_TOKEN is set every route except /health and the Gmail webhook (which
+// checks GMAIL_PUSH_TOKEN) needs it, either as "Authorization: Bearer <token>" or as the
+// password of HTTP basic auth, which is how a browser sends it for the dashboard.
+// Without it the pages and GET routes are open, but nothing can be started or decided.
+// Approving or rejecting a review item also works with the item's own ?key=<key>
+// (the ntfy buttons carry it).
+const REVIEW_DECISION_PATH = /^\/api\/review\/[^/]+\/(approve|reject)$/;
+
+// Compares hashes, so neither the contents nor the length of the token leak through timing
+function tokenMatches(given, expected) {
+  const hash = value => createHash('sha256').update(String(value)).digest();
+  return typeof given === 'string' && timingSafeEqual(hash(given), hash(expected));
+}
+
+function requestToken(req) {
+  const [scheme, value = ''] = (req.get('authorization') || '').split(' ');
+  if (scheme === 'Bearer') return value;
+  if (scheme === 'Basic') return Buffer.from(value, 'base64').toString('utf8').split(':').slice(1).join(':');
+  return null;
+}
+
+function requireToken(req, res, next) {
+  if (req.path === '/health' || req.path === '/webhooks/gmail') return next();
+  if (req.query.key && REVIEW_DECISION_PATH.test(req.path)) return next(); // runDecision checks the key
+  if (!DASHBOARD_TOKEN) {
+    if (req.method === 'GET' || req.method === 'HEAD') return next();
+    return res.status(403).json({ error: 'Set DASHBOARD_TOKEN to start runs or decide review items from the server.' });
+  }
+  if (tokenMatches(requestToken(req), DASHBOARD_TOKEN)) return next();
+  res.set('WWW-Authenticate', 'Basic realm="Job Tracker"').status(401).json({ error: 'Unauthorized' });
+}
+
+app.use(requireToken);
+app.use(express.json());
+app.use(express.urlencoded({ extended: false })); // The dashboard's approve / reject buttons
+
+// --- Data ---
+
+// Current cards of every configured list, earliest stage first; at most BOARD_CACHE_MS old
+async function loadBoard() {
+  if (!trello) throw new Error('TRELLO_API_KEY and TRELLO_TOKEN must be set to show the board.');
+  if (boardCache && Date.now() - boardCache.loadedAt < BOARD_CACHE_MS) return boardCache.lists;
+  const pipeline = await loadPipelineConfig();
+  const lists = Object.values(pipeline.lists)
+    .filter(list => list.id)
+    .sort((a, b) => (a.stage ?? Infinity) - (b.stage ?? Infinity));
+
+  const board = await Promise.all(lists.map(async (list) => {
+    const cards = await trello.makeRequest('get', `/1/lists/${list.id}/cards`);
+    return {
+      key: list.key,
+      name: list.name,
+      stage: list.stage ?? null,
+      id: list.id,
+      cards: cards.map(card => ({ id: card.id, name: card.name, url: card.shortUrl, lastActivity: card.dateLastActivity }))
+    };
+  }));
+  boardCache = { lists: board, loadedAt: Date.now() };
+  return board;
+}
+
+// The weekly report, built on request; ?days= changes the period
+async function loadReport(req) {
+  if (!trello) throw new Error('TRELLO_API_KEY and TRELLO_TOKEN must be set to build the report.');
+  const days = req.query.days === undefined ? 7 : Number(req.query.days);
+  if (!(days > 0)) throw Object.assign(new Error('"days" must be a positive number.'), { status: 400 });
+  return buildAnalytics({ trello, pipeline: await loadPipelineConfig(), days });
+}
+
+function isRunning(script) {
+  return triggers.some(t => t.script === script && t.status === 'running');
+}
 
-app.get('/', (req, res) => {
+// Starts a script as a child process; returns null if that script is already running
+function startTrigger(script, { dryRun = false, args: extraArgs = [], source = 'api' } = {}) {
+  if (isRunning(script)) return null;
+
+  const args = [...SCRIPTS[script], ...extraArgs];
+  if (dryRun) args.push('--dry-run', '--plan-format=json');
+  const trigger = {
+    id: randomUUID(),
+    script,
+    source,
+    dryRun,
+    status: 'running',
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    exitCode: null,
+    output: [],
+    plan: null // Dry runs: the JSON plan the script printed on stdout
+  };
+  const child = spawn(process.execPath, args, { cwd: process.cwd(), env: process.env });
+  const collect = (chunk) => {
+    trigger.output.push(...chunk.toString().split('\n').filter(Boolean));
+    trigger.output.splice(0, Math.max(0, trigger.output.length - OUTPUT_TAIL_LINES));
+  };
+  let planText = '';
+  child.stdout.on('data', dryRun ? (chunk) => { planText += chunk; } : collect);
+  child.stderr.on('data', collect);
+  child.on('error', (err) => {
+    trigger.output.push(`Failed to start: ${err.message}`);
+    trigger.status = 'failed';
+    trigger.finishedAt = new Date().toISOString();
+  });
+  child.on('close', (code) => {
+    trigger.exitCode = code;
+    trigger.status = code === 0 ? 'finished' : 'failed';
+    if (dryRun) {
+      try {
+        trigger.plan = JSON.parse(planText);
+      } catch {
+        trigger.output.push(...planText.split('\n').filter(Boolean)); // No plan (the script crashed first)
+      }
+    }
+    trigger.finishedAt = new Date().toISOString();
+    // Pick up whatever arrived while this run was busy
+    if (queuedRuns.has(script)) {
+      const options = queuedRuns.get(script);
+      queuedRuns.delete(script);
+      startTrigger(script, options);
+    }
+  });
+
+  triggers.unshift(trigger);
+  triggers.splice(MAX_TRIGGERS);
+  console.log(`▶️ Started ${script}${dryRun ? ' (dry run)' : ''} (${source}).`);
+  return trigger;
+}
+
+// --- Gmail Push ---
+
+// Starts (or renews) the Gmail watch; Gmail then posts to the Pub/Sub topic on every inbox change
+async function renewGmailWatch() {
+  try {
+    // Never the browser sign-in: nobody is there to finish it
+    const gmail = createGmailClient(await authorize({ interactive: false }));
+    const watch = await watchInbox(gmail, GMAIL_PUBSUB_TOPIC);
+    gmailWatch = { ...watch, renewedAt: new Date().toISOString() };
+    console.log(`📬 Gmail watch active until ${watch.expiration}.`);
+  } catch (err) {
+    console.error("❌ Failed to renew the Gmail watch:", err.message);
+  }
+}
+
+// Pub/Sub wraps the Gmail notification ({ emailAddress, historyId }) as base64 in
+// message.data. A bare { emailAddress, historyId } body is accepted too, for local testing.
+function parsePushPayload(body) {
+  if (body?.message?.data) {
+    return JSON.parse(Buffer.from(body.message.data, 'base64').toString('utf8'));
+  }
+  if (body?.historyId) return body;
+  throw new Error('Body is neither a Pub/Sub push message nor a { emailAddress, historyId } object.');
+}
+
+// --- JSON API ---
+
+app.get('/health', (req, res) => {
   res.send('Automation bot is running. Cron jobs are active.');
 });
 
+app.get('/api/pipeline', async (req, res) => {
+  try {
+    res.json({ lists: await loadBoard() });
+  } catch (err) {
+    res.status(502).json({ error: err.message });
+  }
+});
+
+app.get('/api/runs', async (req, res) => {
+  try {
+    let runs = await readRunHistory();
+    if (req.query.script) runs = runs.filter(run => run.script === req.query.script);
+    const limit = Math.min(Number.parseInt(req.query.limit, 10) || 20, 200);
+    res.json({ runs: runs.slice(0, limit) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/runs/:id', async (req, res) => {
+  try {
+    const run = (await readRunHistory()).find(r => r.id === req.params.id);
+    if (!run) return res.status(404).json({ error: `Run ${req.params.id} not found.` });
+    res.json(run);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/review', async (req, res) => {
+  try {
+    const queue = await loadReviewQueue();
+    // The key would let anyone who can read this decide the item, as the ntfy buttons do
+    res.json({ items: queue.pending().map(({ key, ...item }) => item) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Approves (makes the held move) or rejects a review item; the dashboard buttons are sent back to the dashboard
+app.post('/api/review/:id/:decision', async (req, res) => {
+  const { id, decision } = req.params;
+  if (!['approve', 'reject'].includes(decision)) return res.status(404).json({ error: `Unknown decision "${decision}". Use approve or reject.` });
+  if (!trello) return res.status(503).json({ error: 'TRELLO_API_KEY and TRELLO_TOKEN must be set to decide review items.' });
+  const fromDashboard = req.is('application/x-www-form-urlencoded');
+  try {
+    const item = await runDecision({
+      ref: id, decision, trello, key: req.query.key ?? null,
+      decidedBy: fromDashboard ? 'dashboard' : req.query.key ? 'ntfy' : 'api'
+    });
+    if (fromDashboard) return res.redirect(303, '/');
+    res.json({ item });
+  } catch (err) {
+    res.status(err.status || 502).json({ error: err.message });
+  }
+});
+
+// JSON by default; ?format=csv (one row per card) or ?format=markdown
+app.get('/api/report', async (req, res) => {
+  try {
+    const report = await loadReport(req);
+    if (req.query.format === 'csv') {
+      return res.type('text/csv').attachment(`report-${report.generatedAt.slice(0, 10)}.csv`).send(renderCsv(report));
+    }
+    if (req.query.format === 'markdown') return res.type('text/markdown').send(renderMarkdown(report));
+    res.json(report);
+  } catch (err) {
+    res.status(err.status || 502).json({ error: err.message });
+  }
+});
+
+app.get('/api/triggers', (req, res) => {
+  res.json({ triggers: triggers });
+});
+
+app.post('/api/runs/:script', (req, res) => {
+  const { script } = req.params;
+  if (!SCRIPTS[script]) {
+    return res.status(404).json({ error: `Unknown script "${script}". Use one of: ${Object.keys(SCRIPTS).join(', ')}.` });
+  }
+  const trigger = startTrigger(script, { dryRun: req.body?.dryRun === true });
+  if (!trigger) return res.status(409).json({ error: `${script} is already running.` });
+  res.status(202).json(trigger);
+});
+
+// Gmail push endpoint. Always answers 2xx for valid pushes so Pub/Sub does not redeliver;
+// the email bot itself works out which messages are new from the history delta.
+// Off until GMAIL_PUSH_TOKEN is set: anyone could start runs otherwise.
+app.post('/webhooks/gmail', (req, res) => {
+  if (!GMAIL_PUSH_TOKEN) return res.status(404).json({ error: 'Gmail push is not set up (GMAIL_PUSH_TOKEN is not set).' });
+  if (!tokenMatches(req.query.token, GMAIL_PUSH_TOKEN)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  let notification;
+  try {
+    notification = parsePushPayload(req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  if (MY_EMAIL && notification.emailAddress && notification.emailAddress.toLowerCase() !== MY_EMAIL.toLowerCase()) {
+    console.log(`📭 Ignoring push for ${notification.emailAddress}.`);
+    return res.status(204).end();
+  }
+
+  console.log(`📨 Gmail push received (history ID ${notification.historyId}).`);
+  const options = { args: ['--from-history'], source: 'gmail-push' };
+  if (isRunning('email-bot')) {
+    queuedRuns.set('email-bot', options);
+    return res.status(202).json({ queued: true });
+  }
+  res.status(202).json(startTrigger('email-bot', options));
+});
+
+app.get('/api/gmail-watch', (req, res) => {
+  res.json({ topic: GMAIL_PUBSUB_TOPIC || null, watch: gmailWatch });
+});
+
+// --- Dashboard ---
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+}
+
+function renderBoard(board, boardError) {
+  if (boardError) return `<p class="error">Could not load the board: ${escapeHtml(boardError)}</p>`;
+  return `<div class="board">${board.map(list => `
+    <section class="list">
+      <h3>${escapeHtml(list.name)} <span class="count">${list.cards.length}</span></h3>
+      <ul>${list.cards.map(card => `<li><a href="${escapeHtml(card.url)}">${escapeHtml(card.name)}</a></li>`).join('')}</ul>
+    </section>`).join('')}
+  </div>`;
+}
+
+function renderRuns(runs) {
+  if (runs.length === 0) return '<p>No runs recorded yet.</p>';
+  return `<table>
+    <tr><th>Started</th><th>Script</th><th>Status</th><th>Summary</th><th>Moves</th><th>Failures</th></tr>
+    ${runs.map(run => `<tr class="${escapeHtml(run.status)}">
+      <td>${escapeHtml(run.startedAt)}</td>
+      <td>${escapeHtml(run.script)}</td>
+      <td>${escapeHtml(run.status)}</td>
+      <td>${escapeHtml(run.summary)}</td>
+      <td>${run.moves.map(m => `${escapeHtml(m.cardName)}: ${escapeHtml(m.fromList ?? 'new')} → ${escapeHtml(m.toList)}`).join('<br>')}</td>
+      <td>${run.failures.map(f => escapeHtml(f.message)).join('<br>')}</td>
+    </tr>`).join('')}
+  </table>`;
+}
+
+// The browser sends the dashboard token with the buttons, like with the page itself
+function renderReview(items) {
+  if (items.length === 0) return '<p>Nothing waiting for review.</p>';
+  const button = (item, decision, label) =>
+    `<form method="post" action="/api/review/${escapeHtml(item.id)}/${decision}"><button>${label}</button></form>`;
+  return `<ul>${items.map(item => `<li>
+    ${item.subject ? `<strong>${escapeHtml(item.subject)}</strong> (${escapeHtml(item.from)}) —` : ''}
+    ${item.url ? `posting <a href="${escapeHtml(item.url)}">${escapeHtml(item.url)}</a> —` : ''}
+    move "${escapeHtml(item.cardName)}" to ${escapeHtml(item.targetListName)}? (${escapeHtml(item.reason || `confidence ${item.confidence}`)})
+    ${button(item, 'approve', 'Approve')} ${button(item, 'reject', 'Reject')}
+  </li>`).join('')}</ul>`;
+}
+
+app.get('/', async (req, res) => {
+  const [boardResult, runsResult, reviewResult] = await Promise.allSettled([
+    loadBoard(),
+    readRunHistory(),
+    loadReviewQueue().then(queue => queue.pending())
+  ]);
+
+  res.type('html').send(`<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Job Tracker</title>
+  <style>
+    body { font-family: sans-serif; margin: 2em; color: #222; }
+    .board { display: flex; gap: 1em; overflow-x: auto; }
+    .list { background: #f1f2f4; border-radius: 6px; padding: 0 1em 1em; min-width: 200px; }
+    .list ul { padding-left: 1.2em; }
+    .count { color: #888; font-weight: normal; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border-bottom: 1px solid #ddd; padding: 4px 8px; text-align: left; vertical-align: top; }
+    tr.failed td { background: #fdecea; }
+    tr.partial td { background: #fff8e1; }
+    .error { color: #b00020; }
+    form { display: inline; }
+  </style>
+</head>
+<body>
+  <h1>Job Tracker</h1>
+  <p><a href="/report">Weekly report</a> · <a href="/api/report?format=csv">CSV export</a></p>
+  <h2>Pipeline</h2>
+  ${renderBoard(boardResult.value, boardResult.reason?.message)}
+  <h2>Waiting for review</h2>
+  ${reviewResult.status === 'fulfilled' ? renderReview(reviewResult.value) : `<p class="error">${escapeHtml(reviewResult.reason.message)}</p>`}
+  <h2>Recent runs</h2>
+  ${runsResult.status === 'fulfilled' ? renderRuns(runsResult.value.slice(0, 20)) : `<p class="error">${escapeHtml(runsResult.reason.message)}</p>`}
+</body>
+</html>`);
+});
+
+app.get('/report', async (req, res) => {
+  try {
+    res.type('html').send(renderHtml(await loadReport(req)));
+  } catch (err) {
+    res.status(err.status || 502).type('html').send(`<p>Could not build the report: ${escapeHtml(err.message)}</p>`);
+  }
+});
+
 app.listen(port, () => {
   console.log(`Server listening on port ${port}`);
+  if (!DASHBOARD_TOKEN) console.warn('⚠️ DASHBOARD_TOKEN is not set: runs cannot be started and review items can only be decided with their key.');
+  if (GMAIL_PUBSUB_TOPIC && !GMAIL_PUSH_TOKEN) {
+    console.warn('⚠️ GMAIL_PUBSUB_TOPIC is set but GMAIL_PUSH_TOKEN is not: Gmail push stays off.');
+  } else if (GMAIL_PUBSUB_TOPIC) {
+    renewGmailWatch();
+    setInterval(renewGmailWatch, WATCH_RENEW_INTERVAL_MS);
+  }
 });
-
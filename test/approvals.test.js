@@ -0,0 +1,149 @@
+import { test, before, after, beforeEach, mock as mocks } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { runCli } from '../lib/cli.js';
+import { validatePipelineConfig } from '../lib/pipelineConfig.js';
+import { startMockServer } from './support/mockServer.js';
+import { createFakeTrello } from './support/fakeTrello.js';
+import { createFakeGmail } from './support/fakeGmail.js';
+import { useTestEnvironment, loadFixture, readState, removeTestState, MY_EMAIL } from './support/environment.js';
+
+let server;
+let board;
+let emails;
+
+async function jobTracker(argv, trello, gmail = null) {
+    const lines = [];
+    const connectGmail = async () => ({ gmail, auth: null });
+    const exitCode = await runCli([...argv, '--json'], { trello, connectGmail, print: line => lines.push(line) });
+    return { exitCode, output: JSON.parse(lines.join('\n')) };
+}
+
+// A full email run with the keyword rules holds two moves: the Stark reply is an unsure
+// match, and the Acme rejection has no confidence, which the shipped policy wants
+async function holdEmailMoves() {
+    const trello = createFakeTrello(board);
+    await jobTracker(['sync-email'], trello, createFakeGmail({ emailAddress: MY_EMAIL, emails }));
+    const { output } = await jobTracker(['review'], trello);
+    const item = cardId => output.items.find(i => i.cardId === cardId);
+    return { trello, acme: item('card-acme'), stark: item('card-stark-industries') };
+}
+
+before(async () => {
+    server = await startMockServer();
+    board = await loadFixture('board.json', server.url);
+    emails = await loadFixture('emails.json');
+    server.pages.set('/jobs/wayne-sre', { status: 403, body: 'Forbidden' });
+    for (const method of ['log', 'warn', 'error']) mocks.method(console, method, () => {});
+});
+
+after(async () => {
+    await server.close();
+    await removeTestState();
+});
+
+let stateDir;
+beforeEach(async () => {
+    stateDir = await useTestEnvironment({ mock: server, board });
+    server.ntfy.length = 0;
+    server.chatRequests.length = 0;
+    process.env.LLM_PROVIDER = 'rules';
+    server.respond = () => 'DELETED\nThe careers site says the SRE role is closed.';
+});
+
+test('review approve makes the held move and records the decision', async () => {
+    const { trello, acme, stark } = await holdEmailMoves();
+    assert.equal(acme.reason, 'REJECTION needs confidence 0.8 (no confidence reported)');
+    assert.equal(stark.type, 'LOW_CONFIDENCE_MATCH');
+    assert.equal(trello.listOf('card-acme'), 'Sent CV');
+    assert.deepEqual(trello.card('card-acme').idLabels, [acme.labelId]);
+
+    const { exitCode, output } = await jobTracker(['review', 'approve', acme.id.slice(0, 8)], trello);
+
+    assert.equal(exitCode, 0);
+    assert.equal(output.item.status, 'approved');
+    assert.equal(trello.listOf('card-acme'), 'Dropped Initial');
+    assert.deepEqual(trello.card('card-acme').idLabels, [], 'the label is taken off');
+    const move = (await readState(stateDir, 'audit.jsonl')).find(entry => entry.script === 'review');
+    assert.equal(move.email.id, 'msg-acme-rejection', 'undo.js can settle the email again');
+    assert.match(trello.comments.at(-1).text, new RegExp(`^✅ Approved \\(cli\\): moved from "Sent CV" to "Dropped Initial"\\.\\nUndo with \`node undo.js ${move.id}\`$`));
+
+    const [example] = await readState(stateDir, 'labeled-examples.jsonl');
+    assert.equal(example.decision, 'approved');
+    assert.equal(example.decidedBy, 'cli');
+    assert.equal(example.input.subject, 'Your application for Backend Engineer at Acme');
+    assert.deepEqual(example.proposed, {
+        action: 'REJECTION', category: 'REJECTION', confidence: null, model: null, matchMethod: acme.matchMethod,
+        matchConfidence: acme.confidence, targetList: 'Dropped Initial', reason: acme.reason
+    });
+    assert.deepEqual(example.label, { list: 'Dropped Initial', category: 'REJECTION', correct: true });
+
+    const again = await jobTracker(['review', 'approve', acme.id], trello);
+    assert.equal(again.exitCode, 1);
+    assert.match(again.output.error, /was already approved/);
+    assert.equal(await runCli(['review', 'approve']), 2, 'the ID is required');
+    assert.deepEqual((await jobTracker(['review'], trello)).output.items.map(item => item.id), [stark.id]);
+});
+
+test('review sync picks up the decisions made on the board', async () => {
+    const { trello, acme, stark } = await holdEmailMoves();
+    // Acme really invited to a first call; Stark's reply was the right card after all
+    trello.card('card-acme').idList = 'list-initial';
+    trello.card('card-stark-industries').idList = 'list-contact';
+
+    const { exitCode, output } = await jobTracker(['review', 'sync'], trello);
+
+    assert.equal(exitCode, 0);
+    assert.deepEqual([output.approved, output.rejected, output.pending], [1, 1, 0]);
+    assert.equal(trello.moves.filter(m => ['card-acme', 'card-stark-industries'].includes(m.cardId)).length, 0, 'nothing is moved again');
+    const { items } = await readState(stateDir, 'review-queue.json');
+    assert.deepEqual(items.map(item => [item.cardId, item.status, item.decidedBy]), [
+        ['card-stark-industries', 'approved', 'trello'], ['card-acme', 'rejected', 'trello']
+    ]);
+    const examples = await readState(stateDir, 'labeled-examples.jsonl');
+    assert.deepEqual(examples.map(example => [example.itemId, example.label]), [
+        [stark.id, { list: 'Established Contact', category: 'OTHER_REPLY', correct: true }],
+        [acme.id, { list: 'Initial Interview', category: 'INITIAL_INTERVIEW', correct: false }]
+    ]);
+});
+
+test('removing the label rejects a held removal, and the posting is not checked again', async () => {
+    process.env.DASHBOARD_URL = 'https://jobs.example.com/';
+    const trello = createFakeTrello(board);
+
+    await jobTracker(['check-postings', '--card', 'wayne'], trello);
+
+    assert.equal(trello.listOf('card-wayne'), 'Sent CV', 'the AI verdict waits for approval');
+    const [item] = (await readState(stateDir, 'review-queue.json')).items;
+    const approval = server.ntfy.find(message => message.title === 'Approve: Wayne Enterprises - SRE -> Job Deleted?');
+    assert.equal(approval.actions, [
+        `http, Approve, https://jobs.example.com/api/review/${item.id}/approve?key=${item.key}, method=POST, clear=true`,
+        `http, Reject, https://jobs.example.com/api/review/${item.id}/reject?key=${item.key}, method=POST, clear=true`,
+        'view, Card, https://trello.com/c/card-wayne'
+    ].join('; '));
+
+    trello.card('card-wayne').idLabels = [];
+    assert.equal((await jobTracker(['review', 'sync'], trello)).output.rejected, 1);
+    server.chatRequests.length = 0;
+    await jobTracker(['check-postings', '--card', 'wayne'], trello);
+
+    assert.equal(server.chatRequests.length, 0);
+    assert.equal(trello.listOf('card-wayne'), 'Sent CV');
+    const [example] = await readState(stateDir, 'labeled-examples.jsonl');
+    assert.equal(example.decision, 'rejected');
+    assert.deepEqual(example.input, { url: `${server.url}/jobs/wayne-sre`, evidence: item.evidence });
+});
+
+test('the policy in pipeline.json is validated', () => {
+    const raw = JSON.parse(readFileSync(process.env.PIPELINE_CONFIG_PATH, 'utf8'));
+    raw.policy = { minConfidence: 2, actions: { REJECT: { requireApproval: true }, OFFER: { requireApproval: 'yes' } } };
+
+    assert.throws(() => validatePipelineConfig(raw), error => {
+        assert.deepEqual(error.errors, [
+            'policy.minConfidence must be a number between 0 and 1.',
+            'policy.actions.REJECT: not a category name or POSTING_REMOVED.',
+            'policy.actions.OFFER.requireApproval must be true or false.'
+        ]);
+        return true;
+    });
+});
@@ -0,0 +1,166 @@
+import { test, before, after, beforeEach, mock as mocks } from 'node:test';
+import assert from 'node:assert/strict';
+import { runCli } from '../lib/cli.js';
+import { startMockServer } from './support/mockServer.js';
+import { createFakeTrello } from './support/fakeTrello.js';
+import { createFakeGmail } from './support/fakeGmail.js';
+import { useTestEnvironment, loadFixture, readState, stateFiles, removeTestState, MY_EMAIL } from './support/environment.js';
+
+let server;
+let board;
+let emails;
+
+// Runs job-tracker with the stand-ins; returns the exit code and the parsed --json output
+async function jobTracker(argv, { trello = createFakeTrello(board), gmail = null } = {}) {
+    const lines = [];
+    const connectGmail = async () => ({ gmail, auth: null });
+    const exitCode = await runCli([...argv, '--json'], { trello, connectGmail, print: line => lines.push(line) });
+    return { exitCode, output: JSON.parse(lines.join('\n')) };
+}
+
+before(async () => {
+    server = await startMockServer();
+    board = await loadFixture('board.json', server.url);
+    emails = await loadFixture('emails.json');
+    server.pages.set('/jobs/acme-backend', { status: 404, body: '<h1>Not found</h1>' });
+    for (const method of ['log', 'warn', 'error']) mocks.method(console, method, () => {});
+});
+
+after(async () => {
+    await server.close();
+    await removeTestState();
+});
+
+let stateDir;
+beforeEach(async () => {
+    stateDir = await useTestEnvironment({ mock: server, board });
+    server.ntfy.length = 0;
+    // The keyword rules are enough here; the AI paths are covered by the bot tests
+    process.env.LLM_PROVIDER = 'rules';
+    process.env.JOB_CHECK_LLM_PROVIDER = 'rules';
+});
+
+test('sync-email names the missing variables before it starts', async () => {
+    delete process.env.MY_EMAIL;
+    process.env.USER_EMAIL = MY_EMAIL;
+    process.env.INTERVIEW_TIMEZONE = 'Middle/Earth';
+    const gmail = createFakeGmail({ emailAddress: MY_EMAIL, emails });
+
+    const { exitCode, output } = await jobTracker(['sync-email'], { gmail });
+
+    assert.equal(exitCode, 1);
+    assert.deepEqual(output.problems, [
+        'MY_EMAIL is not set, but USER_EMAIL is. Rename it to MY_EMAIL (in the workflows: MY_EMAIL: ${{ secrets.USER_EMAIL }}).',
+        'INTERVIEW_TIMEZONE "Middle/Earth" is not a valid IANA time zone.'
+    ]);
+    assert.equal(gmail.modified.length, 0);
+    assert.equal(server.ntfy.length, 0, 'nothing ran, so there is nothing to report');
+    assert.deepEqual(await stateFiles(stateDir), []);
+});
+
+test('sync-email --card only touches the matching cards and leaves the last-run mark alone', async () => {
+    const gmail = createFakeGmail({ emailAddress: MY_EMAIL, emails });
+    const trello = createFakeTrello(board);
+
+    const { exitCode, output } = await jobTracker(['sync-email', '--card', 'acme,globex'], { trello, gmail });
+
+    assert.equal(exitCode, 0);
+    assert.equal(output.run.status, 'success');
+    // The keyword rules report no confidence, so the rejection waits for approval
+    assert.deepEqual(trello.moves.map(move => [move.cardId, move.to]), [['card-globex', 'Coding Interview']]);
+    const ledger = await readState(stateDir, 'ledger.json');
+    assert.equal(ledger.lastRunAt, null, 'the next full run still scans the whole window');
+    assert.equal(ledger.messages['msg-umbrella-offer'], undefined, 'emails about other cards are left for a full run');
+    assert.equal(ledger.messages['msg-acme-rejection'].action, 'QUEUED_FOR_REVIEW');
+});
+
+test('check-postings --list and --card pick the cards to check', async () => {
+    const trello = createFakeTrello(board);
+
+    const { exitCode, output } = await jobTracker(['check-postings', '--list', 'sentCv', '--card', 'Acme'], { trello });
+
+    assert.equal(exitCode, 0);
+    assert.deepEqual(output.run.moves.map(move => [move.cardId, move.fromList, move.toList]), [['card-acme', 'Sent CV', 'Job Deleted']]);
+    assert.equal(output.run.summary, 'Checked 1 cards, moved 1 deleted jobs, 0 queued for review.');
+    assert.deepEqual(trello.moves.map(move => move.cardId), ['card-acme']);
+});
+
+test('status reports list sizes, matching cards and the latest runs', async () => {
+    const trello = createFakeTrello(board);
+    await jobTracker(['check-postings', '--card', 'acme'], { trello });
+
+    const { exitCode, output } = await jobTracker(['status', '--card', 'stark'], { trello });
+
+    assert.equal(exitCode, 0);
+    assert.equal(output.lists.find(list => list.key === 'sentCv').cards, 5);
+    assert.equal(output.lists.find(list => list.key === 'jobDeleted').cards, 1);
+    assert.deepEqual(output.cards.map(card => card.name), ['Stark Industries - Backend Engineer', 'Stark Robotics - Frontend Engineer']);
+    assert.equal(output.runs['job-checker'].status, 'success');
+    assert.deepEqual(output.reviewQueue, { pending: 0, oldest: null });
+    assert.deepEqual(output.emailSync, { lastRunAt: null, lastHistoryId: null });
+});
+
+test('config validate checks the pipeline and what each command needs', async () => {
+    delete process.env.TRELLO_JOB_DELETED_FROM_WEBSITE_LIST_ID;
+    process.env.LLM_PROVIDER = 'openia';
+
+    const { exitCode, output } = await jobTracker(['config', 'validate']);
+
+    assert.equal(exitCode, 1);
+    assert.deepEqual(output.pipeline.errors, [], 'the "Job Deleted" list is optional in pipeline.json');
+    assert.deepEqual(output.commands['check-postings'], [
+        'TRELLO_JOB_DELETED_FROM_WEBSITE_LIST_ID is not set.',
+        'LLM_PROVIDER "openia" is unknown. Use one of: groq, openai, gemini, rules.'
+    ]);
+    assert.deepEqual(output.commands.status, ['LLM_PROVIDER "openia" is unknown. Use one of: groq, openai, gemini, rules.']);
+});
+
+test('rejects unknown commands and options that do not apply', async () => {
+    assert.equal(await runCli(['sync-mail']), 2);
+    assert.equal(await runCli(['check-postings', '--lookback', '3']), 2);
+    assert.equal(await runCli(['sync-email', '--lookback', 'soon']), 2);
+    assert.equal(await runCli(['config']), 2);
+});
+
+test('ingest creates a card for a new application once', async () => {
+    const application = {
+        id: 'msg-initrode-application', threadId: 'thread-initrode', hoursAgo: 3, sent: true,
+        from: `Dana Levi <${MY_EMAIL}>`, to: 'Initrode Careers <careers@initrode.com>',
+        subject: 'Application for Backend Engineer position', text: 'Hi, please find my CV attached for the Backend Engineer position Dana'
+    };
+    const gmail = createFakeGmail({ emailAddress: MY_EMAIL, emails: [application] });
+    const trello = createFakeTrello(board);
+
+    const { exitCode, output } = await jobTracker(['ingest'], { trello, gmail });
+    await jobTracker(['ingest'], { trello, gmail });
+
+    assert.equal(exitCode, 0);
+    assert.equal(output.run.status, 'success');
+    // The keyword rules name the company after the recipient's domain
+    assert.deepEqual(trello.created.map(card => [card.cardName, card.list]), [['initrode - Backend Engineer', 'Sent CV']]);
+    assert.match(trello.cards.at(-1).desc, /threadId: thread-initrode\ndomain: initrode\.com/);
+});
+
+test('undo moves a card back, once', async () => {
+    const trello = createFakeTrello(board);
+    await jobTracker(['check-postings', '--card', 'acme'], { trello });
+
+    const { output: { moves: [move] } } = await jobTracker(['undo', 'list'], { trello });
+    const { exitCode, output } = await jobTracker(['undo', move.id], { trello });
+    const again = await jobTracker(['undo', move.id], { trello });
+
+    assert.equal(exitCode, 0);
+    assert.equal(output.reverted, 1);
+    assert.equal(trello.listOf('card-acme'), 'Sent CV');
+    assert.equal(again.exitCode, 1);
+    assert.match(again.output.error, /No move to undo for action/);
+});
+
+test('undo needs the Trello variables from the shared checks', async () => {
+    delete process.env.TRELLO_TOKEN;
+
+    const { exitCode, output } = await jobTracker(['undo', 'run', 'run-1'], { trello: null });
+
+    assert.equal(exitCode, 1);
+    assert.deepEqual(output.problems, ['TRELLO_TOKEN is not set.']);
+});
@@ -0,0 +1,325 @@
+import { test, before, after, beforeEach, mock as mocks } from 'node:test';
+import assert from 'node:assert/strict';
+import { runEmailBot } from '../lib/emailBot.js';
+import { createNotifier } from '../lib/notifier.js';
+import { createScheduler } from '../lib/scheduler.js';
+import { startMockServer } from './support/mockServer.js';
+import { createFakeTrello } from './support/fakeTrello.js';
+import { createFakeGmail } from './support/fakeGmail.js';
+import { useTestEnvironment, useNoApprovalPolicy, loadFixture, readState, stateFiles, removeTestState, MY_EMAIL, NTFY_TOPIC } from './support/environment.js';
+
+let server;
+let board;
+let emails;
+
+// Answers like the AI would for the fixture emails: the classification in "ai",
+// and the interview details in "interview" (with {{tomorrow}} filled in)
+function answerFromFixtures({ messages }) {
+    const [system, user] = messages.map(message => message.content);
+    const email = emails.find(e => user.includes(`Subject: ${e.subject}`));
+    if (!email) return { status: 400, message: 'Unknown email' };
+    if (system.includes('interview scheduling details')) {
+        const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toLocaleDateString('en-CA', { timeZone: 'Asia/Jerusalem' });
+        return JSON.stringify({ ...email.interview, date: email.interview.date.replace('{{tomorrow}}', tomorrow) });
+    }
+    return JSON.stringify(email.ai);
+}
+
+async function runBot({ gmail, trello, dryRun = false, fromHistory = false }) {
+    const notifier = createNotifier({ script: 'email-bot', dryRun, tags: ['robot'] });
+    const result = await runEmailBot({ notifier, dryRun, fromHistory, trello, connectGmail: async () => ({ gmail, auth: null }) });
+    await notifier.flush();
+    return result;
+}
+
+before(async () => {
+    server = await startMockServer();
+    board = await loadFixture('board.json', server.url);
+    emails = await loadFixture('emails.json');
+    // The bots narrate every step; keep the test output readable
+    for (const method of ['log', 'warn', 'error']) mocks.method(console, method, () => {});
+});
+
+after(async () => {
+    await server.close();
+    await removeTestState();
+});
+
+let stateDir;
+beforeEach(async () => {
+    stateDir = await useTestEnvironment({ mock: server, board });
+    server.chatRequests.length = 0;
+    server.ntfy.length = 0;
+    server.ntfyFailures.length = 0;
+    server.respond = answerFromFixtures;
+});
+
+test('moves the cards the recruiter emails call for and sends one summary', async () => {
+    const gmail = createFakeGmail({ emailAddress: MY_EMAIL, emails });
+    const trello = createFakeTrello(board);
+
+    const { run } = await runBot({ gmail, trello });
+
+    assert.equal(run.status, 'success');
+    assert.deepEqual(trello.moves, [
+        { cardId: 'card-umbrella', cardName: 'Umbrella Corp - Staff Engineer', from: 'Management and HR', to: 'Offer' },
+        { cardId: 'card-initech', cardName: 'Initech - Senior Developer', from: 'Established Contact', to: 'Initial Interview' },
+        { cardId: 'card-globex', cardName: 'Globex - Platform Engineer', from: 'Sent CV', to: 'Coding Interview' },
+        { cardId: 'card-acme', cardName: 'Acme - Backend Engineer', from: 'Sent CV', to: 'Dropped Initial' }
+    ]);
+    assert.deepEqual(gmail.modified.map(change => change.id), ['msg-umbrella-offer', 'msg-initech-interview', 'msg-globex-assignment', 'msg-acme-rejection']);
+
+    const ledger = await readState(stateDir, 'ledger.json');
+    const actions = Object.fromEntries(Object.entries(ledger.messages).map(([id, entry]) => [id, entry.action]));
+    assert.deepEqual(actions, {
+        'msg-umbrella-offer': 'MOVED',
+        'msg-wonka-newsletter': 'NO_MATCH',
+        'msg-stark-question': 'QUEUED_FOR_REVIEW',
+        'msg-hooli-references': 'NO_ACTION',
+        'msg-initech-interview': 'MOVED',
+        'msg-globex-assignment': 'MOVED',
+        'msg-newsletter': 'NOT_ADDRESSED',
+        'msg-acme-rejection': 'MOVED'
+    });
+    assert.equal(ledger.messages['msg-globex-assignment'].analysis.deadline, '2026-10-30');
+
+    const { items } = await readState(stateDir, 'review-queue.json');
+    assert.equal(items.length, 1);
+    assert.equal(items[0].cardId, 'card-stark-industries');
+    assert.equal(items[0].targetListName, 'Established Contact');
+    assert.equal(items[0].confidence, 0.5);
+    assert.equal(items[0].reason, 'match confidence 0.5 is below 0.8');
+    // The held card is labelled and says how to decide
+    assert.deepEqual(trello.card('card-stark-industries').idLabels, [items[0].labelId]);
+    assert.equal(trello.labels[0].name, 'Needs approval');
+
+    // Only matched emails are classified, and the AI sees the reply without the quoted history
+    const acmePrompt = server.chatRequests.find(request => request.messages[1].content.includes('Subject: Your application for Backend Engineer at Acme'));
+    assert.ok(acmePrompt.messages[1].content.includes('move forward with other candidates'));
+    assert.ok(!acmePrompt.messages[1].content.includes('excited to apply'));
+    const globexPrompt = server.chatRequests.find(request => request.messages[1].content.includes('Subject: Next step: home assignment'));
+    assert.ok(globexPrompt.messages[1].content.includes('complete a short home assignment'), 'HTML body is converted to text');
+    assert.equal(server.chatRequests.length, 7, 'six classifications and the interview details');
+    assert.ok(server.chatRequests.every(request => request.model === 'llama-3.1-8b-instant'));
+
+    // Every card the bot was sure about gets the email summary; moves say how to undo them
+    const audit = await readState(stateDir, 'audit.jsonl');
+    assert.deepEqual(audit.map(entry => entry.card.id), ['card-umbrella', 'card-initech', 'card-globex', 'card-acme']);
+    assert.ok(audit.every(entry => entry.type === 'MOVE' && entry.model === 'groq/llama-3.1-8b-instant' && entry.runId === run.id));
+    assert.deepEqual(trello.comments.map(comment => comment.cardId), ['card-umbrella', 'card-stark-industries', 'card-hooli', 'card-initech', 'card-globex', 'card-acme']);
+    assert.match(trello.comments[1].text, new RegExp(`^⏸️ Waiting for approval: move to "Established Contact"\\? .+job-tracker review approve ${items[0].id.split('-')[0]}`, 's'));
+    const globexComment = trello.comments.find(comment => comment.cardId === 'card-globex').text;
+    assert.match(globexComment, /Moved from "Sent CV" to "Coding Interview": classified as CODING_CHALLENGE by groq\/llama-3.1-8b-instant, card matched by Thread ID/);
+    assert.match(globexComment, new RegExp(`node undo.js ${audit[2].id}`));
+    assert.match(globexComment, /Deadline: 2026-10-30/);
+    const hooliComment = trello.comments.find(comment => comment.cardId === 'card-hooli').text;
+    assert.match(hooliComment, /Next step: Send two references/);
+    assert.doesNotMatch(hooliComment, /Moved from/);
+
+    // The interview invitation puts the time on the card, attaches an .ics and schedules a reminder
+    const initech = trello.card('card-initech');
+    assert.ok(initech.due);
+    const [checklist] = trello.checklists;
+    assert.equal(checklist.idCard, 'card-initech');
+    assert.equal(checklist.name, 'Interviews');
+    assert.match(checklist.checkItems[0].name, /^initial interview: .+ 10:00 \(Asia\/Jerusalem\) https:\/\/initech\.zoom\.us\/j\/98765432100$/);
+    assert.equal(checklist.checkItems[0].due, initech.due);
+    assert.equal(trello.uploads.length, 1);
+    assert.equal(trello.uploads[0].mimeType, 'text/calendar');
+    assert.match(trello.uploads[0].content, /DURATION:PT45M|DTEND/);
+    assert.match(trello.uploads[0].content, /URL:https:\/\/initech\.zoom\.us\/j\/98765432100/);
+
+    assert.equal(server.ntfy.length, 2);
+    const [reminder, summary] = server.ntfy;
+    assert.equal(reminder.title, 'Interview in 60 min: Initech - Senior Developer');
+    assert.equal(reminder.priority, 'high');
+    assert.equal(Number(reminder.at) * 1000, Date.parse(initech.due) - 60 * 60 * 1000);
+
+    assert.equal(summary.topic, NTFY_TOPIC);
+    assert.equal(summary.title, 'Trello Bot: 4 Card(s) Moved');
+    assert.equal(summary.priority, 'urgent', 'an offer makes the summary urgent');
+    assert.equal(summary.tags, 'robot');
+    assert.equal(summary.body, [
+        'Moved 4 card(s):',
+        '- Umbrella Corp - Staff Engineer: Management and HR -> Offer (email: "Offer letter - Staff Engineer")',
+        '- Initech - Senior Developer: Established Contact -> Initial Interview (email: "Interview invitation - Seni...")',
+        '- Globex - Platform Engineer: Sent CV -> Coding Interview (email: "Next step: home assignment")',
+        '- Acme - Backend Engineer: Sent CV -> Dropped Initial (email: "Your application for Backen...")',
+        '',
+        'Needs review (not moved):',
+        '- Stark Industries - Backend Engineer -> Established Contact? (match confidence 0.5 is below 0.8)'
+    ].join('\n'));
+    assert.equal(summary.click, 'https://trello.com/c/card-umbrella');
+    assert.equal(summary.actions, [
+        'view, Umbrella Corp - Staff Engineer, https://trello.com/c/card-umbrella',
+        'view, Initech - Senior Developer, https://trello.com/c/card-initech',
+        'view, Globex - Platform Engineer, https://trello.com/c/card-globex'
+    ].join('; '));
+
+    const [history] = await readState(stateDir, 'run-history.jsonl');
+    assert.equal(history.id, run.id);
+    assert.equal(history.moves.length, 4);
+});
+
+test('a second run only retries what is not settled', async () => {
+    const gmail = createFakeGmail({ emailAddress: MY_EMAIL, emails });
+    const trello = createFakeTrello(board);
+    await runBot({ gmail, trello });
+    server.chatRequests.length = 0;
+    server.ntfy.length = 0;
+
+    const { run } = await runBot({ gmail, trello });
+
+    assert.equal(run.status, 'success');
+    assert.equal(trello.moves.length, 4, 'no card moved again');
+    assert.equal(server.chatRequests.length, 0);
+    // Only the unmatched email is looked at again, so the summary is the silent all-clear
+    assert.deepEqual(server.ntfy.map(n => [n.title, n.priority, n.body]), [
+        ['Trello Bot: All Clear', 'min', 'Processed 1 new emails. No new actions taken.']
+    ]);
+});
+
+test('--from-history only reads the mail added since the last run', async () => {
+    const [first, ...rest] = emails;
+    const gmail = createFakeGmail({ emailAddress: MY_EMAIL, emails: rest });
+    const trello = createFakeTrello(board);
+    await runBot({ gmail, trello });
+    server.chatRequests.length = 0;
+
+    gmail.deliver(first);
+    await runBot({ gmail, trello, fromHistory: true });
+
+    assert.equal(server.chatRequests.length, 1);
+    assert.deepEqual(trello.moves.at(-1), { cardId: 'card-acme', cardName: 'Acme - Backend Engineer', from: 'Sent CV', to: 'Dropped Initial' });
+    const ledger = await readState(stateDir, 'ledger.json');
+    assert.equal(ledger.lastHistoryId, String(1000 + emails.length));
+});
+
+test('a dry run plans the same moves without writing anything', async () => {
+    const gmail = createFakeGmail({ emailAddress: MY_EMAIL, emails });
+    const trello = createFakeTrello(board);
+
+    const { plan } = await runBot({ gmail, trello, dryRun: true });
+
+    assert.deepEqual(plan.actions.filter(action => action.type === 'MOVE_CARD').map(action => [action.cardId, action.fromListName, action.toListName]), [
+        ['card-umbrella', 'Management and HR', 'Offer'],
+        ['card-initech', 'Established Contact', 'Initial Interview'],
+        ['card-globex', 'Sent CV', 'Coding Interview'],
+        ['card-acme', 'Sent CV', 'Dropped Initial']
+    ]);
+    assert.deepEqual(plan.actions.filter(action => action.type === 'QUEUE_REVIEW').map(action => action.cardName), ['Stark Industries - Backend Engineer']);
+    assert.equal(trello.requests.filter(request => request.method !== 'get').length, 0);
+    assert.equal(gmail.modified.length, 0);
+    assert.equal(server.ntfy.length, 0);
+    assert.deepEqual(await stateFiles(stateDir), []);
+});
+
+test('falls back to the keyword rules when the AI never answers with valid JSON, and holds the rejection', async () => {
+    const rejection = emails.find(email => email.id === 'msg-acme-rejection');
+    const gmail = createFakeGmail({ emailAddress: MY_EMAIL, emails: [rejection] });
+    const trello = createFakeTrello(board);
+    server.respond = () => 'This looks like a rejection to me.';
+
+    await runBot({ gmail, trello });
+
+    assert.equal(server.chatRequests.length, 3, 'asked again with the problems listed');
+    assert.match(server.chatRequests[1].messages[1].content, /Your previous answer was invalid/);
+    // The rules report no confidence, and pipeline.json wants 0.8 before a rejection is applied
+    assert.deepEqual(trello.moves, []);
+    const [item] = (await readState(stateDir, 'review-queue.json')).items;
+    assert.equal(item.type, 'NEEDS_APPROVAL');
+    assert.equal(item.reason, 'REJECTION needs confidence 0.8 (no confidence reported)');
+    const ledger = await readState(stateDir, 'ledger.json');
+    assert.equal(ledger.messages['msg-acme-rejection'].action, 'QUEUED_FOR_REVIEW');
+    assert.equal(ledger.messages['msg-acme-rejection'].analysis.source, 'rules');
+    assert.equal(ledger.messages['msg-acme-rejection'].analysis.rawOutput, 'This looks like a rejection to me.');
+});
+
+test('holds any move the keyword rules decide while the AI is failing', async () => {
+    const assignment = emails.find(email => email.id === 'msg-globex-assignment');
+    const trello = createFakeTrello(board);
+    server.respond = () => ({ status: 400, message: 'Model is overloaded' });
+
+    await runBot({ gmail: createFakeGmail({ emailAddress: MY_EMAIL, emails: [assignment] }), trello });
+
+    assert.deepEqual(trello.moves, []);
+    const [item] = (await readState(stateDir, 'review-queue.json')).items;
+    assert.equal(item.targetListName, 'Coding Interview');
+    assert.equal(item.reason, 'CODING_CHALLENGE is from the keyword rules, the AI did not answer');
+});
+
+test('without an approval policy the keyword-rule rejection is applied', async () => {
+    await useNoApprovalPolicy(stateDir);
+    const rejection = emails.find(email => email.id === 'msg-acme-rejection');
+    const trello = createFakeTrello(board);
+    server.respond = () => 'This looks like a rejection to me.';
+
+    await runBot({ gmail: createFakeGmail({ emailAddress: MY_EMAIL, emails: [rejection] }), trello });
+
+    assert.deepEqual(trello.moves, [{ cardId: 'card-acme', cardName: 'Acme - Backend Engineer', from: 'Sent CV', to: 'Dropped Initial' }]);
+    const ledger = await readState(stateDir, 'ledger.json');
+    assert.equal(ledger.messages['msg-acme-rejection'].action, 'MOVED');
+    assert.equal(ledger.messages['msg-acme-rejection'].analysis.source, 'rules');
+});
+
+test('a failed move is recorded and retried on the next run', async () => {
+    // Failed emails are retried while they are in the search window (one day before the last run)
+    const rejection = { ...emails.find(email => email.id === 'msg-acme-rejection'), hoursAgo: 1 };
+    const gmail = createFakeGmail({ emailAddress: MY_EMAIL, emails: [rejection] });
+    const trello = createFakeTrello(board);
+    trello.failures.push({ method: 'put', path: '/1/cards/card-acme' });
+
+    const first = await runBot({ gmail, trello });
+
+    assert.equal(first.run.status, 'partial');
+    assert.match(first.run.failures[0].message, /Could not move "Acme - Backend Engineer" to "Dropped Initial"/);
+    assert.equal(trello.moves.length, 0);
+    assert.equal((await readState(stateDir, 'ledger.json')).messages['msg-acme-rejection'].action, 'MOVE_FAILED');
+
+    const second = await runBot({ gmail, trello });
+
+    assert.equal(second.run.status, 'success');
+    assert.equal(trello.moves.length, 1);
+    assert.equal(server.chatRequests.length, 1, 'the classification from the ledger is reused');
+});
+
+test('card names outside Latin-1 reach the ntfy buttons', async () => {
+    const offer = emails.find(email => email.id === 'msg-umbrella-offer');
+    const gmail = createFakeGmail({ emailAddress: MY_EMAIL, emails: [offer] });
+    const trello = createFakeTrello(board);
+    trello.card('card-umbrella').name = 'Umbrella Corp (אמברלה) - Staff Engineer ☂️';
+
+    await runBot({ gmail, trello });
+
+    assert.equal(trello.moves.length, 1);
+    const [summary] = server.ntfy;
+    assert.match(summary.body, /- Umbrella Corp \(אמברלה\) - Staff Engineer ☂️: Management and HR -> Offer/);
+    assert.equal(summary.actions, 'view, Umbrella Corp (אמברלה) - Staff Engineer ☂️, https://trello.com/c/card-umbrella');
+});
+
+test('a rate-limited notification is sent again, a failed one is not', async () => {
+    const notifier = createNotifier({ script: 'email-bot', scheduler: createScheduler({}, { maxRetries: 2, baseDelayMs: 1, maxDelayMs: 1 }) });
+
+    server.ntfyFailures.push(429);
+    await notifier.notify('moved', { title: 'Rate limited' });
+    server.ntfyFailures.push(500);
+    await notifier.notify('moved', { title: 'Server error' });
+
+    assert.deepEqual(server.ntfy.map(n => n.title), ['Rate limited']);
+});
+
+test('a long interview title is folded without splitting an emoji', async () => {
+    const invitation = emails.find(email => email.id === 'msg-initech-interview');
+    const gmail = createFakeGmail({ emailAddress: MY_EMAIL, emails: [invitation] });
+    const trello = createFakeTrello(board);
+    // "SUMMARY:Interview: " and the name put the emoji across the 74-octet fold
+    const name = 'Initech - Senior Developer for the Reliability Team 🚀 in Tel Aviv';
+    trello.card('card-initech').name = name;
+
+    await runBot({ gmail, trello });
+
+    const [{ content }] = trello.uploads;
+    assert.ok(content.isWellFormed());
+    assert.ok(content.replaceAll('\r\n ', '').includes(`SUMMARY:Interview: ${name}\r\n`));
+    assert.ok(content.split('\r\n').every(line => Buffer.byteLength(line) <= 75));
+});
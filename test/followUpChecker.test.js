@@ -0,0 +1,153 @@
+import { test, before, after, beforeEach, mock as mocks } from 'node:test';
+import assert from 'node:assert/strict';
+import { runFollowUpChecker } from '../lib/followUpChecker.js';
+import { createNotifier } from '../lib/notifier.js';
+import { startMockServer } from './support/mockServer.js';
+import { createFakeTrello } from './support/fakeTrello.js';
+import { createFakeGmail } from './support/fakeGmail.js';
+import { useTestEnvironment, loadFixture, readState, stateFiles, removeTestState, MY_EMAIL } from './support/environment.js';
+
+const DAY_HOURS = 24;
+const daysAgo = days => new Date(Date.now() - days * DAY_HOURS * 60 * 60 * 1000).toISOString();
+
+let server;
+let board;
+let emails;
+
+// The application Dana sent to Stark Robotics twelve days ago, never answered
+const APPLICATION = {
+    id: 'msg-stark-application', threadId: 'thread-stark-robotics', hoursAgo: 12 * DAY_HOURS,
+    from: `Dana Levi <${MY_EMAIL}>`, to: 'Stark Robotics Careers <careers@starkrobotics.com>',
+    subject: 'Application: Frontend Engineer', text: 'Hi, please find my CV attached. Dana'
+};
+
+// Stark Robotics applied to by email, Cyberdyne quiet for two weeks, Wayne for six
+function staleBoard() {
+    const trello = createFakeTrello(board);
+    trello.card('card-stark-robotics').desc = 'company: Stark Robotics\nrole: Frontend Engineer\nthreadId: thread-stark-robotics';
+    trello.card('card-stark-robotics').dateLastActivity = daysAgo(12);
+    trello.card('card-cyberdyne').dateLastActivity = daysAgo(15);
+    trello.card('card-wayne').dateLastActivity = daysAgo(45);
+    // Replied to yesterday (thread-globex in the fixtures), so not stale however old the card is
+    trello.card('card-globex').dateLastActivity = daysAgo(40);
+    return trello;
+}
+
+async function runChecker({ trello, gmail, dryRun = false }) {
+    const notifier = createNotifier({ script: 'follow-up', dryRun, tags: ['envelope', 'robot'] });
+    const result = await runFollowUpChecker({ notifier, dryRun, trello, connectGmail: async () => ({ gmail, auth: null }) });
+    await notifier.flush();
+    return result;
+}
+
+before(async () => {
+    server = await startMockServer();
+    board = await loadFixture('board.json', server.url);
+    emails = await loadFixture('emails.json');
+    for (const method of ['log', 'warn', 'error']) mocks.method(console, method, () => {});
+});
+
+after(async () => {
+    await server.close();
+    await removeTestState();
+});
+
+let stateDir;
+beforeEach(async () => {
+    stateDir = await useTestEnvironment({ mock: server, board });
+    server.ntfy.length = 0;
+});
+
+test('drafts follow-ups for quiet applications and moves the ghosted ones', async () => {
+    const gmail = createFakeGmail({ emailAddress: MY_EMAIL, emails: [...emails, APPLICATION] });
+    const trello = staleBoard();
+
+    const { run } = await runChecker({ trello, gmail });
+
+    assert.equal(run.status, 'success');
+    assert.equal(gmail.sent.length, 0, 'follow-ups are never sent');
+    assert.equal(gmail.drafts.length, 2);
+    const [stark, cyberdyne] = gmail.drafts;
+    assert.equal(stark.threadId, 'thread-stark-robotics');
+    assert.match(stark.raw, /^To: Stark Robotics Careers <careers@starkrobotics\.com>\r\n/);
+    assert.match(stark.raw, /\r\nSubject: Re: Application: Frontend Engineer\r\n/);
+    assert.match(stark.raw, /\r\nIn-Reply-To: <msg-stark-application@mail\.example>\r\n/);
+    assert.match(stark.raw, /I applied for the Frontend Engineer position at Stark Robotics on /);
+    assert.match(stark.raw, /Best regards,\r\nDana Levi$/);
+    assert.equal(cyberdyne.threadId, null);
+    assert.doesNotMatch(cyberdyne.raw, /^To:/m, 'no thread, so the recipient is left to the user');
+    assert.match(cyberdyne.raw, /Subject: Following up on my application for ML Engineer at Cyberdyne/);
+
+    assert.deepEqual(trello.labels, [{ id: 'label-1', name: 'Follow-up drafted', color: 'orange', idBoard: 'board-1' }]);
+    assert.deepEqual(trello.cards.filter(card => card.idLabels.includes('label-1')).map(card => card.id), ['card-stark-robotics', 'card-cyberdyne']);
+    assert.match(trello.comments.find(c => c.cardId === 'card-stark-robotics').text, /No reply for 12 days: a follow-up email is waiting in your Gmail drafts \(to Stark Robotics Careers/);
+
+    assert.deepEqual(trello.moves, [{ cardId: 'card-wayne', cardName: 'Wayne Enterprises - SRE', from: 'Sent CV', to: 'Ghosted' }]);
+    const [audit] = await readState(stateDir, 'audit.jsonl');
+    assert.equal(audit.script, 'follow-up');
+    assert.match(trello.comments.find(c => c.cardId === 'card-wayne').text, new RegExp(`Undo with \`node undo.js ${audit.id}\``));
+
+    const { cards } = await readState(stateDir, 'follow-ups.json');
+    assert.deepEqual(Object.keys(cards).sort(), ['card-cyberdyne', 'card-stark-robotics', 'card-wayne']);
+    assert.equal(cards['card-stark-robotics'].draftId, 'draft-1');
+
+    assert.equal(server.ntfy.length, 1);
+    assert.equal(server.ntfy[0].title, 'Follow-Ups: 2 Drafted, 1 Ghosted');
+    assert.equal(server.ntfy[0].priority, 'default');
+});
+
+test('a move the audit log could not record gets no undo hint', async () => {
+    process.env.AUDIT_LOG_PATH = stateDir; // A directory, so the write fails
+    const trello = staleBoard();
+
+    await runChecker({ trello, gmail: createFakeGmail({ emailAddress: MY_EMAIL, emails: [...emails, APPLICATION] }) });
+
+    assert.equal(trello.listOf('card-wayne'), 'Ghosted');
+    const comment = trello.comments.find(c => c.cardId === 'card-wayne').text;
+    assert.match(comment, /^👻 Moved from "Sent CV" to "Ghosted"/);
+    assert.doesNotMatch(comment, /Undo with/);
+});
+
+test('drafts only once, although labelling makes the card look active', async () => {
+    const gmail = createFakeGmail({ emailAddress: MY_EMAIL, emails: [...emails, APPLICATION] });
+    const trello = staleBoard();
+    await runChecker({ trello, gmail });
+    // Trello bumps the activity date when the label and comment are added
+    trello.card('card-cyberdyne').dateLastActivity = new Date().toISOString();
+
+    const { run } = await runChecker({ trello, gmail });
+
+    assert.equal(run.summary, 'Checked 6 cards, drafted 0 follow-ups, 0 moved to Ghosted.');
+    assert.equal(gmail.drafts.length, 2);
+    const { cards } = await readState(stateDir, 'follow-ups.json');
+    assert.equal(cards['card-cyberdyne'].lastContactAt.slice(0, 10), daysAgo(15).slice(0, 10));
+});
+
+test('a reply in the thread counts as contact', async () => {
+    const reply = {
+        id: 'msg-stark-reply', threadId: 'thread-stark-robotics', hoursAgo: 2 * DAY_HOURS,
+        from: 'Pepper <pepper@starkrobotics.com>', to: MY_EMAIL, subject: 'Re: Application: Frontend Engineer', text: 'Thanks, we will be in touch.'
+    };
+    const gmail = createFakeGmail({ emailAddress: MY_EMAIL, emails: [APPLICATION, reply] });
+    const trello = staleBoard();
+
+    await runChecker({ trello, gmail });
+
+    assert.deepEqual(gmail.drafts.map(draft => draft.threadId), [null], 'only Cyberdyne gets a follow-up');
+});
+
+test('a dry run plans the drafts and moves without touching anything', async () => {
+    const gmail = createFakeGmail({ emailAddress: MY_EMAIL, emails: [...emails, APPLICATION] });
+    const trello = staleBoard();
+
+    const { plan } = await runChecker({ trello, gmail, dryRun: true });
+
+    assert.deepEqual(plan.actions.map(action => [action.type, action.cardId]), [
+        ['UPDATE_CARD', 'card-stark-robotics'], ['MOVE_CARD', 'card-wayne'], ['UPDATE_CARD', 'card-cyberdyne']
+    ]);
+    assert.equal(gmail.drafts.length, 0);
+    assert.equal(trello.labels.length, 0);
+    assert.equal(trello.moves.length, 0);
+    assert.equal(server.ntfy.length, 0);
+    assert.deepEqual(await stateFiles(stateDir), []);
+});
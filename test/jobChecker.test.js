@@ -0,0 +1,160 @@
+import { test, before, after, beforeEach, mock as mocks } from 'node:test';
+import assert from 'node:assert/strict';
+import { runJobChecker } from '../lib/jobChecker.js';
+import { createNotifier } from '../lib/notifier.js';
+import { startMockServer } from './support/mockServer.js';
+import { createFakeTrello } from './support/fakeTrello.js';
+import { useTestEnvironment, useNoApprovalPolicy, loadFixture, readState, stateFiles, removeTestState, NTFY_TOPIC } from './support/environment.js';
+
+let server;
+let board;
+
+// The AI is only asked about the postings the HTTP check cannot judge
+const AI_VERDICTS = {
+    '/jobs/stark-frontend': 'ACTIVE\nThe posting lists its requirements and an application form.',
+    '/jobs/wayne-sre': 'DELETED\nThe careers site says the SRE role is closed.'
+};
+
+async function runChecker({ trello, dryRun = false }) {
+    const notifier = createNotifier({ script: 'job-checker', dryRun, tags: ['broom', 'robot'] });
+    const result = await runJobChecker({ notifier, dryRun, trello });
+    await notifier.flush();
+    return result;
+}
+
+before(async () => {
+    server = await startMockServer();
+    board = await loadFixture('board.json', server.url);
+    server.pages.set('/jobs/acme-backend', { status: 404, body: '<h1>Not found</h1>' });
+    server.pages.set('/jobs/globex-platform', { body: '<h1>Platform Engineer</h1><p>This position has been filled. Thank you for your interest.</p>' });
+    server.pages.set('/jobs/stark-backend', { status: 302, headers: { Location: '/careers' } });
+    server.pages.set('/careers', { body: '<h1>Careers at Stark</h1><p>See all open roles.</p>' });
+    server.pages.set('/jobs/stark-frontend', { body: '<h1>Frontend Engineer</h1><p>Join our team in Tel Aviv.</p>' });
+    server.pages.set('/jobs/wayne-sre', { status: 403, body: 'Forbidden' });
+    for (const method of ['log', 'warn', 'error']) mocks.method(console, method, () => {});
+});
+
+after(async () => {
+    await server.close();
+    await removeTestState();
+});
+
+let stateDir;
+beforeEach(async () => {
+    stateDir = await useTestEnvironment({ mock: server, board });
+    server.chatRequests.length = 0;
+    server.ntfy.length = 0;
+    server.respond = ({ messages }) => {
+        const url = new URL(messages[1].content.match(/https?:\/\/\S+/)[0]);
+        return AI_VERDICTS[url.pathname] || { status: 400, message: `Unexpected URL ${url}` };
+    };
+});
+
+test('moves the cards whose posting is gone, explains why and holds the AI verdicts for approval', async () => {
+    const trello = createFakeTrello(board);
+
+    const { run } = await runChecker({ trello });
+
+    assert.equal(run.status, 'success');
+    const byCard = (a, b) => a.cardId.localeCompare(b.cardId);
+    assert.deepEqual(trello.moves.sort(byCard), [
+        { cardId: 'card-acme', cardName: 'Acme - Backend Engineer', from: 'Sent CV', to: 'Job Deleted' },
+        { cardId: 'card-globex', cardName: 'Globex - Platform Engineer', from: 'Sent CV', to: 'Job Deleted' },
+        { cardId: 'card-stark-industries', cardName: 'Stark Industries - Backend Engineer', from: 'Sent CV', to: 'Job Deleted' }
+    ]);
+    assert.equal(trello.listOf('card-wayne'), 'Sent CV', 'the AI reports no confidence, so the policy holds the move');
+    assert.equal(trello.listOf('card-stark-robotics'), 'Sent CV');
+    assert.equal(trello.listOf('card-cyberdyne'), 'Sent CV', 'cards without a posting link are skipped');
+
+    // Two postings could not be judged over HTTP, so the web-browsing model was asked
+    assert.equal(server.chatRequests.length, 2);
+    assert.ok(server.chatRequests.every(request => request.model === 'groq/compound'));
+    assert.deepEqual(server.chatRequests[0].compound_custom, { tools: { enabled_tools: ['web_search'] } });
+
+    const audit = (await readState(stateDir, 'audit.jsonl')).sort((a, b) => a.card.id.localeCompare(b.card.id));
+    assert.deepEqual(audit.map(entry => [entry.card.id, entry.checkedBy]), [
+        ['card-acme', 'http'], ['card-globex', 'http'], ['card-stark-industries', 'http']
+    ]);
+    assert.deepEqual(audit[0].evidence, ['HTTP 404']);
+
+    const [held] = (await readState(stateDir, 'review-queue.json')).items;
+    assert.equal(held.cardId, 'card-wayne');
+    assert.equal(held.action, 'POSTING_REMOVED');
+    assert.equal(held.checkedBy, 'groq/groq/compound');
+    assert.equal(held.evidence.at(-1), 'AI (groq/compound): The careers site says the SRE role is closed.');
+
+    const comment = cardId => trello.comments.find(c => c.cardId === cardId).text;
+    assert.match(comment('card-globex'), /Page says "position has been filled"/);
+    assert.match(comment('card-stark-industries'), /Redirected to a generic careers page/);
+    assert.match(comment('card-wayne'), /^⏸️ Waiting for approval: move to "Job Deleted"\? \(POSTING_REMOVED needs confidence 0\.8 \(no confidence reported\)\)/);
+    assert.match(comment('card-acme'), new RegExp(`Undo with \`node undo.js ${audit[0].id}\``));
+
+    assert.equal(server.ntfy.length, 1);
+    const [summary] = server.ntfy;
+    assert.equal(summary.topic, NTFY_TOPIC);
+    assert.equal(summary.title, 'Trello Job Checker: 3 Job(s) Deleted');
+    assert.equal(summary.priority, 'low');
+    assert.equal(summary.tags, 'broom,robot');
+    const [moved, review] = summary.body.split('\n\n');
+    const [heading, ...lines] = moved.split('\n');
+    assert.equal(heading, 'Checked 6 cards and moved 3 deleted job(s):');
+    assert.deepEqual(lines.sort(), [
+        '- Acme - Backend Engineer (HTTP 404)',
+        '- Globex - Platform Engineer (Page says "position has been filled")',
+        `- Stark Industries - Backend Engineer (Redirected to a generic careers page: ${server.url}/careers)`
+    ]);
+    assert.equal(review, 'Needs review (not moved):\n- Wayne Enterprises - SRE (POSTING_REMOVED needs confidence 0.8 (no confidence reported))');
+});
+
+test('without an approval policy the AI verdict moves the card and is audited', async () => {
+    await useNoApprovalPolicy(stateDir);
+    const trello = createFakeTrello(board);
+
+    const { run } = await runChecker({ trello });
+
+    assert.equal(run.status, 'success');
+    assert.equal(trello.listOf('card-wayne'), 'Job Deleted');
+    const wayne = (await readState(stateDir, 'audit.jsonl')).find(entry => entry.card.id === 'card-wayne');
+    assert.equal(wayne.checkedBy, 'ai');
+    assert.equal(wayne.model, 'groq/groq/compound');
+    assert.equal(wayne.rawOutput, AI_VERDICTS['/jobs/wayne-sre']);
+    assert.match(trello.comments.find(c => c.cardId === 'card-wayne').text, /checked by groq\/groq\/compound/);
+});
+
+test('does not check a posting again while its removal waits for approval', async () => {
+    const trello = createFakeTrello(board);
+    await runChecker({ trello });
+    server.chatRequests.length = 0;
+
+    const { run } = await runChecker({ trello });
+
+    assert.ok(!server.chatRequests.some(request => request.messages[1].content.includes('/jobs/wayne-sre')), 'the held posting is not checked again');
+    assert.equal(run.summary, 'Checked 3 cards, moved 0 deleted jobs, 0 queued for review.');
+    assert.equal((await readState(stateDir, 'review-queue.json')).items.length, 1);
+});
+
+test('a dry run plans the moves without touching the board', async () => {
+    const trello = createFakeTrello(board);
+
+    const { plan } = await runChecker({ trello, dryRun: true });
+
+    const moves = plan.actions.filter(action => action.type === 'MOVE_CARD');
+    assert.deepEqual(moves.map(action => action.cardId).sort(), ['card-acme', 'card-globex', 'card-stark-industries']);
+    assert.ok(moves.every(action => action.toListName === 'Job Deleted'));
+    assert.deepEqual(plan.actions.filter(action => action.type === 'QUEUE_REVIEW').map(action => action.cardName), ['Wayne Enterprises - SRE']);
+    assert.equal(trello.moves.length, 0);
+    assert.equal(trello.comments.length, 0);
+    assert.equal(server.ntfy.length, 0);
+    assert.deepEqual(await stateFiles(stateDir), []);
+});
+
+test('assumes a posting is active when the AI is turned off', async () => {
+    process.env.JOB_CHECK_LLM_PROVIDER = 'rules';
+    const trello = createFakeTrello(board);
+
+    await runChecker({ trello });
+
+    assert.equal(server.chatRequests.length, 0);
+    assert.equal(trello.listOf('card-wayne'), 'Sent CV');
+    assert.equal(trello.moves.length, 3);
+});
@@ -0,0 +1,115 @@
+import { test, before, after, beforeEach, mock as mocks } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { runCli } from '../lib/cli.js';
+import { loadProfiles, profileEnv } from '../lib/profiles.js';
+import { startMockServer } from './support/mockServer.js';
+import { createFakeTrello } from './support/fakeTrello.js';
+import { useTestEnvironment, loadFixture, readState, stateFiles, removeTestState } from './support/environment.js';
+
+let server;
+let board;
+
+// Dana's settings are complete; Sam's board has no "Job Deleted" list yet. The list IDs
+// and the Trello token are per-user, so each profile sets them.
+function profiles() {
+    const lists = Object.fromEntries(board.lists.map(list => [list.env, list.id]));
+    const { TRELLO_JOB_DELETED_FROM_WEBSITE_LIST_ID, ...samLists } = lists;
+    return {
+        profiles: {
+            dana: { NTFY_TOPIC: 'dana-jobs', TRELLO_TOKEN: 'dana-token', ...lists },
+            sam: { NTFY_TOPIC: 'sam-jobs', MY_EMAIL: 'sam@example.com', TRELLO_TOKEN: 'sam-token', ...samLists }
+        }
+    };
+}
+
+async function jobTracker(argv, trello = createFakeTrello(board)) {
+    const lines = [];
+    const exitCode = await runCli([...argv, '--json'], { trello, print: line => lines.push(line) });
+    return { exitCode, output: JSON.parse(lines.join('\n')) };
+}
+
+before(async () => {
+    server = await startMockServer();
+    board = await loadFixture('board.json', server.url);
+    server.pages.set('/jobs/acme-backend', { status: 404, body: '<h1>Not found</h1>' });
+    for (const method of ['log', 'warn', 'error']) mocks.method(console, method, () => {});
+});
+
+after(async () => {
+    await server.close();
+    await removeTestState();
+});
+
+let stateDir;
+beforeEach(async () => {
+    stateDir = await useTestEnvironment({ mock: server, board });
+    server.ntfy.length = 0;
+    process.env.JOB_CHECK_LLM_PROVIDER = 'rules';
+    process.env.PROFILES_JSON = JSON.stringify(profiles());
+});
+
+test('runs every profile with its own settings and state, and one failing does not stop the others', async () => {
+    const trello = createFakeTrello(board);
+
+    const { exitCode, output } = await jobTracker(['check-postings', '--card', 'acme'], trello);
+
+    assert.equal(exitCode, 1);
+    assert.deepEqual(Object.keys(output.profiles), ['dana', 'sam']);
+    assert.equal(output.profiles.dana.run.status, 'success');
+    assert.deepEqual(output.profiles.sam.problems, ['TRELLO_JOB_DELETED_FROM_WEBSITE_LIST_ID is not set.']);
+    assert.deepEqual(trello.moves.map(move => move.cardId), ['card-acme']);
+
+    assert.deepEqual(await stateFiles(stateDir), ['profiles'], 'nothing is written to the shared state');
+    const danaState = path.join(stateDir, 'profiles', 'dana');
+    assert.deepEqual((await readState(danaState, 'run-history.jsonl')).map(run => run.script), ['job-checker']);
+    assert.equal((await readState(danaState, 'audit.jsonl')).length, 1);
+    assert.deepEqual(server.ntfy.map(message => message.topic), ['dana-jobs']);
+    assert.equal(process.env.NTFY_TOPIC, 'job-tracker-test', 'the environment is restored afterwards');
+    assert.equal(process.env.PROFILE, undefined);
+});
+
+test('a profile does not inherit the per-user variables of the environment', () => {
+    process.env.GOOGLE_TOKEN_JSON = '{"refresh_token":"base"}';
+    const [dana] = loadProfiles();
+
+    const env = profileEnv(dana);
+
+    assert.equal(env.MY_EMAIL, undefined);
+    assert.equal(env.GOOGLE_TOKEN_JSON, undefined, 'the token file of the profile is read instead');
+    assert.equal(env.GOOGLE_TOKEN_PATH, path.join('tokens', 'dana.json'));
+    assert.equal(env.TRELLO_TOKEN, 'dana-token');
+    assert.equal(env.TRELLO_API_KEY, 'test-key', 'shared variables still come from the environment');
+    delete process.env.GOOGLE_TOKEN_JSON;
+});
+
+test('--profile and PROFILE pick the profiles to run', async () => {
+    const { exitCode, output } = await jobTracker(['status', '--profile', 'sam']);
+    assert.equal(exitCode, 0);
+    assert.deepEqual(Object.keys(output.profiles), ['sam']);
+
+    process.env.PROFILE = 'dana';
+    assert.deepEqual(Object.keys((await jobTracker(['status'])).output.profiles), ['dana']);
+
+    const unknown = await jobTracker(['status', '--profile', 'alex']);
+    assert.equal(unknown.exitCode, 2);
+    assert.match(unknown.output.error, /^Unknown profile\(s\): alex\. Use one of: dana, sam\.$/);
+    delete process.env.PROFILE;
+    assert.equal((await jobTracker(['auth'])).exitCode, 2, 'signing in needs one profile');
+    assert.equal(await runCli(['check-postings', '--dry-run', '--plan-format', 'json']), 2, 'one JSON plan per run');
+});
+
+test('reports invalid profiles before running anything', async () => {
+    process.env.PROFILES_JSON = JSON.stringify({ profiles: { 'Dana Levi': {}, sam: { NTFY_TOPIC: ['a', 'b'] } } });
+
+    const { exitCode, output } = await jobTracker(['status']);
+
+    assert.equal(exitCode, 1);
+    assert.deepEqual(output.problems, [
+        'profiles.Dana Levi: names are lowercase letters, digits, "-" and "_".',
+        'profiles.sam.NTFY_TOPIC: must be a string, number or boolean.'
+    ]);
+
+    delete process.env.PROFILES_JSON;
+    assert.equal((await jobTracker(['status', '--profile', 'dana'])).exitCode, 2, 'no profiles configured');
+});
@@ -0,0 +1,126 @@
+import { test, before, after, beforeEach, mock as mocks } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { runCli } from '../lib/cli.js';
+import { startMockServer } from './support/mockServer.js';
+import { createFakeTrello } from './support/fakeTrello.js';
+import { useTestEnvironment, loadFixture, stateFiles, removeTestState } from './support/environment.js';
+
+const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+let server;
+let board;
+
+// Each card's list history as [days ago, list ID] pairs, oldest first
+const HISTORY = {
+    'card-acme': [[20, 'list-sent-cv'], [6, 'list-dropped']],
+    'card-globex': [[10, 'list-sent-cv'], [3, 'list-coding']],
+    'card-initech': [[30, 'list-sent-cv'], [20, 'list-contact']],
+    'card-umbrella': [[60, 'list-sent-cv'], [50, 'list-initial'], [40, 'list-hr'], [2, 'list-offer']],
+    'card-hooli': [[40, 'list-sent-cv'], [30, 'list-coding']],
+    'card-stark-industries': [[5, 'list-sent-cv']],
+    'card-stark-robotics': [[12, 'list-sent-cv'], [1, 'list-deleted']],
+    'card-wayne': [[45, 'list-sent-cv'], [4, 'list-ghosted']],
+    'card-cyberdyne': [[2, 'list-sent-cv']]
+};
+
+// The board with that history as Trello actions, newest first
+function boardWithHistory() {
+    const actions = [];
+    const cards = board.cards.map(card => {
+        const steps = HISTORY[card.id];
+        steps.forEach(([days, listId], i) => actions.push({
+            id: `action-${card.id}-${i}`,
+            type: i === 0 ? 'createCard' : 'updateCard',
+            date: daysAgo(days),
+            data: i === 0
+                ? { card: { id: card.id }, list: { id: listId } }
+                : { card: { id: card.id }, listBefore: { id: steps[i - 1][1] }, listAfter: { id: listId } }
+        }));
+        return { ...card, idList: steps.at(-1)[1] };
+    });
+    const trello = createFakeTrello({ ...board, cards, actions: actions.sort((a, b) => b.date.localeCompare(a.date)) });
+    // Applications ingested from Gmail carry their source and date
+    trello.card('card-stark-industries').desc = `company: Stark Industries\nsource: Sent mail (${daysAgo(5).slice(0, 10)})`;
+    trello.card('card-stark-robotics').desc = `company: Stark Robotics\nsource: ATS confirmation (${daysAgo(12).slice(0, 10)})`;
+    return trello;
+}
+
+async function jobTracker(argv, trello) {
+    const lines = [];
+    const exitCode = await runCli([...argv, '--json'], { trello, print: line => lines.push(line) });
+    return { exitCode, output: JSON.parse(lines.join('\n')) };
+}
+
+before(async () => {
+    server = await startMockServer();
+    board = await loadFixture('board.json', server.url);
+    for (const method of ['log', 'warn', 'error']) mocks.method(console, method, () => {});
+});
+
+after(async () => {
+    await server.close();
+    await removeTestState();
+});
+
+let stateDir;
+beforeEach(async () => {
+    stateDir = await useTestEnvironment({ mock: server, board });
+    server.ntfy.length = 0;
+});
+
+test('report works out the funnel, reply times and removed postings from the card history', async () => {
+    const { exitCode, output } = await jobTracker(['report'], boardWithHistory());
+
+    assert.equal(exitCode, 0);
+    assert.deepEqual(output.activity, { applied: 2, responses: 2, advanced: 1, offers: 1, rejected: 1, postingsRemoved: 1, ghosted: 1 });
+    assert.deepEqual(output.totals, {
+        cards: 9, active: 5, offers: 1, rejected: 1, postingsRemoved: 1, ghosted: 1, responseRate: 0.556, medianDaysToResponse: 10
+    });
+    assert.deepEqual(output.funnel.map(row => [row.list, row.reached, row.conversion]), [
+        ['Sent CV', 9, 0.444],
+        ['Established Contact', 4, 0.75],
+        ['Initial Interview', 3, 1],
+        ['Coding Interview', 3, 0.333],
+        ['Architecture Interview', 1, 1],
+        ['Management and HR', 1, 1],
+        ['Offer', 1, null]
+    ]);
+    assert.deepEqual(output.rejections[0], { list: 'Sent CV', reached: 9, rejected: 1, rate: 0.111 });
+    assert.deepEqual(output.responseTimes.bySource, [
+        { name: 'Manual', applications: 7, responses: 5, medianDays: 10 },
+        { name: 'ATS confirmation', applications: 1, responses: 0, medianDays: null },
+        { name: 'Sent mail', applications: 1, responses: 0, medianDays: null }
+    ]);
+    assert.deepEqual(output.responseTimes.byCompany.find(group => group.name === 'Acme'), { name: 'Acme', applications: 1, responses: 1, medianDays: 14 });
+
+    const date = new Date().toISOString().slice(0, 10);
+    assert.deepEqual(await fs.readdir(path.join(stateDir, 'reports')), [`report-${date}.csv`, `report-${date}.html`, `report-${date}.md`]);
+    const markdown = await fs.readFile(output.files.markdown, 'utf8');
+    assert.match(markdown, /^# Job Search Report, \d{4}-\d{2}-\d{2} to \d{4}-\d{2}-\d{2}\n/);
+    assert.match(markdown, /\n\| Sent CV \| 9 \| 44% \(Established Contact\) \|\n/);
+    assert.match(markdown, /\n## Bot runs\n\nNo runs recorded in this period\.\n/);
+    const csv = (await fs.readFile(output.files.csv, 'utf8')).trim().split('\r\n');
+    assert.equal(csv[0], 'id,name,company,source,list,outcome,highestStage,appliedAt,firstResponseAt,daysToResponse,url');
+    assert.equal(csv.length, 10);
+    assert.match(csv.find(line => line.startsWith('card-acme,')), /^card-acme,Acme - Backend Engineer,Acme,Manual,Dropped Initial,rejected,1,.+,14,https:\/\/trello\.com\/c\/card-acme$/);
+
+    assert.equal(server.ntfy.length, 1);
+    assert.equal(server.ntfy[0].title, 'Weekly Report: 2 Applied, 2 Replies, 1 Postings Removed');
+    assert.equal(server.ntfy[0].priority, 'low');
+    assert.match(server.ntfy[0].body, /^Applications sent: 2\nFirst replies: 2\n/);
+});
+
+test('a dry run prints the report without writing or sending it', async () => {
+    const { exitCode, output } = await jobTracker(['report', '--lookback', '25', '--dry-run'], boardWithHistory());
+
+    assert.equal(exitCode, 0);
+    assert.equal(output.period.days, 25);
+    assert.equal(output.activity.responses, 3);
+    assert.equal(output.files, null);
+    assert.equal(server.ntfy.length, 0);
+    assert.deepEqual(await stateFiles(stateDir), []);
+
+    assert.equal((await jobTracker(['report', '--lookback', 'soon'], boardWithHistory())).exitCode, 2);
+});
@@ -0,0 +1,90 @@
+// --- Test Environment ---
+// Points the bots at the stand-ins: list IDs from the board fixture, Groq and ntfy
+// at the mock server, and every state file in a fresh temporary directory.
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const ROOT = fileURLToPath(new URL('../..', import.meta.url));
+const FIXTURES = path.join(ROOT, 'test', 'fixtures');
+
+export const MY_EMAIL = 'dana@example.com';
+export const NTFY_TOPIC = 'job-tracker-test';
+
+// Variables from a developer's shell that would send real notifications or change limits
+const CLEARED = [
+    'NOTIFY_EMAIL_TO', 'TELEGRAM_BOT_TOKEN', 'TELEGRAM_CHAT_ID', 'SLACK_WEBHOOK_URL', 'NOTIFY_WEBHOOK_URL', 'NOTIFY_PRIORITIES',
+    'NTFY_TOKEN', 'GOOGLE_CALENDAR_ID', 'LLM_MODEL', 'JOB_CHECK_LLM_MODEL', 'INTERVIEW_REMINDER_MINUTES', 'EMAIL_LOOKBACK_DAYS', 'USER_EMAIL',
+    'PROFILES_JSON', 'PROFILE', 'GOOGLE_TOKEN_JSON', 'GOOGLE_TOKEN_PATH', 'DASHBOARD_URL'
+];
+
+// Reads a fixture; "{{server}}" is replaced with the mock server's URL.
+export async function loadFixture(name, serverUrl = '') {
+    const raw = await fs.readFile(path.join(FIXTURES, name), 'utf8');
+    return JSON.parse(raw.replaceAll('{{server}}', serverUrl));
+}
+
+const stateDirs = [];
+
+// Sets process.env for one test; returns the state directory.
+export async function useTestEnvironment({ mock, board }) {
+    const stateDir = await fs.mkdtemp(path.join(os.tmpdir(), 'job-tracker-test-'));
+    stateDirs.push(stateDir);
+    CLEARED.forEach(name => delete process.env[name]);
+    Object.assign(process.env, {
+        TRELLO_API_KEY: 'test-key',
+        TRELLO_TOKEN: 'test-token',
+        ...Object.fromEntries(board.lists.map(list => [list.env, list.id])),
+        MY_EMAIL,
+        PIPELINE_CONFIG_PATH: path.join(ROOT, 'pipeline.json'),
+        LEDGER_PATH: path.join(stateDir, 'ledger.json'),
+        INGEST_LEDGER_PATH: path.join(stateDir, 'ingest-ledger.json'),
+        REVIEW_QUEUE_PATH: path.join(stateDir, 'review-queue.json'),
+        REMINDERS_PATH: path.join(stateDir, 'reminders.json'),
+        RUN_HISTORY_PATH: path.join(stateDir, 'run-history.jsonl'),
+        AUDIT_LOG_PATH: path.join(stateDir, 'audit.jsonl'),
+        FOLLOW_UPS_PATH: path.join(stateDir, 'follow-ups.json'),
+        LABELED_EXAMPLES_PATH: path.join(stateDir, 'labeled-examples.jsonl'),
+        REPORTS_DIR: path.join(stateDir, 'reports'),
+        // Not there, so a developer's profiles.json is ignored; tests set PROFILES_JSON instead
+        PROFILES_PATH: path.join(stateDir, 'profiles.json'),
+        PROFILES_STATE_DIR: path.join(stateDir, 'profiles'),
+        LLM_PROVIDER: 'groq',
+        LLM_BASE_URL: mock.url,
+        LLM_API_KEY: 'test-groq-key',
+        JOB_CHECK_LLM_PROVIDER: 'groq',
+        JOB_CHECK_LLM_BASE_URL: mock.url,
+        JOB_CHECK_LLM_API_KEY: 'test-groq-key',
+        NTFY_SERVER: mock.url,
+        NTFY_TOPIC,
+        INTERVIEW_TIMEZONE: 'Asia/Jerusalem',
+        // The real limits would make the AI calls wait seconds apart
+        SCHEDULER_LIMITS: JSON.stringify({
+            llm: { concurrency: 4, ratePerSecond: 1000, burst: 1000 },
+            notify: { concurrency: 4, ratePerSecond: 1000, burst: 1000 }
+        })
+    });
+    return stateDir;
+}
+
+// Points PIPELINE_CONFIG_PATH at a copy of pipeline.json without the approval policy,
+// so the bots make every move themselves
+export async function useNoApprovalPolicy(stateDir) {
+    const { policy, ...config } = JSON.parse(await fs.readFile(path.join(ROOT, 'pipeline.json'), 'utf8'));
+    process.env.PIPELINE_CONFIG_PATH = path.join(stateDir, 'pipeline-without-policy.json');
+    await fs.writeFile(process.env.PIPELINE_CONFIG_PATH, JSON.stringify(config));
+}
+
+export async function readState(stateDir, name) {
+    const content = await fs.readFile(path.join(stateDir, name), 'utf8');
+    return name.endsWith('.jsonl') ? content.split('\n').filter(Boolean).map(line => JSON.parse(line)) : JSON.parse(content);
+}
+
+export async function stateFiles(stateDir) {
+    return (await fs.readdir(stateDir)).sort();
+}
+
+export async function removeTestState() {
+    await Promise.all(stateDirs.splice(0).map(dir => fs.rm(dir, { recursive: true, force: true })));
+}
@@ -0,0 +1,123 @@
+// --- In-Memory Gmail Mailbox ---
+// Stands in for createGmailClient(): the users.* calls the bots make, backed by a
+// list of fixture emails turned into Gmail API message resources.
+
+const encode = text => Buffer.from(text).toString('base64url');
+
+function gmailError(status, message) {
+    // Same shape as googleapis (gaxios) errors
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// email: { id, threadId, hoursAgo, from, to, subject, text?, html?, sent? }; sent mail is
+// labelled SENT instead of INBOX and UNREAD.
+// Each message gets a Message-ID header derived from its ID.
+export function toGmailMessage(email, historyId, now = Date.now()) {
+    const parts = [];
+    if (email.text) parts.push({ mimeType: 'text/plain', body: { data: encode(email.text) } });
+    if (email.html) parts.push({ mimeType: 'text/html', body: { data: encode(email.html) } });
+    const internalDate = now - (email.hoursAgo || 0) * 60 * 60 * 1000;
+    return {
+        id: email.id,
+        threadId: email.threadId,
+        historyId: String(historyId),
+        labelIds: email.sent ? ['SENT'] : ['INBOX', 'UNREAD'],
+        internalDate: String(internalDate),
+        snippet: (email.text || email.html.replace(/<[^>]+>/g, '')).slice(0, 100),
+        payload: {
+            mimeType: 'multipart/alternative',
+            headers: [
+                { name: 'From', value: email.from },
+                { name: 'To', value: email.to },
+                { name: 'Subject', value: email.subject },
+                { name: 'Message-ID', value: `<${email.id}@mail.example>` },
+                { name: 'Date', value: new Date(internalDate).toUTCString() }
+            ],
+            parts
+        }
+    };
+}
+
+export function createFakeGmail({ emailAddress, emails = [] }) {
+    let historyId = 1000;
+    const messages = [];
+
+    const mailbox = {
+        messages,
+        sent: [],        // raw messages passed to messages.send
+        modified: [],    // { id, removeLabelIds, addLabelIds }
+        drafts: [],      // { id, threadId, raw } with the raw message decoded
+
+        // Delivers new mail; returns the history ID before delivery (what a push would report)
+        deliver(...newEmails) {
+            const before = historyId;
+            for (const email of newEmails) messages.push(toGmailMessage(email, ++historyId));
+            return String(before);
+        },
+
+        users: {
+            async getProfile() {
+                return { data: { emailAddress, historyId: String(historyId) } };
+            },
+            messages: {
+                // Supports the "after:<seconds>" and "in:sent" parts of the query; newest first like Gmail
+                async list({ q = '' }) {
+                    const after = Number(q.match(/after:(\d+)/)?.[1] || 0) * 1000;
+                    const label = /\bin:sent\b/.test(q) ? 'SENT' : 'INBOX';
+                    const found = messages.filter(m => m.labelIds.includes(label) && Number(m.internalDate) > after);
+                    return { data: { messages: found.map(m => ({ id: m.id, threadId: m.threadId })).reverse() } };
+                },
+                async get({ id }) {
+                    const message = messages.find(m => m.id === id);
+                    if (!message) throw gmailError(404, `Fake Gmail: message ${id} not found`);
+                    return { data: structuredClone(message) };
+                },
+                async modify({ id, resource = {}, requestBody = resource }) {
+                    const message = messages.find(m => m.id === id);
+                    if (!message) throw gmailError(404, `Fake Gmail: message ${id} not found`);
+                    const { removeLabelIds = [], addLabelIds = [] } = requestBody;
+                    message.labelIds = [...message.labelIds.filter(label => !removeLabelIds.includes(label)), ...addLabelIds];
+                    mailbox.modified.push({ id, removeLabelIds, addLabelIds });
+                    return { data: { id, labelIds: message.labelIds } };
+                },
+                async send({ requestBody }) {
+                    mailbox.sent.push(Buffer.from(requestBody.raw, 'base64url').toString('utf8'));
+                    return { data: { id: `sent-${mailbox.sent.length}` } };
+                }
+            },
+            threads: {
+                // The messages of a thread, oldest first
+                async get({ id }) {
+                    const threadMessages = messages.filter(m => m.threadId === id).sort((a, b) => Number(a.internalDate) - Number(b.internalDate));
+                    if (threadMessages.length === 0) throw gmailError(404, `Fake Gmail: thread ${id} not found`);
+                    return { data: { id, messages: structuredClone(threadMessages) } };
+                }
+            },
+            drafts: {
+                async create({ requestBody }) {
+                    const draft = {
+                        id: `draft-${mailbox.drafts.length + 1}`, threadId: requestBody.message.threadId || null,
+                        raw: Buffer.from(requestBody.message.raw, 'base64url').toString('utf8')
+                    };
+                    mailbox.drafts.push(draft);
+                    return { data: { id: draft.id, message: { threadId: draft.threadId } } };
+                }
+            },
+            history: {
+                async list({ startHistoryId }) {
+                    const added = messages.filter(m => Number(m.historyId) > Number(startHistoryId));
+                    return {
+                        data: {
+                            history: added.map(m => ({ id: m.historyId, messagesAdded: [{ message: { id: m.id, threadId: m.threadId } }] })),
+                            historyId: String(historyId)
+                        }
+                    };
+                }
+            }
+        }
+    };
+    mailbox.deliver(...emails);
+    return mailbox;
+}
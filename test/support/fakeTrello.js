@@ -0,0 +1,149 @@
+// --- In-Memory Trello Board ---
+// Stands in for lib/trello.js: answers the REST calls the bots make from a board
+// fixture and records every change, so tests can assert on exact card moves.
+
+function notFound(method, path) {
+    // Same shape as the trello package's errors
+    const error = new Error(`Fake Trello: no route for ${method.toUpperCase()} ${path}`);
+    error.response = { statusCode: 404 };
+    return error;
+}
+
+// board: { lists: [{ id, name }], cards: [{ id, name, idList, desc, attachments }], actions }
+// Cards were last active now unless the fixture says otherwise (dateLastActivity).
+// actions is the board's card history (Trello action objects, newest first); moves add to it.
+export function createFakeTrello(board) {
+    const cards = board.cards.map(card => ({
+        shortUrl: `https://trello.com/c/${card.id}`, desc: '', due: null, attachments: [], idBoard: 'board-1', idLabels: [],
+        dateLastActivity: new Date().toISOString(), ...structuredClone(card)
+    }));
+    const checklists = [];
+    const labels = [];
+    const actions = structuredClone(board.actions || []);
+    const listName = id => board.lists.find(list => list.id === id)?.name || id;
+    const findCard = (method, path, id) => {
+        const card = cards.find(c => c.id === id);
+        if (!card) throw notFound(method, path);
+        return card;
+    };
+
+    const trello = {
+        cards,
+        checklists,
+        labels,          // { id, name, color, idBoard }
+        actions,
+        moves: [],       // { cardId, cardName, from, to } with list names
+        created: [],     // { cardId, cardName, list } with the list name
+        comments: [],    // { cardId, text }
+        uploads: [],     // { cardId, fileName, content, mimeType }
+        requests: [],    // every call, in order
+        failures: [],    // { method, path } to fail once with HTTP 400, set by the test
+
+        card: id => cards.find(card => card.id === id),
+        listOf: id => listName(trello.card(id)?.idList),
+
+        async makeRequest(method, path, options = {}) {
+            trello.requests.push({ method, path, options });
+            const failure = trello.failures.findIndex(f => f.method === method && f.path === path);
+            if (failure !== -1) {
+                trello.failures.splice(failure, 1);
+                const error = new Error(`Fake Trello: ${method.toUpperCase()} ${path} failed`);
+                error.response = { statusCode: 400 };
+                throw error;
+            }
+
+            let match;
+            if (method === 'get' && (match = path.match(/^\/1\/lists\/([^/]+)\/cards$/))) {
+                return structuredClone(cards.filter(card => card.idList === match[1]));
+            }
+            if ((match = path.match(/^\/1\/cards\/([^/]+)$/))) {
+                const card = findCard(method, path, match[1]);
+                if (method === 'get') return structuredClone(card);
+                if (method === 'put') {
+                    if (options.idList && options.idList !== card.idList) {
+                        trello.moves.push({ cardId: card.id, cardName: card.name, from: listName(card.idList), to: listName(options.idList) });
+                        actions.unshift({
+                            id: `action-${actions.length + 1}`, type: 'updateCard', date: new Date().toISOString(),
+                            data: {
+                                card: { id: card.id, name: card.name },
+                                listBefore: { id: card.idList, name: listName(card.idList) },
+                                listAfter: { id: options.idList, name: listName(options.idList) }
+                            }
+                        });
+                    }
+                    Object.assign(card, options);
+                    return structuredClone(card);
+                }
+            }
+            if (method === 'post' && path === '/1/cards') {
+                const id = `card-${cards.length + 1}`;
+                const card = {
+                    id, name: options.name, idList: options.idList, desc: options.desc || '', shortUrl: `https://trello.com/c/${id}`,
+                    due: null, attachments: [], idBoard: 'board-1', idLabels: [], dateLastActivity: new Date().toISOString()
+                };
+                cards.push(card);
+                trello.created.push({ cardId: card.id, cardName: card.name, list: listName(card.idList) });
+                return structuredClone(card);
+            }
+            if (method === 'post' && (match = path.match(/^\/1\/cards\/([^/]+)\/actions\/comments$/))) {
+                findCard(method, path, match[1]);
+                trello.comments.push({ cardId: match[1], text: options.text });
+                return { id: `comment-${trello.comments.length}` };
+            }
+            if ((match = path.match(/^\/1\/cards\/([^/]+)\/attachments$/))) {
+                const card = findCard(method, path, match[1]);
+                if (method === 'get') return structuredClone(card.attachments);
+                if (method === 'post') {
+                    const attachment = { id: `attachment-${card.attachments.length + 1}`, isUpload: false, ...options };
+                    card.attachments.push(attachment);
+                    return attachment;
+                }
+            }
+            if (method === 'get' && (match = path.match(/^\/1\/cards\/([^/]+)\/checklists$/))) {
+                return structuredClone(checklists.filter(list => list.idCard === match[1]));
+            }
+            if (method === 'post' && path === '/1/checklists') {
+                const checklist = { id: `checklist-${checklists.length + 1}`, idCard: options.idCard, name: options.name, checkItems: [] };
+                checklists.push(checklist);
+                return structuredClone(checklist);
+            }
+            if (method === 'post' && (match = path.match(/^\/1\/checklists\/([^/]+)\/checkItems$/))) {
+                const checklist = checklists.find(list => list.id === match[1]);
+                if (!checklist) throw notFound(method, path);
+                checklist.checkItems.push({ name: options.name, due: options.due || null });
+                return { id: `item-${checklist.checkItems.length}` };
+            }
+            if (method === 'get' && path.match(/^\/1\/boards\/[^/]+\/actions$/)) {
+                const start = options.before ? actions.findIndex(action => action.id === options.before) + 1 : 0;
+                return structuredClone(actions.slice(start, start + (options.limit || 50)));
+            }
+            if (method === 'get' && (match = path.match(/^\/1\/boards\/([^/]+)\/labels$/))) {
+                return structuredClone(labels.filter(label => label.idBoard === match[1]));
+            }
+            if (method === 'post' && path === '/1/labels') {
+                const label = { id: `label-${labels.length + 1}`, name: options.name, color: options.color, idBoard: options.idBoard };
+                labels.push(label);
+                return structuredClone(label);
+            }
+            if (method === 'post' && (match = path.match(/^\/1\/cards\/([^/]+)\/idLabels$/))) {
+                const card = findCard(method, path, match[1]);
+                card.idLabels.push(options.value);
+                return structuredClone(card.idLabels);
+            }
+            if (method === 'delete' && (match = path.match(/^\/1\/cards\/([^/]+)\/idLabels\/([^/]+)$/))) {
+                const card = findCard(method, path, match[1]);
+                card.idLabels = card.idLabels.filter(id => id !== match[2]);
+                return structuredClone(card.idLabels);
+            }
+            throw notFound(method, path);
+        },
+
+        async attachFile({ cardId, fileName, content, mimeType }) {
+            const card = findCard('post', `/1/cards/${cardId}/attachments`, cardId);
+            trello.uploads.push({ cardId, fileName, content, mimeType });
+            card.attachments.push({ id: `attachment-${card.attachments.length + 1}`, name: fileName, isUpload: true, mimeType });
+            return card.attachments.at(-1);
+        }
+    };
+    return trello;
+}
@@ -0,0 +1,96 @@
+// --- Local Stand-In for Groq, ntfy and Job Pages ---
+// One HTTP server on a random local port. The real Groq adapter (LLM_BASE_URL) and
+// the real ntfy channel (NTFY_SERVER) talk to it, so the requests they build are
+// tested too. Job postings are served from `pages` for the job checker.
+import http from 'http';
+
+const CHAT_PATH = '/openai/v1/chat/completions';
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+// ntfy decodes RFC 2047 header values (non-Latin-1 titles and buttons)
+function decodeHeader(value) {
+    const encoded = value?.match(/^=\?UTF-8\?B\?(.*)\?=$/);
+    return encoded ? Buffer.from(encoded[1], 'base64').toString('utf8') : value;
+}
+
+// respond(request) gets the parsed chat request ({ model, messages, ... }) and returns
+// the answer text, or { status } to fail the call with that HTTP status.
+export async function startMockServer({ respond = () => 'OTHER_REPLY' } = {}) {
+    const mock = {
+        url: null,
+        chatRequests: [],   // parsed chat completion requests
+        ntfy: [],           // { topic, title, priority, tags, click, actions, at, authorization, body }
+        ntfyFailures: [],   // HTTP statuses for the next ntfy publishes to fail with (429 adds Retry-After: 0)
+        pages: new Map(),   // path -> { status = 200, body = '', headers = {} }
+        respond
+    };
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, mock.url);
+        const body = await readBody(req);
+
+        if (req.method === 'POST' && url.pathname === CHAT_PATH) {
+            const request = JSON.parse(body);
+            mock.chatRequests.push(request);
+            let answer;
+            try {
+                answer = await mock.respond(request);
+            } catch (error) {
+                answer = { status: 500, message: error.message };
+            }
+            if (typeof answer === 'object') {
+                return sendJson(res, answer.status, { error: { message: answer.message || 'Mock error', type: 'mock_error' } });
+            }
+            return sendJson(res, 200, {
+                id: `chatcmpl-${mock.chatRequests.length}`, object: 'chat.completion', created: Math.floor(Date.now() / 1000),
+                model: request.model,
+                choices: [{ index: 0, message: { role: 'assistant', content: answer }, finish_reason: 'stop' }],
+                usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+            });
+        }
+
+        const page = mock.pages.get(url.pathname);
+        if (req.method === 'GET' && page) {
+            res.writeHead(page.status || 200, { 'Content-Type': 'text/html; charset=utf-8', ...page.headers });
+            return res.end(page.body || '');
+        }
+
+        // ntfy publishes a message with a POST to /<topic>
+        if (req.method === 'POST' && /^\/[\w-]+$/.test(url.pathname)) {
+            const failure = mock.ntfyFailures.shift();
+            if (failure) {
+                res.writeHead(failure, failure === 429 ? { 'Retry-After': '0' } : {});
+                return res.end();
+            }
+            mock.ntfy.push({
+                topic: url.pathname.slice(1), title: decodeHeader(req.headers['title']), priority: req.headers['priority'],
+                tags: req.headers['tags'], click: req.headers['click'], actions: decodeHeader(req.headers['actions']),
+                at: req.headers['at'], authorization: req.headers['authorization'], body
+            });
+            return sendJson(res, 200, { id: `ntfy-${mock.ntfy.length}`, event: 'message' });
+        }
+
+        sendJson(res, 404, { error: `No mock route for ${req.method} ${url.pathname}` });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    mock.url = `http://127.0.0.1:${server.address().port}`;
+    mock.close = () => new Promise(resolve => {
+        server.closeAllConnections();
+        server.close(resolve);
+    });
+    return mock;
+}
@@ -0,0 +1,14 @@
+// --- Undo (same as `job-tracker undo`, kept for existing setups and the card comments) ---
+//   node undo.js <action-id>        revert one card move (the ID is in the card comment)
+//   node undo.js --run <run-id>     revert every move of a run (job-tracker undo run <run-id>)
+//   node undo.js --list [--limit=N] show recent moves and their IDs (job-tracker undo list)
+import 'dotenv/config';
+import { runCli } from './lib/cli.js';
+
+// --list and --run become the subcommands
+const args = process.argv.slice(2).flatMap(arg =>
+    arg === '--list' ? ['list'] : arg === '--run' ? ['run'] : arg.startsWith('--run=') ? ['run', arg.slice('--run='.length)] : [arg]);
+const subcommand = ['list', 'run'].find(name => args.includes(name));
+const rest = subcommand ? args.filter(arg => arg !== subcommand) : args;
+
+runCli(['undo', ...(subcommand ? [subcommand] : []), ...rest]).then(exitCode => { process.exitCode = exitCode; });